@@ -12,8 +12,12 @@ module.exports = {
   },
   overrides: {
     files: [ 'test/**/*.js' ],
+    env: {
+      jest: true
+    },
     rules: {
-      'import/no-unresolved': 'off'
+      'import/no-unresolved': 'off',
+      'require-jsdoc': 'off'
     }
   }
 }
@@ -2,18 +2,17 @@
 
 const assert = require('assert');
 const readline = require('readline');
-const fs = require('fs');
-const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
 const morgan = require('morgan');
 const nodertc = require('.');
 
+// The certificate is generated by `rtc.start()`.
 const rtc = nodertc({
-  certificate: fs.readFileSync(path.resolve('fixtures/certificate.pem')),
-  certificatePrivateKey: fs.readFileSync(path.resolve('fixtures/private.pem')),
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
 });
 const app = express();
+const sessions = new Map();
 
 app.use(bodyParser.json());
 app.use(express.static('fixtures'));
@@ -27,7 +26,23 @@ app.post('/offer', async (req, res) => {
   const session = rtc.createSession();
   const answer = await session.createAnswer(offer);
 
-  res.json({ sdp: answer, type: 'answer' });
+  sessions.set(session.username, session);
+  session.once('close', () => sessions.delete(session.username));
+
+  res.json({ sdp: answer, type: 'answer', session: session.username });
+});
+
+app.post('/candidate', (req, res) => {
+  const { session: id, candidate } = req.body;
+  const session = sessions.get(id);
+
+  if (!session) {
+    res.sendStatus(404);
+    return;
+  }
+
+  session.addIceCandidate(candidate);
+  res.sendStatus(204);
 });
 
 rtc.on('session', session => {
@@ -37,6 +52,14 @@ rtc.on('session', session => {
     console.log('[nodertc] got offer');
   });
 
+  session.on('connectionstatechange', state => {
+    console.log('[nodertc] connection state %s', state);
+
+    if (state === 'failed') {
+      session.close();
+    }
+  });
+
   session.once('channel', channel => {
     console.log('[nodertc] got channel %s', channel.label);
 
@@ -46,11 +69,11 @@ rtc.on('session', session => {
     });
 
     rl.on('line', line => {
-      channel.write(line);
+      channel.send(line);
     });
 
-    channel.on('data', data => {
-      console.log(`${data.toString()}`);
+    channel.on('message', message => {
+      console.log(`${message.toString()}`);
 
       rl.prompt();
     });
@@ -2,14 +2,12 @@
 
 // Example to work with https://github.com/pions/webrtc
 
-const fs = require('fs');
-const path = require('path');
 const readline = require('readline');
 const nodertc = require('.');
 
+// The certificate is generated by `webrtc.start()`.
 const webrtc = nodertc({
-  certificate: fs.readFileSync(path.resolve('fixtures/certificate.pem')),
-  certificatePrivateKey: fs.readFileSync(path.resolve('fixtures/private.pem')),
+  iceServers: [{ urls: 'stun:stun.l.google.com:19302' }],
 });
 
 const stdin = readline.createInterface({
@@ -8,18 +8,18 @@ const pcconfig = {
 
 const pc = new RTCPeerConnection(pcconfig);
 
-pc.addEventListener('icecandidate', async ({ candidate }) => {
+let session = null;
+const pendingCandidates = [];
+
+pc.addEventListener('icecandidate', ({ candidate }) => {
   console.log('got candidate', candidate);
 
-  if (candidate) {
+  if (session === null) {
+    pendingCandidates.push(candidate);
     return;
   }
 
-  const offer = pc.localDescription;
-  console.log('[pc] send offer\n', offer.sdp);
-  const answer = await sendOffer(offer);
-  console.log('[pc] got answer\n', answer.sdp);
-  await pc.setRemoteDescription(answer);
+  sendCandidate(candidate);
 });
 
 pc.addEventListener('negotiationneeded', async () => {
@@ -27,6 +27,14 @@ pc.addEventListener('negotiationneeded', async () => {
 
   const offer = await pc.createOffer();
   await pc.setLocalDescription(offer);
+
+  console.log('[pc] send offer\n', offer.sdp);
+  const answer = await sendOffer(offer);
+  console.log('[pc] got answer\n', answer.sdp);
+  await pc.setRemoteDescription(answer);
+
+  ({ session } = answer);
+  pendingCandidates.splice(0).forEach(candidate => sendCandidate(candidate));
 });
 
 pc.addEventListener('datachannel', ({ channel }) => {
@@ -80,3 +88,18 @@ async function sendOffer(offer) {
 
   return res.json();
 }
+
+/**
+ * Send local candidate, `null` means the end of candidates.
+ * @param {RTCIceCandidate|null} candidate
+ */
+async function sendCandidate(candidate) {
+  await fetch('/candidate', {
+    method: 'post',
+    body: JSON.stringify({ session, candidate }),
+    headers: {
+      Accept: 'application/json, text/plain, */*',
+      'Content-Type': 'application/json',
+    },
+  });
+}
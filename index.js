@@ -3,95 +3,217 @@
 const assert = require('assert');
 const Emitter = require('events');
 const dgram = require('dgram');
-const { isIPv4 } = require('net');
-const internalIp = require('internal-ip');
-const publicIp = require('public-ip');
+const dns = require('dns');
+const { promisify } = require('util');
+const { isIP, isIPv6 } = require('net');
 const stun = require('stun');
 const dtls = require('@nodertc/dtls');
 const sctp = require('@nodertc/sctp');
-const { createChannel } = require('@nodertc/datachannel');
-const unicast = require('unicast');
+const isDtls = require('is-dtls');
 const pem = require('pem-file');
 const fingerprint = require('./lib/fingerprint');
-const { createPassword, createUsername } = require('./lib/ice-util');
-const sdp = require('./lib/sdp');
-const Candidates = require('./lib/candidates');
-
 const {
-  STUN_ATTR_XOR_MAPPED_ADDRESS,
-  STUN_ATTR_USERNAME,
-  STUN_ATTR_USE_CANDIDATE,
-  STUN_ATTR_ICE_CONTROLLING,
-  STUN_ATTR_PRIORITY,
-  STUN_EVENT_BINDING_REQUEST,
-  STUN_EVENT_BINDING_RESPONSE,
-  STUN_EVENT_BINDING_ERROR_RESPONSE,
-  STUN_BINDING_RESPONSE,
-  STUN_BINDING_REQUEST,
-} = stun.constants;
+  createPassword,
+  createUsername,
+  candidatePriority,
+  candidateFoundation,
+} = require('./lib/ice-util');
+const { getAddresses } = require('./lib/interfaces');
+const { parseIceServers } = require('./lib/ice-servers');
+const stunClient = require('./lib/stun-client');
+const sdp = require('./lib/sdp');
+const IceAgent = require('./lib/ice-agent');
+const Transport = require('./lib/transport');
+const DtlsServer = require('./lib/dtls-server');
+const TurnClient = require('./lib/turn-client');
+const UdpMux = require('./lib/udp-mux');
+const DataChannel = require('./lib/data-channel');
+const { StreamReset, enableReconfig } = require('./lib/stream-reset');
+const SendQueue = require('./lib/send-queue');
+const Mdns = require('./lib/mdns');
+const { generateCertificate } = require('./lib/certificate');
+const { codes: errorCodes, createError } = require('./lib/errors');
 
 module.exports = create;
+module.exports.generateCertificate = generateCertificate;
+module.exports.errorCodes = errorCodes;
 
 const _sessions = Symbol('sessions');
-const _socket = Symbol('socket');
-const _usocket = Symbol('unicast-socket');
+const _sockets = Symbol('sockets');
+const _transport = Symbol('transport');
 const _offer = Symbol('offer');
 const _answer = Symbol('answer');
 const _certificate = Symbol('certificate');
 const _privateKey = Symbol('private-key');
-const _publicIp = Symbol('public-ip');
-const _internalIp = Symbol('internal-ip');
-const _fingerprint = Symbol('fingerprint');
-const _peerFingerprint = Symbol('peer-fingerprint');
+const _iceServers = Symbol('ice-servers');
+const _relays = Symbol('relays');
+const _mux = Symbol('udp-mux');
+const _muxPort = Symbol('udp-mux-port');
+const _addresses = Symbol('addresses');
+const _filters = Symbol('filters');
+const _fingerprints = Symbol('fingerprints');
+const _peerFingerprints = Symbol('peer-fingerprints');
+const _fingerprintAlgorithms = Symbol('fingerprint-algorithms');
 const _iceUsername = Symbol('ice-username');
 const _icePassword = Symbol('ice-password');
 const _peerIceUsername = Symbol('peer-ice-username');
 const _peerIcePassword = Symbol('peer-ice-password');
-const _stun = Symbol('stun');
 const _dtls = Symbol('dtls');
-const _candidates = Symbol('candidates');
+const _association = Symbol('sctp-association');
+const _agent = Symbol('ice-agent');
+const _dtlsRole = Symbol('dtls-role');
+const _localCandidates = Symbol('local-candidates');
+const _sdpSessionId = Symbol('sdp-session-id');
+const _sdpSessionVersion = Symbol('sdp-session-version');
+const _gatheringComplete = Symbol('gathering-complete');
+const _remoteGatheringComplete = Symbol('remote-gathering-complete');
+const _iceConnectionState = Symbol('ice-connection-state');
+const _connectionState = Symbol('connection-state');
+const _closed = Symbol('closed');
+const _dtlsConnected = Symbol('dtls-connected');
+const _disconnectedTimeout = Symbol('disconnected-timeout');
+const _channels = Symbol('channels');
+const _streamReset = Symbol('stream-reset');
+const _sendQueue = Symbol('send-queue');
+const _peerMaxMessageSize = Symbol('peer-max-message-size');
+const _peerSctpPort = Symbol('peer-sctp-port');
+const _mdns = Symbol('mdns');
+const _publishHostnames = Symbol('publish-hostnames');
+const _hostnames = Symbol('hostnames');
+const _certificateExpires = Symbol('certificate-expires');
+const _renewTimer = Symbol('renew-timer');
+const _sctpTimers = Symbol('sctp-timers');
+
+const {
+  STUN_BINDING_REQUEST,
+  STUN_ATTR_XOR_MAPPED_ADDRESS,
+  STUN_ATTR_MAPPED_ADDRESS,
+} = stun.constants;
+
+const lookup = promisify(dns.lookup);
+
+const DTLS_ROLE_CLIENT = 'client';
+const DTLS_ROLE_SERVER = 'server';
+
+// Number of inbound and outbound SCTP streams, the same as browsers request.
+const SCTP_STREAMS = 1024;
+
+// The DTLS client opens SCTP association if the peer doesn't in this time.
+const SCTP_CONNECT_DELAY = 500;
+
+// Max message size when the peer doesn't define it, RFC 8841, section 6.
+const DEFAULT_MAX_MESSAGE_SIZE = 65536;
 
-const tieBreaker = Buffer.from('ffaecc81e3dae860', 'hex');
+// Generated certificate is replaced by a new one in the middle of its lifetime.
+const CERTIFICATE_LIFETIME = 30 * 24 * 3600e3;
+const CERTIFICATE_RENEW_INTERVAL = CERTIFICATE_LIFETIME / 2;
+
+// The largest message we accept. `@nodertc/sctp` doesn't send messages
+// which don't fit the receive window of the peer, the window of NodeRTC
+// is reduced by the chunks in reassembly.
+const MAX_MESSAGE_SIZE = sctp.defaults().RWND / 2;
+
+// Protocols of the data channel media section, RFC 8841, section 4.1
+const SCTP_PROTOCOL = 'UDP/DTLS/SCTP';
+const SCTP_LEGACY_PROTOCOL = 'DTLS/SCTP';
 
 /**
- * WebRTC session.
+ * WebRTC session. Failures are emitted as `error` events,
+ * `code` of the error is one of `errorCodes`.
  */
 class Session extends Emitter {
   /**
    * @constructor
    * @param {object} options
-   * @param {string} options.external
-   * @param {string} options.internal
+   * @param {object[]} options.addresses addresses of the network interfaces
+   * @param {object[]} [options.iceServers] parsed urls of STUN / TURN servers
+   * @param {UdpMux} [options.mux] shared UDP port
+   * @param {number} [options.disconnectedTimeout] time in ms without ICE responses
+   *  to consider the session disconnected
    * @param {Buffer} options.certificate
    * @param {Buffer} options.privateKey
-   * @param {string} options.fingerprint
+   * @param {object[]} options.fingerprints fingerprints of the certificate,
+   *  list of `{ type, hash }`
+   * @param {Mdns} [options.mdns] resolver of `.local` candidates
+   * @param {boolean} [options.publishHostnames] hide addresses
+   *  of host candidates behind mDNS names
    */
   constructor(options = {}) {
     super();
 
-    this[_socket] = dgram.createSocket('udp4');
-    this[_usocket] = null;
-    this[_stun] = null;
-    this[_dtls] = null;
+    const mux = options.mux || null;
+    this[_mux] = mux;
+
+    // Sessions of the shared port are routed by ICE username fragment.
+    this[_iceUsername] = mux ? mux.createUsername() : createUsername();
+    this[_icePassword] = createPassword();
+
+    // Origin of local descriptions, RFC 8829, section 5.2.1.
+    this[_sdpSessionId] = sdp.createSessionId();
+    this[_sdpSessionVersion] = 0;
+
+    this[_addresses] = options.addresses || [];
+
+    // One socket for each host candidate, so the local address
+    // of incoming packets is known.
+    this[_sockets] = new Map();
 
-    this[_publicIp] = options.external;
-    this[_internalIp] = options.internal;
-    this[_fingerprint] = options.fingerprint;
+    this[_addresses].forEach(({ address, family }) => {
+      const socket = mux
+        ? mux.createSocket(address, this[_iceUsername])
+        : dgram.createSocket(family === 'IPv6' ? 'udp6' : 'udp4');
+
+      if (socket !== null) {
+        this[_sockets].set(address, socket);
+      }
+    });
+
+    this[_transport] = new Transport();
+    this[_relays] = new Map();
+    this[_dtls] = null;
+    this[_association] = null;
+    this[_channels] = new Map();
+    this[_streamReset] = null;
+    this[_sendQueue] = null;
+    this[_peerMaxMessageSize] = DEFAULT_MAX_MESSAGE_SIZE;
+    this[_peerSctpPort] = sdp.SCTP_PORT;
+    this.sctp = null;
+    this[_sctpTimers] = [];
+
+    this[_iceServers] = options.iceServers || [];
+    this[_fingerprints] = options.fingerprints;
     this[_certificate] = options.certificate;
     this[_privateKey] = options.privateKey;
 
+    this[_mdns] = options.mdns || null;
+    this[_publishHostnames] =
+      Boolean(options.publishHostnames) && this[_mdns] !== null;
+    this[_hostnames] = new Map();
+
     this[_offer] = null;
     this[_answer] = null;
 
-    this[_iceUsername] = createUsername();
-    this[_icePassword] = createPassword();
-
     this[_peerIceUsername] = null;
     this[_peerIcePassword] = null;
 
-    this[_peerFingerprint] = null;
+    this[_peerFingerprints] = [];
 
-    this[_candidates] = new Candidates();
+    this[_agent] = new IceAgent({
+      username: this[_iceUsername],
+      password: this[_icePassword],
+      disconnectedTimeout: options.disconnectedTimeout,
+    });
+
+    this[_dtlsRole] = null;
+
+    this[_localCandidates] = [];
+    this[_gatheringComplete] = false;
+    this[_remoteGatheringComplete] = false;
+
+    this[_iceConnectionState] = 'new';
+    this[_connectionState] = 'new';
+    this[_dtlsConnected] = false;
+    this[_closed] = false;
   }
 
   /**
@@ -106,7 +228,15 @@ class Session extends Emitter {
    * @returns {stun.StunServer}
    */
   get stun() {
-    return this[_stun];
+    return this[_agent].stun;
+  }
+
+  /**
+   * Get ICE agent instance.
+   * @returns {IceAgent}
+   */
+  get iceAgent() {
+    return this[_agent];
   }
 
   /**
@@ -117,6 +247,14 @@ class Session extends Emitter {
     return this[_dtls];
   }
 
+  /**
+   * Get negotiated DTLS role, `client` or `server`.
+   * @returns {string}
+   */
+  get dtlsRole() {
+    return this[_dtlsRole];
+  }
+
   /**
    * Get ICE username.
    * @returns {string}
@@ -126,83 +264,213 @@ class Session extends Emitter {
   }
 
   /**
-   * Get socket port.
-   * @returns {number}
+   * Get port of the first IPv4 host candidate.
+   * @returns {number|null} `null` if IPv4 is not available
    */
   get port() {
-    return this[_socket].address().port;
+    return this.getPort('IPv4');
   }
 
   /**
-   * @returns {string}
+   * Get port of the first IPv6 host candidate.
+   * @returns {number|null} `null` if IPv6 is not available
+   */
+  get port6() {
+    return this.getPort('IPv6');
+  }
+
+  /**
+   * @returns {string} fingerprint of the first advertised hash function
    */
   get fingerprint() {
-    return this[_fingerprint];
+    return this[_fingerprints][0].hash;
   }
 
   /**
-   * Creates an SDP answer based on offer.
-   * @param {string} offer peer's SDP offer
+   * @returns {object[]} advertised fingerprints, list of `{ type, hash }`
+   */
+  get fingerprints() {
+    return this[_fingerprints];
+  }
+
+  /**
+   * Get gathered local ICE candidates.
+   * @returns {object[]}
+   */
+  get localCandidates() {
+    return this[_localCandidates];
+  }
+
+  /**
+   * Check if the peer has signaled the end of its candidates.
+   * @returns {boolean}
+   */
+  get remoteGatheringComplete() {
+    return this[_remoteGatheringComplete];
+  }
+
+  /**
+   * Get state of ICE transport, like `RTCPeerConnection.iceConnectionState`.
+   * @returns {string} `new`, `checking`, `connected`, `disconnected`,
+   *  `failed` or `closed`
+   */
+  get iceConnectionState() {
+    return this[_iceConnectionState];
+  }
+
+  /**
+   * Get state of ICE and DTLS transports, like `RTCPeerConnection.connectionState`.
+   * @returns {string} `new`, `connecting`, `connected`, `disconnected`,
+   *  `failed` or `closed`
+   */
+  get connectionState() {
+    return this[_connectionState];
+  }
+
+  /**
+   * Creates an SDP offer.
+   * @param {object} [options]
+   * @param {boolean} [options.iceRestart] restart ICE of the established session
    * @returns {string}
    */
-  async createAnswer(offer) {
+  async createOffer(options = {}) {
+    // The offerer is the controlling agent, RFC 8445, section 6.1.1
+    this[_agent].controlling = true;
+
+    if (this[_offer] === null) {
+      await this.listen();
+    } else if (options.iceRestart) {
+      this.restartIce();
+      this.gather();
+    }
+
+    this[_sdpSessionVersion] += 1;
+
+    const offer = sdp.create({
+      sessionId: this[_sdpSessionId],
+      sessionVersion: this[_sdpSessionVersion],
+      username: this.username,
+      password: this[_icePassword],
+      fingerprints: this[_fingerprints],
+      mid: 'data',
+      setup: 'actpass',
+      candidates: this.localCandidates.map(item => this.announce(item)),
+      endOfCandidates: this[_gatheringComplete],
+      maxMessageSize: MAX_MESSAGE_SIZE,
+    });
+
     this[_offer] = sdp.parse(offer);
-    this.emit('offer', this[_offer]);
+    return offer;
+  }
+
+  /**
+   * Applies an SDP answer of the peer.
+   * @param {string} answer peer's SDP answer
+   */
+  async setRemoteAnswer(answer) {
+    if (this[_offer] === null) {
+      throw new Error('Local offer not found, call `createOffer()` first');
+    }
 
-    const { media, fingerprint: fgprint, groups } = this[_offer];
-    const haveMediaData = Array.isArray(media) && media.length > 0;
+    const description = sdp.parse(answer);
+    let setup = null;
 
-    if (!haveMediaData) {
-      throw new Error('Invalid SDP offer');
+    // The offerer is `actpass`, so the answerer picks the role,
+    // RFC 8842, section 5.3. The answer is checked before it's applied.
+    try {
+      setup = getSetup(description);
+
+      if (setup !== 'active' && setup !== 'passive') {
+        throw new Error(`Invalid DTLS setup attribute in answer: ${setup}`);
+      }
+
+      this.setRemoteDescription(description);
+    } catch (err) {
+      this.close();
+      throw err;
+    }
+
+    // DTLS role is kept on renegotiation.
+    if (this[_dtlsRole] === null) {
+      this[_dtlsRole] =
+        setup === 'active' ? DTLS_ROLE_SERVER : DTLS_ROLE_CLIENT;
     }
 
-    const mediadata = media.find(item => item.protocol.includes('DTLS/SCTP'));
+    this[_answer] = answer;
+    this.emit('answer', this[_answer]);
+  }
+
+  /**
+   * Creates an SDP answer based on offer.
+   * Subsequent offers of the peer renegotiate the session.
+   * @param {string} offer peer's SDP offer
+   * @returns {string}
+   */
+  async createAnswer(offer) {
+    const isRenegotiation = this[_answer] !== null;
+    const description = sdp.parse(offer);
+    let setup = null;
 
-    if (!mediadata) {
-      throw new Error('Datachannel not found');
+    // The offer is checked before it's applied, RFC 8842, section 5.2.
+    try {
+      setup = getSetup(description);
+
+      if (!['actpass', 'active', 'passive'].includes(setup)) {
+        throw new Error(`Invalid DTLS setup attribute in offer: ${setup}`);
+      }
+    } catch (err) {
+      this.close();
+      throw err;
     }
 
-    const mid =
-      Array.isArray(groups) && groups.length > 0 ? groups[0].mids : 'data';
+    this[_offer] = description;
+    this.emit('offer', this[_offer]);
 
-    const { candidates } = mediadata;
+    if (isRenegotiation) {
+      await this.renegotiate(this[_offer]);
+    } else {
+      try {
+        this.setRemoteDescription(this[_offer]);
+      } catch (err) {
+        this.close();
+        throw err;
+      }
 
-    this[_peerIceUsername] = mediadata.iceUfrag;
-    this[_peerIcePassword] = mediadata.icePwd;
+      // The answerer is controlled unless the offerer is ICE lite.
+      this[_agent].controlling = this[_offer].icelite === 'ice-lite';
 
-    this[_peerFingerprint] =
-      (fgprint && fgprint.hash) || mediadata.fingerprint.hash;
+      // Prefer DTLS client role when the peer leaves the choice to us.
+      this[_dtlsRole] =
+        setup === 'active' ? DTLS_ROLE_SERVER : DTLS_ROLE_CLIENT;
 
-    if (!Array.isArray(candidates)) {
-      throw new TypeError('Session should have at least one candidate');
+      await this.listen();
     }
 
-    candidates
-      .filter(candidate => isIPv4(candidate.ip))
-      .forEach(({ ip, port, priority }) => {
-        this.appendCandidate(ip, port, priority);
-        this.emit('candidate');
-      });
+    const { media } = this[_offer];
+    const mediadata = findDataChannel(this[_offer]);
+    const { mid, protocol } = mediadata;
 
-    await this.listen();
+    // Only the data channel is supported, other media are rejected.
+    const index = media.indexOf(mediadata);
+    const rejected = media.filter(item => item !== mediadata);
 
     this[_answer] = sdp.create({
+      sessionId: this[_sdpSessionId],
+      sessionVersion: this[_sdpSessionVersion],
       username: this.username,
       password: this[_icePassword],
-      fingerprint: this[_fingerprint],
+      fingerprints: this[_fingerprints],
       mid,
-      candidates: [
-        {
-          ip: this[_internalIp],
-          port: this.port,
-          type: 'host',
-        },
-        {
-          ip: this[_publicIp],
-          port: this.port,
-          type: 'srflx',
-        },
-      ],
+      bundle: isBundled(this[_offer], mid),
+      rejected,
+      index,
+      setup: this.dtlsRole === DTLS_ROLE_SERVER ? 'passive' : 'active',
+      candidates: this.localCandidates.map(item => this.announce(item)),
+      endOfCandidates: this[_gatheringComplete],
+      maxMessageSize: MAX_MESSAGE_SIZE,
+      streams: SCTP_STREAMS,
+      // Answer in the SDP format of the offer.
+      legacySctp: protocol === SCTP_LEGACY_PROTOCOL,
     });
 
     this.emit('answer', this[_answer]);
@@ -210,285 +478,1716 @@ class Session extends Emitter {
   }
 
   /**
-   * Start internal ICE server.
-   * @param {number} port
+   * Apply subsequent offer of the peer. New ICE credentials
+   * of the peer mean ICE restart, RFC 8445, section 9.
+   * DTLS and SCTP associations are kept.
+   * @param {object} description parsed SDP of the peer
    */
-  async listen(port = 0) {
-    const listenUDP = new Promise(resolve => {
-      this[_socket].bind(port, '0.0.0.0', resolve);
-    });
+  async renegotiate(description) {
+    const mediadata = findDataChannel(description);
+    const username = mediadata.iceUfrag || description.iceUfrag;
+    const password = mediadata.icePwd || description.icePwd;
 
-    await listenUDP;
+    const isRestart =
+      username !== this[_peerIceUsername] ||
+      password !== this[_peerIcePassword];
 
-    this.startSTUN();
+    if (isRestart) {
+      this.restartIce();
+    }
 
-    // Start DTLS server after first STUN answer.
-    this.stun.once(STUN_EVENT_BINDING_RESPONSE, () => this.startDTLS());
+    this.setRemoteDescription(description);
+
+    if (isRestart) {
+      this.gather();
+    }
   }
 
   /**
-   * Starts STUN server.
+   * Restart ICE with new local credentials.
+   * Candidates should be gathered again via `gather()`.
    */
-  startSTUN() {
-    console.log('[nodertc][stun] start');
+  restartIce() {
+    console.log('[nodertc][ice] restart');
 
-    this[_stun] = stun.createServer(this[_socket]);
+    const mux = this[_mux];
 
-    setInterval(() => {
-      if (this[_candidates].length === 0) {
-        return;
-      }
+    this[_iceUsername] = mux ? mux.createUsername() : createUsername();
+    this[_icePassword] = createPassword();
+    this[_sdpSessionVersion] += 1;
 
-      const { primaryAddress, primaryPort } = this[_candidates];
-      const request = stun.createMessage(STUN_BINDING_REQUEST);
+    Array.from(this[_sockets].values())
+      .filter(socket => isMuxSocket(socket))
+      .forEach(socket => socket.setUsername(this[_iceUsername]));
 
-      const outuser = `${this[_peerIceUsername]}:${this[_iceUsername]}`;
-      request.addAttribute(STUN_ATTR_USERNAME, outuser);
-      request.addAttribute(STUN_ATTR_USE_CANDIDATE);
-      request.addAttribute(STUN_ATTR_ICE_CONTROLLING, tieBreaker);
-      request.addAttribute(STUN_ATTR_PRIORITY, 2113937151);
-      request.addMessageIntegrity(this[_peerIcePassword]);
-      request.addFingerprint();
+    this[_peerIceUsername] = null;
+    this[_peerIcePassword] = null;
+    this[_remoteGatheringComplete] = false;
+
+    this[_agent].restart(this[_iceUsername], this[_icePassword]);
+    this[_agent].start();
+  }
+
+  /**
+   * Picks ICE credentials, fingerprint and candidates of the peer.
+   * @param {object} description parsed SDP of the peer
+   */
+  setRemoteDescription(description) {
+    const mediadata = findDataChannel(description);
+    const fingerprints = getFingerprints(description, mediadata);
 
-      this.stun.send(request, primaryPort, primaryAddress);
-    }, 1e3).unref();
+    // The certificate of the peer can't be verified, RFC 8122, section 5.
+    if (fingerprints.length === 0) {
+      throw new Error('Fingerprint not found');
+    }
 
-    this.stun.on(STUN_EVENT_BINDING_REQUEST, (req, rinfo) => {
-      assert(stun.validateFingerprint(req));
-      assert(stun.validateMessageIntegrity(req, this[_icePassword]));
+    const { candidates } = mediadata;
 
-      const userattr = req.getAttribute(STUN_ATTR_USERNAME);
-      const sender = userattr.value.toString('ascii');
-      const expectedSender = `${this[_iceUsername]}:${this[_peerIceUsername]}`;
-      assert(sender === expectedSender);
+    this[_peerIceUsername] = mediadata.iceUfrag || description.iceUfrag;
+    this[_peerIcePassword] = mediadata.icePwd || description.icePwd;
 
-      const response = stun.createMessage(
-        STUN_BINDING_RESPONSE,
-        req.transactionId
-      );
+    this[_agent].setRemoteCredentials(
+      this[_peerIceUsername],
+      this[_peerIcePassword]
+    );
 
-      response.addAttribute(
-        STUN_ATTR_XOR_MAPPED_ADDRESS,
-        rinfo.address,
-        rinfo.port
-      );
+    this[_peerFingerprints] = fingerprints;
 
-      response.addMessageIntegrity(this[_icePassword]);
-      response.addFingerprint();
+    this[_peerMaxMessageSize] = getMaxMessageSize(mediadata);
+    this[_peerSctpPort] = getSctpPort(mediadata);
 
-      this.stun.send(response, rinfo.port, rinfo.address);
-    });
+    // Candidates may be trickled later via `addIceCandidate()`.
+    if (Array.isArray(candidates)) {
+      candidates.forEach(candidate => this.addRemoteCandidate(candidate));
+    }
 
-    this.stun.on(STUN_EVENT_BINDING_ERROR_RESPONSE, req => {
-      console.error('[nodertc][stun] got error', req);
-    });
+    if (mediadata.endOfCandidates) {
+      this[_remoteGatheringComplete] = true;
+      this[_agent].endOfCandidates();
+    }
   }
 
   /**
-   * Starts DTLS client.
+   * Add a remote candidate received over signaling.
+   * Empty or missing candidate means the end of candidates.
+   * @param {string|object} [candidate] `candidate` attribute,
+   *  RTCIceCandidateInit or parsed candidate.
    */
-  startDTLS() {
-    console.log('[nodertc][dtls] start');
+  addIceCandidate(candidate) {
+    if (this[_peerIceUsername] === null) {
+      throw new Error('Remote description is not set');
+    }
 
-    const options = {
-      socket: this[_usocket],
-      certificate: this[_certificate],
-      certificatePrivateKey: this[_privateKey],
-      checkServerIdentity: certificate =>
-        fingerprint(certificate.raw, 'sha256') === this[_peerFingerprint],
-    };
+    let value = candidate;
 
-    this[_dtls] = dtls.connect(options);
+    if (value !== null && typeof value === 'object' && !('ip' in value)) {
+      value = value.candidate;
+    }
 
-    this.dtls.once('connect', () => {
-      console.log('[nodertc][dtls] successful connected!');
-    });
+    if (value === undefined || value === null || value === '') {
+      this[_remoteGatheringComplete] = true;
+      this[_agent].endOfCandidates();
+      return;
+    }
 
-    this.dtls.on('error', err => {
-      console.error('[nodertc][dtls]', err);
-    });
+    if (typeof value === 'string') {
+      value = sdp.parseCandidate(value);
+    }
 
-    this.startSCTP();
+    this.addRemoteCandidate(value);
   }
 
   /**
-   * Starts SCTP server.
+   * Add parsed remote candidate.
+   * @param {object} candidate
    */
-  startSCTP() {
-    console.log('[nodertc][sctp] start');
-
-    this.sctp = sctp.createServer({
-      transport: this.dtls,
-    });
-
-    this.sctp.once('listening', () => {
-      console.log('[nodertc][sctp] server started');
-    });
+  addRemoteCandidate(candidate) {
+    // ICE-TCP candidates, RFC 6544, are not supported.
+    if (String(candidate.transport).toLowerCase() !== 'udp') {
+      return;
+    }
 
-    this.sctp.on('connection', socket => {
-      console.log('[nodertc][sctp] got a new connection!');
+    if (isMdnsName(candidate.ip) && this[_mdns] !== null) {
+      this.resolveCandidate(candidate);
+      return;
+    }
 
-      socket.on('stream', sctpStreamIn => {
-        console.log('[nodertc][sctp] got stream %s', sctpStreamIn.stream_id);
+    if (!isIP(candidate.ip)) {
+      return;
+    }
 
-        const sctpStreamOut = socket.createStream(sctpStreamIn.stream_id);
+    // No host candidates of the address family.
+    const isSupported = Array.from(this[_sockets].keys()).some(
+      address => isIPv6(address) === isIPv6(candidate.ip)
+    );
 
-        const channel = createChannel({
-          input: sctpStreamIn,
-          output: sctpStreamOut,
-          negotiated: true,
-        });
+    if (!isSupported) {
+      return;
+    }
 
-        channel.once('open', () => {
-          this.emit('channel', channel);
-        });
-      });
+    this[_agent].addRemoteCandidate(candidate);
+  }
 
-      socket.on('error', err => {
-        console.error('[nodertc][sctp]', err);
-      });
-    });
+  /**
+   * Resolve mDNS name of the remote candidate.
+   * @param {object} candidate
+   */
+  async resolveCandidate(candidate) {
+    let address;
+
+    try {
+      address = await this[_mdns].resolve(candidate.ip);
+    } catch (err) {
+      if (!this[_closed]) {
+        this.reportError(errorCodes.ERR_MDNS, err);
+      }
+      return;
+    }
 
-    this.sctp.on('error', err => {
-      console.error('[nodertc][sctp]', err);
-    });
+    if (this[_closed]) {
+      return;
+    }
 
-    this.sctp.listen(5000); // Port defined in SDP
+    console.log('[nodertc][mdns] resolved %s to %s', candidate.ip, address);
+    this.addRemoteCandidate(Object.assign({}, candidate, { ip: address }));
   }
 
   /**
-   * Add a new candidate.
-   * @param {string} address
-   * @param {number} port
-   * @param {number} priority
+   * Open a new data channel.
+   * @param {string} [label]
+   * @param {object} [options]
+   * @param {boolean} [options.ordered]
+   * @param {number} [options.maxRetransmits] not supported, throws
+   * @param {number} [options.maxPacketLifeTime] not supported, throws
+   * @param {string} [options.protocol]
+   * @param {boolean} [options.negotiated] the channel is negotiated
+   *  by the application, `id` is required
+   * @param {number} [options.id] SCTP stream identifier of negotiated channel
+   * @returns {Promise<DataChannel>} resolves when the channel is open
    */
-  appendCandidate(address, port, priority) {
-    this[_candidates].push(address, port, priority);
+  async createDataChannel(label = '', options = {}) {
+    const negotiated = options.negotiated === true;
 
-    const { primaryAddress, primaryPort } = this[_candidates];
+    if (negotiated && !Number.isInteger(options.id)) {
+      throw new TypeError('Negotiated channel requires id');
+    }
 
-    console.log('[nodertc] primary address', primaryAddress);
-    console.log('[nodertc] primary port', primaryPort);
+    await this.waitAssociation();
+    const id = negotiated ? options.id : this.allocateStreamId();
 
-    if (this[_usocket] === null) {
-      this[_usocket] = unicast.createSocket({
-        socket: this[_socket],
-        remoteAddress: primaryAddress,
-        remotePort: primaryPort,
-        messagesFilter: () => true,
-      });
-    } else {
-      this[_usocket].remoteAddress = primaryAddress;
-      this[_usocket].remotePort = primaryPort;
+    if (this[_channels].has(id)) {
+      throw new Error(`Stream ${id} is already in use`);
     }
-  }
-}
 
-/**
- * Base class for WebRTC.
- */
-class NodeRTC extends Emitter {
-  /**
-   * @constructor
-   * @param {object} options
-   * @param {Buffer} options.certificate
-   * @param {Buffer} options.certificatePrivateKey
-   */
-  constructor(options = {}) {
-    super();
+    const channel = new DataChannel(this[_sendQueue], {
+      id,
+      label,
+      protocol: options.protocol,
+      ordered: options.ordered,
+      maxRetransmits: options.maxRetransmits,
+      maxPacketLifeTime: options.maxPacketLifeTime,
+      negotiated,
+      maxMessageSize: this[_peerMaxMessageSize],
+    });
 
-    this[_sessions] = [];
-    this[_certificate] = options.certificate;
-    this[_privateKey] = options.certificatePrivateKey;
+    this.addChannel(channel);
+
+    await new Promise((resolve, reject) => {
+      const finish = () => {
+        channel.removeListener('open', onopen);
+        channel.removeListener('close', onclose);
+      };
 
-    this[_publicIp] = null;
-    this[_internalIp] = null;
+      /**
+       * The channel is ready.
+       */
+      function onopen() {
+        finish();
+        resolve();
+      }
 
-    assert(Buffer.isBuffer(this[_certificate]), 'Invalid certificate');
+      /**
+       * The peer or the session has closed the channel.
+       */
+      function onclose() {
+        finish();
+        reject(new Error('Channel is closed'));
+      }
 
-    const isValidPrivateKey = Buffer.isBuffer(this[_privateKey]);
-    assert(isValidPrivateKey, 'Invalid certificate private key');
+      channel.once('open', onopen);
+      channel.once('close', onclose);
+      channel.open();
+    });
 
-    // Client certificate fingerprint.
-    this[_fingerprint] = fingerprint(pem.decode(this[_certificate]), 'sha256');
+    console.log('[nodertc][sctp] open channel %s on stream %s', label, id);
+    return channel;
   }
 
   /**
-   * @returns {number} the number of an active sessions
+   * Get port of the first host candidate of the address family.
+   * @param {string} family `IPv4` or `IPv6`
+   * @returns {number|null}
    */
-  get size() {
-    return this[_sessions].length;
+  getPort(family) {
+    for (const [address, socket] of this[_sockets]) {
+      if (isIPv6(address) === (family === 'IPv6')) {
+        return socket.address().port;
+      }
+    }
+
+    return null;
   }
 
   /**
-   * Public address.
-   * @returns {string}
+   * Get host candidate of the socket bound to the local address,
+   * as the ICE agent knows it.
+   * @param {string} address
+   * @returns {{type: string, ip: string, port: number}}
    */
-  get external() {
-    return this[_publicIp];
+  getHostCandidate(address) {
+    const { port } = this[_sockets].get(address).address();
+    return { type: 'host', ip: address, port };
   }
 
   /**
-   * Internal address.
-   * @returns {string}
+   * Gathers local ICE candidates. Host candidates are ready on return
+   * and go to the description, server reflexive and relayed candidates
+   * are trickled as `icecandidate` events, `null` marks the end of candidates.
    */
-  get internal() {
-    return this[_internalIp];
+  gather() {
+    // Each address with a bound socket is a host candidate.
+    const hosts = this[_addresses].filter(({ address }) =>
+      this[_sockets].has(address)
+    );
+
+    this[_localCandidates] = [];
+    this[_gatheringComplete] = false;
+
+    if (this[_publishHostnames]) {
+      hosts.forEach(({ address }) => {
+        if (!this[_hostnames].has(address)) {
+          this[_hostnames].set(address, this[_mdns].publish(address));
+        }
+      });
+    }
+
+    // Earlier interfaces are preferred.
+    hosts.forEach(({ address }, i) => {
+      const candidate = {
+        foundation: candidateFoundation('host', address),
+        priority: candidatePriority('host', 65535 - i),
+        ip: address,
+        port: this[_sockets].get(address).address().port,
+        type: 'host',
+      };
+
+      this.addLocalCandidate(candidate, false);
+    });
+
+    this.gatherFromServers(hosts);
   }
 
   /**
-   * Creates new webrtc session.
-   * @returns {Session}
+   * Gathers server reflexive and relayed candidates in the background.
+   * @param {object[]} hosts addresses of the network interfaces
    */
-  createSession() {
-    const session = new Session({
-      external: this[_publicIp],
-      internal: this[_internalIp],
-      certificate: this[_certificate],
-      privateKey: this[_privateKey],
-      fingerprint: this[_fingerprint],
+  async gatherFromServers(hosts) {
+    const requests = [];
+
+    // Secure STUN and TURN over TCP / TLS are not supported.
+    const servers = this[_iceServers].filter(({ url, secure, transport }) => {
+      if (secure || transport !== 'udp') {
+        console.log('[nodertc][ice] unsupported ICE server %s', url);
+        return false;
+      }
+
+      return true;
     });
 
-    this[_sessions].push(session);
+    const stunServers = servers.filter(({ type }) => type === 'stun');
+    const turnServers = servers.filter(({ type }) => type === 'turn');
 
-    session.once('close', () => {
-      const i = this[_sessions].indexOf(session);
+    turnServers.forEach(server => {
+      requests.push(this.allocateRelay(server, hosts));
+    });
 
-      if (i > -1) {
-        this[_sessions].splice(i, 1);
-      }
+    // Each host candidate is a base of server reflexive candidate,
+    // RFC 8445, section 5.1.1.2.
+    stunServers.forEach(server => {
+      hosts.forEach((base, i) => {
+        requests.push(this.discoverReflexive(server, base, 65535 - i));
+      });
     });
 
-    this.emit('session', session);
+    // Without servers the description has all candidates.
+    if (requests.length > 0) {
+      await Promise.all(requests);
+    }
 
-    return session;
+    this[_gatheringComplete] = true;
+
+    setImmediate(() => {
+      this.emit('icecandidate', null);
+    });
   }
 
   /**
-   * Prepares WebRTC server to work.
+   * Learn server reflexive address of the socket using STUN server.
+   * @param {object} server parsed url of STUN server
+   * @param {object} base the host address used as the base
+   * @param {number} localPreference
    */
-  async start() {
-    const [external, internal] = await Promise.all([
-      publicIp.v4(),
-      internalIp.v4(),
-    ]);
+  async discoverReflexive(server, base, localPreference) {
+    const family = base.family === 'IPv6' ? 6 : 4;
+    let response;
 
-    this[_publicIp] = external;
-    this[_internalIp] = internal;
+    try {
+      const { address } = await lookup(server.host, { family });
 
-    console.log('[nodertc] external ip', external);
-    console.log('[nodertc] internal ip', internal);
-    this.emit('ready');
-  }
-}
+      // Server address is an IP literal of another family.
+      if (isIPv6(address) !== (family === 6)) {
+        return;
+      }
 
-/**
- * Creates an instance of NodeRTC.
- * @param {object} options
- * @param {Buffer} options.certificate
- * @param {Buffer} options.certificatePrivateKey
- * @returns {NodeRTC}
- */
-function create(options = {}) {
-  return new NodeRTC(options);
+      const request = stun.createMessage(STUN_BINDING_REQUEST);
+
+      request.addFingerprint();
+
+      response = await stunClient.request(
+        this[_agent].getServer(this.getHostCandidate(base.address)),
+        request,
+        server.port,
+        address
+      );
+    } catch (err) {
+      console.log('[nodertc][stun] %s failed: %s', server.url, err.message);
+      return;
+    }
+
+    const mapped =
+      response.message.getAttribute(STUN_ATTR_XOR_MAPPED_ADDRESS) ||
+      response.message.getAttribute(STUN_ATTR_MAPPED_ADDRESS);
+
+    if (mapped !== undefined) {
+      const { address, port } = mapped.value;
+      this.addReflexiveCandidate(
+        { address, port },
+        base,
+        server,
+        localPreference
+      );
+    }
+  }
+
+  /**
+   * Add server reflexive candidate unless it is already known.
+   * @param {{address: string, port: number}} mapped
+   * @param {object} base the host address used as the base
+   * @param {object} server parsed url of STUN / TURN server
+   * @param {number} localPreference
+   */
+  addReflexiveCandidate(mapped, base, server, localPreference) {
+    const { address: ip, port } = mapped;
+    const localPort = this[_sockets].get(base.address).address().port;
+
+    // Not behind NAT or the address is already known.
+    const isKnown = this.localCandidates.some(
+      candidate => candidate.ip === ip && candidate.port === port
+    );
+
+    if (isKnown) {
+      return;
+    }
+
+    const serverAddress = `${server.host}:${server.port}`;
+
+    this.addLocalCandidate({
+      foundation: candidateFoundation(
+        'srflx',
+        base.address,
+        'udp',
+        serverAddress
+      ),
+      priority: candidatePriority('srflx', localPreference),
+      ip,
+      port,
+      type: 'srflx',
+      raddr: base.address,
+      rport: localPort,
+    });
+  }
+
+  /**
+   * Allocate relayed candidate on TURN server.
+   * The allocation is reused on ICE restart.
+   * @param {object} server parsed url of TURN server
+   * @param {object[]} hosts addresses of the network interfaces
+   */
+  async allocateRelay(server, hosts) {
+    let client = this[_relays].get(server.url);
+    const isNew = client === undefined;
+
+    if (isNew) {
+      client = await this.createAllocation(server, hosts);
+
+      if (client === null) {
+        return;
+      }
+    }
+
+    const family = client.type === 'udp6' ? 'IPv6' : 'IPv4';
+    const base = hosts.find(host => host.family === family);
+    const socket = this[_sockets].get(base.address);
+
+    const { address: ip, port } = client.relayed;
+    const serverAddress = `${server.host}:${server.port}`;
+    const localPreference = 65535 - hosts.indexOf(base);
+
+    const candidate = {
+      foundation: candidateFoundation('relay', ip, 'udp', serverAddress),
+      priority: candidatePriority('relay', localPreference),
+      ip,
+      port,
+      type: 'relay',
+    };
+
+    if (client.mapped !== null) {
+      candidate.raddr = client.mapped.address;
+      candidate.rport = client.mapped.port;
+    }
+
+    if (isNew) {
+      this[_relays].set(server.url, client);
+
+      client.on('message', (data, rinfo) => this.handleDatagram(data, rinfo));
+      client.once('close', () => this[_relays].delete(server.url));
+
+      this[_agent].addSocket(client, candidate);
+    }
+
+    this.addLocalCandidate(candidate);
+
+    // Allocate response also contains server reflexive address,
+    // it's unrelated to the shared UDP port.
+    if (client.mapped !== null && !isMuxSocket(socket)) {
+      this.addReflexiveCandidate(client.mapped, base, server, localPreference);
+    }
+  }
+
+  /**
+   * Create an allocation on TURN server.
+   * @param {object} server parsed url of TURN server
+   * @param {object[]} hosts addresses of the network interfaces
+   * @returns {Promise<TurnClient|null>} `null` if allocation has failed
+   */
+  async createAllocation(server, hosts) {
+    let client = null;
+
+    try {
+      const { address, family } = await lookup(server.host);
+
+      // The first host candidate of the family is the base.
+      const base = hosts.find(host => host.family === `IPv${family}`);
+
+      if (base === undefined) {
+        return null;
+      }
+
+      const shared = this[_sockets].get(base.address);
+      const { socket, server: stunServer } = isMuxSocket(shared)
+        ? await createRelaySocket(shared.type)
+        : {
+            socket: shared,
+            server: this[_agent].getServer(this.getHostCandidate(base.address)),
+          };
+
+      client = new TurnClient({
+        socket,
+        server: stunServer,
+        address,
+        port: server.port,
+        username: server.username,
+        credential: server.credential,
+      });
+
+      client.on('error', err => this.reportError(errorCodes.ERR_TURN, err));
+
+      if (socket !== shared) {
+        // Let the deallocation go out first.
+        client.once('close', () => setImmediate(() => socket.close()));
+      }
+
+      await client.allocate();
+    } catch (err) {
+      console.log('[nodertc][turn] %s failed: %s', server.url, err.message);
+
+      if (client !== null) {
+        client.close();
+      }
+      return null;
+    }
+
+    if (this[_closed]) {
+      client.close();
+      return null;
+    }
+
+    return client;
+  }
+
+  /**
+   * Add gathered local candidate and emit `icecandidate` event.
+   * @param {object} candidate
+   * @param {boolean} [trickle] `false` if the candidate is
+   *  in the local description
+   */
+  addLocalCandidate(candidate, trickle = true) {
+    const [formatted] = sdp.formatCandidates([candidate]);
+
+    this[_localCandidates].push(candidate);
+    this[_agent].addLocalCandidate(formatted);
+
+    if (!trickle) {
+      return;
+    }
+
+    const [announced] = sdp.formatCandidates([this.announce(candidate)]);
+
+    setImmediate(() => {
+      this.emit('icecandidate', sdp.writeCandidate(announced));
+    });
+  }
+
+  /**
+   * Get the local candidate as it's announced to the peer.
+   * Published host addresses are replaced by mDNS names,
+   * draft-ietf-mmusic-mdns-ice-candidates, section 3.1
+   * @param {object} candidate
+   * @returns {object}
+   */
+  announce(candidate) {
+    const hostnames = this[_hostnames];
+
+    if (candidate.type === 'host' && hostnames.has(candidate.ip)) {
+      return Object.assign({}, candidate, { ip: hostnames.get(candidate.ip) });
+    }
+
+    if (hostnames.has(candidate.raddr)) {
+      return Object.assign({}, candidate, { raddr: '0.0.0.0', rport: 0 });
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Start internal ICE server.
+   * @param {number} port ignored when UDP port is shared
+   */
+  async listen(port = 0) {
+    if (this[_closed]) {
+      throw new Error('Session is closed');
+    }
+
+    const bind = (address, socket) =>
+      new Promise(resolve => {
+        const onerror = err => {
+          console.log('[nodertc] %s is not available:', address, err.message);
+
+          socket.close();
+          this[_sockets].delete(address);
+          resolve();
+        };
+
+        socket.once('error', onerror);
+        socket.bind(port, address, () => {
+          socket.removeListener('error', onerror);
+          resolve();
+        });
+      });
+
+    await Promise.all(
+      Array.from(this[_sockets], ([address, socket]) => bind(address, socket))
+    );
+
+    this[_sockets].forEach((socket, address) => {
+      this[_agent].addSocket(socket, this.getHostCandidate(address));
+      socket.on('message', (data, rinfo) => this.handleDatagram(data, rinfo));
+    });
+
+    // Start DTLS client after ICE selects a candidate pair,
+    // later DTLS moves to the newly selected pair.
+    this[_agent].on('selectedpair', pair => {
+      this.useCandidatePair(pair);
+
+      if (this.dtls === null) {
+        this.startDTLS();
+      }
+
+      this.emit('selectedcandidatepairchange', pair);
+    });
+
+    this.startSTUN();
+    this.gather();
+  }
+
+  /**
+   * Pass incoming DTLS packet to the transport.
+   * Packets from addresses not validated by ICE are dropped.
+   * @param {Buffer} data
+   * @param {object} rinfo
+   */
+  handleDatagram(data, rinfo) {
+    if (isDtls(data) && this.isValidSource(rinfo)) {
+      this[_transport].process(data);
+    }
+  }
+
+  /**
+   * Check if the remote address belongs to a valid candidate pair
+   * or to the pair DTLS is currently using, e.g. during ICE restart.
+   * @param {{address: string, port: number}} rinfo
+   * @returns {boolean}
+   */
+  isValidSource({ address, port }) {
+    const transport = this[_transport];
+
+    if (transport.remoteAddress === address && transport.remotePort === port) {
+      return true;
+    }
+
+    return this[_agent].checklist.valid.some(
+      ({ remote }) => remote.ip === address && remote.port === port
+    );
+  }
+
+  /**
+   * Starts ICE connectivity checks.
+   */
+  startSTUN() {
+    console.log('[nodertc][stun] start');
+
+    this[_agent].on('checking', () => {
+      // The previously selected pair is used during ICE restart.
+      if (this.iceConnectionState === 'connected') {
+        return;
+      }
+
+      this.setIceConnectionState('checking');
+      this.setConnectionState(
+        this[_dtlsConnected] ? 'connected' : 'connecting'
+      );
+    });
+
+    this[_agent].on('selectedpair', () => {
+      this.setIceConnectionState('connected');
+    });
+
+    this[_agent].on('requesterror', err => {
+      this.reportError(errorCodes.ERR_STUN, err);
+    });
+
+    this[_agent].on('failed', () => {
+      this.reportError(
+        errorCodes.ERR_ICE_FAILED,
+        'All candidate pairs have failed'
+      );
+
+      this.setIceConnectionState('failed');
+      this.setConnectionState('failed');
+    });
+
+    this[_agent].on('disconnected', () => {
+      console.log('[nodertc][ice] peer does not respond');
+
+      this.setIceConnectionState('disconnected');
+      this.setConnectionState('disconnected');
+    });
+
+    this[_agent].on('reconnected', () => {
+      this.setIceConnectionState('connected');
+      this.setConnectionState(
+        this[_dtlsConnected] ? 'connected' : 'connecting'
+      );
+    });
+
+    this[_agent].once('consentexpired', () => {
+      this.reportError(errorCodes.ERR_ICE_CONSENT_EXPIRED, 'Consent expired');
+
+      this.setIceConnectionState('failed');
+      this.setConnectionState('failed');
+
+      // Don't send anything to the peer anymore, RFC 7675, section 5.2,
+      // neither SCTP ABORT nor DTLS close_notify.
+      this[_association] = null;
+
+      if (this.dtls !== null) {
+        this.dtls.destroy();
+      }
+
+      this.close();
+    });
+
+    this[_agent].start();
+  }
+
+  /**
+   * Starts DTLS in the negotiated role.
+   */
+  startDTLS() {
+    console.log('[nodertc][dtls] start as %s', this.dtlsRole);
+
+    const options = {
+      socket: this[_transport],
+      certificate: this[_certificate],
+      certificatePrivateKey: this[_privateKey],
+    };
+
+    if (this.dtlsRole === DTLS_ROLE_SERVER) {
+      options.checkClientIdentity = certificate =>
+        fingerprint.verify(certificate, this[_peerFingerprints]);
+
+      this[_dtls] = new DtlsServer(options);
+    } else {
+      options.checkServerIdentity = certificate =>
+        fingerprint.verify(certificate.raw, this[_peerFingerprints]);
+
+      this[_dtls] = dtls.connect(options);
+    }
+
+    this.dtls.once('connect', () => {
+      console.log('[nodertc][dtls] successful connected!');
+
+      this[_dtlsConnected] = true;
+      this.setConnectionState('connected');
+
+      if (this.dtlsRole === DTLS_ROLE_CLIENT) {
+        setTimeout(() => this.connectSCTP(), SCTP_CONNECT_DELAY);
+      }
+    });
+
+    this.dtls.on('error', err => {
+      this.reportError(errorCodes.ERR_DTLS, err);
+      this.fail();
+    });
+
+    this.startSCTP();
+  }
+
+  /**
+   * Starts SCTP server.
+   */
+  startSCTP() {
+    console.log('[nodertc][sctp] start');
+
+    this.sctp = sctp.createServer({
+      transport: this.dtls,
+    });
+
+    this.sctp.once('listening', () => {
+      console.log('[nodertc][sctp] server started');
+
+      enableReconfig(this.sctp.endpoint);
+    });
+
+    this.sctp.on('connection', socket => {
+      console.log('[nodertc][sctp] got a new connection!');
+
+      if (socket.remotePort !== this[_peerSctpPort]) {
+        console.log(
+          '[nodertc][sctp] unexpected port %s, expected %s',
+          socket.remotePort,
+          this[_peerSctpPort]
+        );
+
+        socket.destroy();
+        return;
+      }
+
+      this.useAssociation(socket);
+    });
+
+    this.sctp.on('error', err => {
+      this.reportError(errorCodes.ERR_SCTP, err);
+      this.fail();
+    });
+
+    // Port defined in SDP
+    this[_sctpTimers] = captureIntervals(() => {
+      this.sctp.listen({
+        port: sdp.SCTP_PORT,
+        OS: SCTP_STREAMS,
+        MIS: SCTP_STREAMS,
+      });
+    });
+  }
+
+  /**
+   * Open SCTP association if the peer hasn't opened it.
+   * Browsers send INIT right after the DTLS handshake,
+   * but NodeRTC only listens in the DTLS server role.
+   */
+  connectSCTP() {
+    if (this[_closed] || this[_association] !== null) {
+      return;
+    }
+
+    console.log('[nodertc][sctp] connect');
+
+    const { endpoint } = this.sctp;
+    const association = endpoint.ASSOCIATE({
+      remotePort: this[_peerSctpPort],
+      OS: SCTP_STREAMS,
+      MIS: SCTP_STREAMS,
+    });
+
+    const socket = new sctp.Socket({});
+    socket.establish(endpoint, association);
+
+    association.once('COMMUNICATION UP', () => {
+      if (this[_closed]) {
+        socket.destroy();
+      } else if (this[_association] === null) {
+        this.useAssociation(socket);
+      }
+    });
+  }
+
+  /**
+   * Set up the data channels over the established association.
+   * @param {sctp.Socket} socket
+   */
+  useAssociation(socket) {
+    this[_association] = socket;
+    this[_streamReset] = new StreamReset(socket.association);
+    this[_sendQueue] = new SendQueue(socket.association);
+
+    this[_streamReset].on('incoming', streams => {
+      this.findChannels(streams).forEach(channel =>
+        channel.handleIncomingReset()
+      );
+    });
+
+    // Channels are closed if the peer doesn't answer the request,
+    // so their stream ids don't stay in use forever.
+    this[_streamReset].on('outgoing', (streams, success) => {
+      this.findChannels(streams).forEach(channel => {
+        if (success) {
+          channel.handleOutgoingReset();
+        } else {
+          channel.terminate();
+        }
+      });
+    });
+
+    // The socket API of `@nodertc/sctp` drops payload protocol identifiers,
+    // so messages of the channels are taken from the reassembly queue.
+    socket.association.reassembly.on('data', (data, streamId, ppid) => {
+      const channel = this[_channels].get(streamId);
+
+      if (channel === undefined) {
+        this.acceptChannel(streamId, data, ppid);
+      } else {
+        channel.handleMessage(data, ppid);
+      }
+    });
+
+    // All messages are delivered by the channels.
+    socket.resume();
+
+    socket.on('error', err => {
+      this.reportError(errorCodes.ERR_SCTP, err);
+      this.fail();
+    });
+
+    // The peer has closed the association.
+    socket.once('end', () => {
+      console.log('[nodertc][sctp] connection closed');
+
+      this[_association] = null;
+      this.close();
+    });
+
+    this.emit('association', socket);
+  }
+
+  /**
+   * Accept the channel opened by the peer, RFC 8832, section 6.
+   * @param {number} id SCTP stream identifier
+   * @param {Buffer} message the first message of the stream
+   * @param {number} ppid payload protocol identifier
+   */
+  acceptChannel(id, message, ppid) {
+    const channel = new DataChannel(this[_sendQueue], {
+      id,
+      maxMessageSize: this[_peerMaxMessageSize],
+    });
+
+    this.addChannel(channel);
+
+    channel.once('open', () => {
+      console.log(
+        '[nodertc][sctp] got channel %s on stream %s',
+        channel.label,
+        id
+      );
+
+      this.emit('channel', channel);
+    });
+
+    if (!channel.accept(message, ppid)) {
+      console.log('[nodertc][sctp] unexpected message on stream %s', id);
+      channel.terminate();
+    } else if (channel.readyState === 'closing') {
+      this.emit('channeldeclined', channel);
+    }
+  }
+
+  /**
+   * Track the channel until it is closed.
+   * @param {DataChannel} channel
+   */
+  addChannel(channel) {
+    const { id } = channel;
+
+    this[_channels].set(id, channel);
+
+    // Queued messages of the stream are sent before the reset.
+    channel.once('closing', () => {
+      if (this[_sendQueue] !== null) {
+        this[_sendQueue].flush(() => this[_streamReset].reset(id));
+      }
+    });
+
+    // The stream is free for a new channel.
+    channel.once('close', () => this[_channels].delete(id));
+  }
+
+  /**
+   * Get channels of SCTP streams.
+   * @param {number[]} streams stream identifiers, all streams if empty
+   * @returns {DataChannel[]}
+   */
+  findChannels(streams) {
+    if (streams.length === 0) {
+      return Array.from(this[_channels].values());
+    }
+
+    return streams
+      .map(id => this[_channels].get(id))
+      .filter(channel => channel !== undefined);
+  }
+
+  /**
+   * Wait for SCTP association with the peer.
+   * @returns {Promise<sctp.Socket>}
+   */
+  async waitAssociation() {
+    if (this[_closed]) {
+      throw new Error('Session is closed');
+    }
+
+    if (this[_association] !== null) {
+      return this[_association];
+    }
+
+    return new Promise((resolve, reject) => {
+      const finish = () => {
+        this.removeListener('association', onassociation);
+        this.removeListener('close', onclose);
+      };
+
+      /**
+       * @param {sctp.Socket} socket
+       */
+      function onassociation(socket) {
+        finish();
+        resolve(socket);
+      }
+
+      /**
+       * The session is closed before the association is established.
+       */
+      function onclose() {
+        finish();
+        reject(new Error('Session is closed'));
+      }
+
+      this.once('association', onassociation);
+      this.once('close', onclose);
+    });
+  }
+
+  /**
+   * Choose unused SCTP stream for a new channel. DTLS client
+   * uses even stream identifiers, DTLS server - odd ones, RFC 8832, section 6.
+   * @returns {number}
+   */
+  allocateStreamId() {
+    const { OS: streams } = this[_association].association;
+    const first = this.dtlsRole === DTLS_ROLE_CLIENT ? 0 : 1;
+
+    for (let id = first; id < streams; id += 2) {
+      if (!this[_channels].has(id)) {
+        return id;
+      }
+    }
+
+    throw new Error('No available SCTP streams');
+  }
+
+  /**
+   * Send DTLS traffic through the candidate pair.
+   * @param {CandidatePair} pair
+   */
+  useCandidatePair(pair) {
+    const { ip, port } = pair.remote;
+    const { local } = pair;
+
+    console.log('[nodertc] selected address %s:%s', ip, port);
+
+    let socket = this[_sockets].get(local.ip);
+
+    if (local.type === 'relay') {
+      socket = Array.from(this[_relays].values()).find(
+        ({ relayed }) =>
+          relayed.address === local.ip && relayed.port === local.port
+      );
+    }
+
+    this[_transport].setRemote(socket, ip, port);
+
+    // The pair is validated, so the shared port may route DTLS packets.
+    if (isMuxSocket(socket)) {
+      socket.addRoute(ip, port);
+    }
+  }
+
+  /**
+   * Update ICE connection state and emit `iceconnectionstatechange` event.
+   * @param {string} state
+   */
+  setIceConnectionState(state) {
+    const current = this[_iceConnectionState];
+
+    if (current === state || current === 'closed') {
+      return;
+    }
+
+    this[_iceConnectionState] = state;
+    this.emit('iceconnectionstatechange', state);
+  }
+
+  /**
+   * Update connection state and emit `connectionstatechange` event.
+   * @param {string} state
+   */
+  setConnectionState(state) {
+    const current = this[_connectionState];
+
+    if (current === state || current === 'closed') {
+      return;
+    }
+
+    this[_connectionState] = state;
+    this.emit('connectionstatechange', state);
+  }
+
+  /**
+   * Fatal error of DTLS or SCTP, the session can't be used anymore.
+   */
+  fail() {
+    this.setConnectionState('failed');
+    this.close();
+  }
+
+  /**
+   * Emit `error` event with the code from `errorCodes`.
+   * The error is only logged if nobody listens, so it can't crash the process.
+   * @param {string} code
+   * @param {Error|string} reason
+   */
+  reportError(code, reason) {
+    const error = createError(code, reason);
+
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('[nodertc] %s: %s', code, error.message);
+    }
+  }
+
+  /**
+   * Close the session and release all its resources.
+   */
+  close() {
+    if (this[_closed]) {
+      return;
+    }
+
+    this[_closed] = true;
+    console.log('[nodertc] close session');
+
+    this[_agent].stop();
+
+    for (const name of this[_hostnames].values()) {
+      this[_mdns].unpublish(name);
+    }
+
+    for (const channel of this[_channels].values()) {
+      channel.terminate();
+    }
+
+    if (this[_streamReset] !== null) {
+      this[_streamReset].close();
+      this[_streamReset] = null;
+    }
+
+    if (this[_sendQueue] !== null) {
+      this[_sendQueue].close();
+      this[_sendQueue] = null;
+    }
+
+    // Tell the peer about closing, ABORT chunk, RFC 4960, section 9.1.
+    if (this[_association] !== null) {
+      this[_association].destroy();
+      this[_association] = null;
+    }
+
+    if (this.sctp !== null) {
+      this.sctp.close();
+    }
+
+    this[_sctpTimers].forEach(timer => clearInterval(timer));
+    this[_sctpTimers] = [];
+
+    if (this.dtls !== null) {
+      this.dtls.close();
+    }
+
+    this[_transport].close();
+
+    const sockets = Array.from(this[_sockets].values());
+
+    const relays = Array.from(this[_relays].values());
+
+    // Let the pending packets go out, e.g. DTLS alert through the relay
+    // and deallocation of TURN allocations.
+    setImmediate(() => {
+      relays.forEach(client => client.close());
+      sockets.forEach(socket => socket.close());
+    });
+
+    this.setIceConnectionState('closed');
+    this.setConnectionState('closed');
+
+    this.emit('close');
+  }
+}
+
+/**
+ * Base class for WebRTC.
+ */
+class NodeRTC extends Emitter {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {Buffer} [options.certificate] PEM encoded certificate,
+   *  a new one is generated by `start()` if missing
+   * @param {Buffer} [options.certificatePrivateKey]
+   * @param {object} [options.interfaces] filter of network interfaces
+   * @param {Array<string|RegExp>} [options.interfaces.include] use only these interfaces
+   * @param {Array<string|RegExp>} [options.interfaces.exclude] ignore these interfaces
+   * @param {object} [options.addresses] filter of interface addresses
+   * @param {string[]} [options.addresses.include] use only these CIDR ranges
+   * @param {string[]} [options.addresses.exclude] ignore these CIDR ranges
+   * @param {object[]} [options.iceServers] STUN / TURN servers, like in `RTCConfiguration`
+   * @param {number} [options.port] share this UDP port between all sessions
+   * @param {number} [options.disconnectedTimeout] time in ms without ICE responses
+   *  to consider a session disconnected, 10 s by default. Consent checks
+   *  are sent every 5 s, so the timeout should be longer.
+   * @param {boolean} [options.mdns] hide addresses of host candidates
+   *  behind mDNS names, like browsers do
+   * @param {string[]} [options.fingerprintAlgorithms] hash functions
+   *  of the advertised fingerprints, `sha-256` by default
+   */
+  constructor(options = {}) {
+    super();
+
+    this[_sessions] = [];
+    this[_certificate] = null;
+    this[_privateKey] = null;
+    this[_fingerprints] = null;
+    this[_fingerprintAlgorithms] = parseFingerprintAlgorithms(
+      options.fingerprintAlgorithms
+    );
+    this[_certificateExpires] = null;
+    this[_renewTimer] = null;
+
+    this[_addresses] = [];
+    this[_iceServers] = parseIceServers(options.iceServers);
+
+    this[_mux] = null;
+    this[_muxPort] = options.port === undefined ? null : options.port;
+    this[_disconnectedTimeout] = options.disconnectedTimeout;
+
+    this[_mdns] = new Mdns();
+    this[_publishHostnames] = Boolean(options.mdns);
+
+    this[_filters] = {
+      interfaces: options.interfaces || {},
+      addresses: options.addresses || {},
+    };
+
+    const haveCertificate =
+      options.certificate !== undefined ||
+      options.certificatePrivateKey !== undefined;
+
+    if (haveCertificate) {
+      this.setCertificate({
+        certificate: options.certificate,
+        privateKey: options.certificatePrivateKey,
+      });
+    }
+  }
+
+  /**
+   * @returns {number} the number of an active sessions
+   */
+  get size() {
+    return this[_sessions].length;
+  }
+
+  /**
+   * Internal address.
+   * @returns {string}
+   */
+  get internal() {
+    const address = this[_addresses].find(({ family }) => family === 'IPv4');
+    return address ? address.address : null;
+  }
+
+  /**
+   * Internal IPv6 address.
+   * @returns {string|null}
+   */
+  get internal6() {
+    const address = this[_addresses].find(({ family }) => family === 'IPv6');
+    return address ? address.address : null;
+  }
+
+  /**
+   * Usable addresses of the network interfaces.
+   * @returns {object[]} list of `{ name, address, family }`
+   */
+  get addresses() {
+    return this[_addresses];
+  }
+
+  /**
+   * Replace the certificate of new sessions, active sessions keep their ones.
+   * @param {object} certificate
+   * @param {Buffer} certificate.certificate PEM encoded certificate
+   * @param {Buffer} certificate.privateKey PEM encoded private key
+   * @param {number} [certificate.expires] expiration time in ms since epoch
+   */
+  setCertificate(certificate) {
+    clearTimeout(this[_renewTimer]);
+    this[_renewTimer] = null;
+
+    this.useCertificate(certificate);
+  }
+
+  /**
+   * @private
+   * @param {object} certificate
+   */
+  useCertificate(certificate) {
+    validateCertificate(certificate);
+
+    this[_certificate] = certificate.certificate;
+    this[_privateKey] = certificate.privateKey;
+    this[_certificateExpires] =
+      certificate.expires === undefined ? null : certificate.expires;
+
+    // Client certificate fingerprints.
+    this[_fingerprints] = createFingerprints(
+      this[_certificate],
+      this[_fingerprintAlgorithms]
+    );
+  }
+
+  /**
+   * Generate a new certificate and schedule the next one.
+   */
+  async renewCertificate() {
+    const certificate = await generateCertificate({
+      expires: CERTIFICATE_LIFETIME,
+    });
+
+    this.useCertificate(certificate);
+
+    this[_renewTimer] = setTimeout(() => {
+      this.renewCertificate().catch(err => {
+        console.error('[nodertc] unable to renew certificate', err);
+      });
+    }, CERTIFICATE_RENEW_INTERVAL);
+
+    this[_renewTimer].unref();
+  }
+
+  /**
+   * Creates new webrtc session.
+   * @param {object} [options]
+   * @param {object} [options.certificate] certificate of the session,
+   *  e.g. from `generateCertificate()`, the common one by default
+   * @returns {Session}
+   */
+  createSession(options = {}) {
+    const isCustom = options.certificate !== undefined;
+    const certificate = isCustom
+      ? options.certificate
+      : {
+          certificate: this[_certificate],
+          privateKey: this[_privateKey],
+          expires: this[_certificateExpires],
+        };
+
+    assert(
+      certificate.certificate !== null,
+      'Certificate is not ready, call `start()` first'
+    );
+
+    validateCertificate(certificate);
+
+    const fingerprints = isCustom
+      ? createFingerprints(
+          certificate.certificate,
+          this[_fingerprintAlgorithms]
+        )
+      : this[_fingerprints];
+
+    const isExpired =
+      Number.isFinite(certificate.expires) && certificate.expires <= Date.now();
+    assert(!isExpired, 'Certificate is expired');
+
+    const session = new Session({
+      addresses: this[_addresses],
+      iceServers: this[_iceServers],
+      mux: this[_mux],
+      disconnectedTimeout: this[_disconnectedTimeout],
+      certificate: certificate.certificate,
+      privateKey: certificate.privateKey,
+      fingerprints,
+      mdns: this[_mdns],
+      publishHostnames: this[_publishHostnames],
+    });
+
+    this[_sessions].push(session);
+
+    session.once('close', () => {
+      const i = this[_sessions].indexOf(session);
+
+      if (i > -1) {
+        this[_sessions].splice(i, 1);
+      }
+
+      // mDNS socket is open again by the next session.
+      if (this[_sessions].length === 0) {
+        this[_mdns].close();
+      }
+    });
+
+    this.emit('session', session);
+
+    return session;
+  }
+
+  /**
+   * Prepares WebRTC server to work.
+   */
+  async start() {
+    if (this[_certificate] === null) {
+      await this.renewCertificate();
+    }
+
+    this[_addresses] = getAddresses(this[_filters]);
+
+    if (this[_muxPort] !== null) {
+      this[_mux] = new UdpMux({
+        port: this[_muxPort],
+        addresses: this[_addresses],
+      });
+      await this[_mux].listen();
+    }
+
+    this[_addresses].forEach(({ name, address }) => {
+      console.log('[nodertc] interface %s address %s', name, address);
+    });
+
+    this.emit('ready');
+  }
+
+  /**
+   * Close all sessions and release the shared UDP port.
+   */
+  close() {
+    clearTimeout(this[_renewTimer]);
+    this[_renewTimer] = null;
+
+    // Sessions remove themselves from the list on close.
+    this[_sessions].slice().forEach(session => session.close());
+    this[_mdns].close();
+
+    const mux = this[_mux];
+    this[_mux] = null;
+
+    // Sessions release their virtual sockets in the next tick of the loop.
+    if (mux !== null) {
+      setImmediate(() => mux.close());
+    }
+
+    this.emit('close');
+  }
+}
+
+/**
+ * Creates an instance of NodeRTC.
+ * @param {object} options
+ * @param {Buffer} [options.certificate] PEM encoded certificate,
+ *  generated if missing
+ * @param {Buffer} [options.certificatePrivateKey]
+ * @param {object} [options.interfaces] filter of network interfaces
+ * @param {object} [options.addresses] filter of interface addresses
+ * @param {object[]} [options.iceServers] STUN / TURN servers, like in `RTCConfiguration`
+ * @param {number} [options.port] share this UDP port between all sessions
+ * @param {number} [options.disconnectedTimeout] time in ms without ICE responses
+ *  to consider a session disconnected
+ * @param {boolean} [options.mdns] hide addresses of host candidates
+ *  behind mDNS names
+ * @returns {NodeRTC}
+ */
+function create(options = {}) {
+  return new NodeRTC(options);
+}
+
+/**
+ * @param {object} certificate
+ * @param {Buffer} certificate.certificate
+ * @param {Buffer} certificate.privateKey
+ */
+function validateCertificate(certificate) {
+  assert(Buffer.isBuffer(certificate.certificate), 'Invalid certificate');
+
+  const isValidPrivateKey = Buffer.isBuffer(certificate.privateKey);
+  assert(isValidPrivateKey, 'Invalid certificate private key');
+}
+
+/**
+ * @param {string[]} [algorithms] SDP names of hash functions
+ * @returns {string[]}
+ */
+function parseFingerprintAlgorithms(algorithms = ['sha-256']) {
+  assert(
+    Array.isArray(algorithms) && algorithms.length > 0,
+    'Invalid fingerprint algorithms'
+  );
+
+  algorithms.forEach(type => {
+    assert(fingerprint.isSupported(type), `Unsupported algorithm ${type}`);
+  });
+
+  return algorithms.map(type => type.toLowerCase());
+}
+
+/**
+ * @param {Buffer} certificate PEM encoded certificate
+ * @param {string[]} algorithms SDP names of hash functions
+ * @returns {object[]} list of `{ type, hash }`
+ */
+function createFingerprints(certificate, algorithms) {
+  const der = pem.decode(certificate);
+
+  return algorithms.map(type => ({ type, hash: fingerprint(der, type) }));
+}
+
+/**
+ * Collect intervals started by the function.
+ * SCTP endpoint of `@nodertc/sctp` rotates the cookie secret
+ * in an interval it never clears, so the session clears it on close.
+ * @param {function} fn synchronous function
+ * @returns {Timeout[]}
+ */
+function captureIntervals(fn) {
+  const timers = [];
+  const { setInterval } = global;
+
+  global.setInterval = (...args) => {
+    const timer = setInterval(...args);
+
+    timers.push(timer);
+    return timer;
+  };
+
+  try {
+    fn();
+  } finally {
+    global.setInterval = setInterval;
+  }
+
+  return timers;
+}
+
+/**
+ * Check if the socket is a virtual socket of the shared UDP port.
+ * @param {dgram.Socket|VirtualSocket} socket
+ * @returns {boolean}
+ */
+function isMuxSocket(socket) {
+  return 'setUsername' in socket;
+}
+
+/**
+ * Bind own UDP socket for TURN allocation of the session,
+ * allocations behind the shared UDP port would have the same 5-tuple.
+ * @param {string} type `udp4` or `udp6`
+ * @returns {Promise<{socket: dgram.Socket, server: stun.StunServer}>}
+ */
+async function createRelaySocket(type) {
+  const options = type === 'udp6' ? { type, ipv6Only: true } : type;
+  const socket = dgram.createSocket(options);
+
+  await new Promise((resolve, reject) => {
+    const onerror = err => {
+      socket.close();
+      reject(err);
+    };
+
+    socket.once('error', onerror);
+    socket.bind(0, type === 'udp6' ? '::' : '0.0.0.0', () => {
+      socket.removeListener('error', onerror);
+      resolve();
+    });
+  });
+
+  const server = stun.createServer(socket);
+
+  // ChannelData messages are handled by TURN client.
+  server.on('error', () => {});
+
+  return { socket, server };
+}
+
+/**
+ * Get DTLS setup attribute of the data channel, RFC 8842, section 5.
+ * @param {object} description parsed SDP
+ * @returns {string}
+ */
+function getSetup(description) {
+  const mediadata = findDataChannel(description);
+  return mediadata.setup || description.setup || 'actpass';
+}
+
+/**
+ * Find media section of the data channel.
+ * @param {object} description parsed SDP
+ * @returns {object}
+ */
+function findDataChannel(description) {
+  const { media } = description;
+  const haveMediaData = Array.isArray(media) && media.length > 0;
+
+  if (!haveMediaData) {
+    throw new Error('Invalid SDP');
+  }
+
+  const mediadata = media.find(
+    item =>
+      item.type === 'application' &&
+      (item.protocol === SCTP_PROTOCOL ||
+        item.protocol === SCTP_LEGACY_PROTOCOL)
+  );
+
+  if (!mediadata) {
+    throw new Error('Datachannel not found');
+  }
+
+  return mediadata;
+}
+
+/**
+ * Check if the address of the candidate is mDNS name, RFC 6762.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isMdnsName(address) {
+  return typeof address === 'string' && /\.local\.?$/i.test(address);
+}
+
+/**
+ * Check if the media section is in BUNDLE group of the offer.
+ * @param {object} description parsed SDP
+ * @param {string} [mid] identifier of the media section
+ * @returns {boolean}
+ */
+function isBundled(description, mid) {
+  const { groups } = description;
+
+  if (mid === undefined || !Array.isArray(groups)) {
+    return false;
+  }
+
+  return groups.some(
+    group =>
+      group.type === 'BUNDLE' &&
+      String(group.mids)
+        .split(' ')
+        .includes(String(mid))
+  );
+}
+
+/**
+ * Get SCTP port of the peer, `a=sctp-port` of RFC 8841 or
+ * `a=sctpmap` of draft-ietf-mmusic-sctp-sdp-05.
+ * @param {object} mediadata media section of the data channel
+ * @returns {number}
+ */
+function getSctpPort(mediadata) {
+  if (Number.isInteger(mediadata.sctpPort)) {
+    return mediadata.sctpPort;
+  }
+
+  if (mediadata.sctpmap && Number.isInteger(mediadata.sctpmap.sctpmapNumber)) {
+    return mediadata.sctpmap.sctpmapNumber;
+  }
+
+  const port = Number(mediadata.payloads);
+  return Number.isInteger(port) && port > 0 ? port : sdp.SCTP_PORT;
+}
+
+/**
+ * Get the largest message the peer accepts, RFC 8841, section 6.
+ * @param {object} mediadata media section of the data channel
+ * @returns {number} `0` means any size
+ */
+function getMaxMessageSize(mediadata) {
+  const { maxMessageSize } = mediadata;
+
+  return Number.isInteger(maxMessageSize) && maxMessageSize >= 0
+    ? maxMessageSize
+    : DEFAULT_MAX_MESSAGE_SIZE;
+}
+
+/**
+ * Get fingerprints of the peer certificate with supported hash functions.
+ * Media level fingerprints override session level ones, RFC 8122, section 5.
+ * @param {object} description parsed SDP
+ * @param {object} mediadata media section of the data channel
+ * @returns {object[]} list of `{ type, hash }`
+ */
+function getFingerprints(description, mediadata) {
+  const media = mediadata.fingerprints || [];
+  const fingerprints =
+    media.length > 0 ? media : description.fingerprints || [];
+
+  return fingerprints.filter(({ type }) => fingerprint.isSupported(type));
 }
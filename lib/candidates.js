@@ -17,43 +17,47 @@ module.exports = class Candidates {
 
   /**
    * Add a new candidate.
-   * @param {string} address
-   * @param {number} port
-   * @param {number} priority
+   * @param {object} candidate
+   * @param {string} candidate.ip
+   * @param {number} candidate.port
+   * @param {number} candidate.priority
+   * @returns {boolean} `false` if the candidate already exists
    */
-  push(address, port, priority) {
-    const value = { address, port, priority };
+  push(candidate) {
+    if (this.get(candidate.ip, candidate.port)) {
+      return false;
+    }
+
     const filter = (left, right) => (left.priority < right.priority ? 1 : -1);
 
-    sorted.add(this[_candidates], value, filter);
+    sorted.add(this[_candidates], candidate, filter);
+    return true;
   }
 
   /**
-   * @returns {number}
+   * Find candidate by transport address.
+   * @param {string} address
+   * @param {number} port
+   * @returns {object|undefined}
    */
-  get length() {
-    return this[_candidates].length;
+  get(address, port) {
+    return this[_candidates].find(
+      candidate => candidate.ip === address && candidate.port === port
+    );
   }
 
   /**
-   * @returns {string}
+   * @returns {number}
    */
-  get primaryAddress() {
-    if (this[_candidates].length === 0) {
-      throw new Error('Empty list of candidates.');
-    }
-
-    return this[_candidates][0].address;
+  get length() {
+    return this[_candidates].length;
   }
 
   /**
-   * @returns {number}
+   * Iterate candidates from the highest priority.
+   * @returns {Iterator<object>}
    */
-  get primaryPort() {
-    if (this[_candidates].length === 0) {
-      throw new Error('Empty list of candidates.');
-    }
-
-    return this[_candidates][0].port;
+  [Symbol.iterator]() {
+    return this[_candidates][Symbol.iterator]();
   }
 };
@@ -0,0 +1,234 @@
+'use strict';
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const pem = require('pem-file');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// Browsers issue certificates for 30 days, RTCCertificateExpiration.
+const DEFAULT_EXPIRES = 30 * 24 * 3600e3;
+
+// Certificates are valid since yesterday against clock skew of the peer.
+const CLOCK_SKEW = 24 * 3600e3;
+
+const RSA_MODULUS_LENGTH = 2048;
+const RSA_PUBLIC_EXPONENT = 65537;
+
+// ASN.1 tags, X.690
+const ASN1_INTEGER = 0x02;
+const ASN1_BIT_STRING = 0x03;
+const ASN1_NULL = 0x05;
+const ASN1_OID = 0x06;
+const ASN1_UTF8_STRING = 0x0c;
+const ASN1_UTC_TIME = 0x17;
+const ASN1_GENERALIZED_TIME = 0x18;
+const ASN1_SEQUENCE = 0x30;
+const ASN1_SET = 0x31;
+const ASN1_CONTEXT_0 = 0xa0;
+
+const OID_COMMON_NAME = '2.5.4.3';
+
+// Signature algorithms, RFC 5758, section 3.2 and RFC 4055, section 5.
+const algorithms = {
+  'ECDSA P-256': {
+    type: 'ec',
+    options: { namedCurve: 'prime256v1' },
+    signature: sequence(oid('1.2.840.10045.4.3.2')),
+  },
+  RSA: {
+    type: 'rsa',
+    options: {
+      modulusLength: RSA_MODULUS_LENGTH,
+      publicExponent: RSA_PUBLIC_EXPONENT,
+    },
+    signature: sequence(oid('1.2.840.113549.1.1.11'), tlv(ASN1_NULL)),
+  },
+};
+
+module.exports = {
+  generateCertificate,
+  encodeCertificate,
+};
+
+/**
+ * Create self-signed certificate for DTLS, like
+ * `RTCPeerConnection.generateCertificate()`, RFC 8827, section 6.5
+ * @param {object} [options]
+ * @param {string} [options.algorithm] `ECDSA P-256` or `RSA`
+ * @param {number} [options.expires] lifetime of the certificate in ms
+ * @returns {Promise<{certificate: Buffer, privateKey: Buffer, expires: number}>}
+ *  PEM encoded certificate and private key, expiration time in ms since epoch
+ */
+async function generateCertificate(options = {}) {
+  const { algorithm = 'ECDSA P-256', expires = DEFAULT_EXPIRES } = options;
+  const params = algorithms[algorithm];
+
+  if (params === undefined) {
+    throw new TypeError(`Unsupported algorithm ${algorithm}`);
+  }
+
+  if (!Number.isInteger(expires) || expires <= 0) {
+    throw new TypeError('Invalid expires');
+  }
+
+  const { publicKey, privateKey } = await generateKeyPair(
+    params.type,
+    Object.assign({}, params.options, {
+      publicKeyEncoding: { type: 'spki', format: 'der' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+    })
+  );
+
+  const now = Date.now();
+  const name = sequence(
+    tlv(ASN1_SET, sequence(oid(OID_COMMON_NAME), utf8('WebRTC')))
+  );
+
+  // TBSCertificate, RFC 5280, section 4.1
+  const tbs = sequence(
+    tlv(ASN1_CONTEXT_0, integer(Buffer.from([2]))),
+    integer(createSerialNumber()),
+    params.signature,
+    name,
+    sequence(time(new Date(now - CLOCK_SKEW)), time(new Date(now + expires))),
+    name,
+    publicKey
+  );
+
+  const signature = crypto
+    .createSign('sha256')
+    .update(tbs)
+    .sign(privateKey);
+
+  const certificate = sequence(
+    tbs,
+    params.signature,
+    tlv(ASN1_BIT_STRING, Buffer.concat([Buffer.from([0]), signature]))
+  );
+
+  return {
+    certificate: Buffer.from(encodeCertificate(certificate)),
+    privateKey: Buffer.from(privateKey),
+    expires: now + expires,
+  };
+}
+
+/**
+ * Convert DER encoded certificate to PEM.
+ * @param {Buffer} der
+ * @returns {string}
+ */
+function encodeCertificate(der) {
+  // `pem-file` leaves an empty line before the footer if the length
+  // of the certificate is a multiple of 48 bytes, OpenSSL rejects it.
+  return pem.encode(der, pem.CERTIFICATE).replace(/(\r\n)+/g, '\r\n');
+}
+
+/**
+ * Create positive serial number, RFC 5280, section 4.1.2.2
+ * @returns {Buffer}
+ */
+function createSerialNumber() {
+  const serial = crypto.randomBytes(16);
+
+  /* eslint-disable-next-line no-bitwise */
+  serial[0] = (serial[0] & 0x7f) | 0x01;
+  return serial;
+}
+
+/**
+ * Encode DER type-length-value.
+ * @param {number} tag
+ * @param {Buffer} [value]
+ * @returns {Buffer}
+ */
+function tlv(tag, value = Buffer.alloc(0)) {
+  const { length } = value;
+  let header;
+
+  if (length < 0x80) {
+    header = Buffer.from([tag, length]);
+  } else {
+    const size = Buffer.alloc(4);
+
+    size.writeUInt32BE(length, 0);
+
+    let i = 0;
+
+    while (size[i] === 0) {
+      i += 1;
+    }
+
+    const bytes = size.slice(i);
+
+    /* eslint-disable-next-line no-bitwise */
+    header = Buffer.concat([Buffer.from([tag, 0x80 | bytes.length]), bytes]);
+  }
+
+  return Buffer.concat([header, value]);
+}
+
+/**
+ * @param {...Buffer} items
+ * @returns {Buffer}
+ */
+function sequence(...items) {
+  return tlv(ASN1_SEQUENCE, Buffer.concat(items));
+}
+
+/**
+ * @param {Buffer} value unsigned big-endian number
+ * @returns {Buffer}
+ */
+function integer(value) {
+  return tlv(ASN1_INTEGER, value);
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function utf8(value) {
+  return tlv(ASN1_UTF8_STRING, Buffer.from(value));
+}
+
+/**
+ * Encode object identifier, X.690, section 8.19
+ * @param {string} value dotted form
+ * @returns {Buffer}
+ */
+function oid(value) {
+  const [first, second, ...rest] = value.split('.').map(arc => Number(arc));
+  const bytes = [first * 40 + second];
+
+  rest.forEach(arc => {
+    const encoded = [arc % 0x80];
+    let left = Math.floor(arc / 0x80);
+
+    while (left > 0) {
+      encoded.unshift((left % 0x80) + 0x80);
+      left = Math.floor(left / 0x80);
+    }
+
+    bytes.push(...encoded);
+  });
+
+  return tlv(ASN1_OID, Buffer.from(bytes));
+}
+
+/**
+ * Encode validity time, RFC 5280, section 4.1.2.5
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]|\.\d+/g, '');
+  const year = date.getUTCFullYear();
+
+  if (year < 2050) {
+    return tlv(ASN1_UTC_TIME, Buffer.from(iso.slice(2)));
+  }
+
+  return tlv(ASN1_GENERALIZED_TIME, Buffer.from(iso));
+}
@@ -0,0 +1,237 @@
+'use strict';
+
+const sorted = require('sorted-array-functions');
+
+const STATE_FROZEN = 'frozen';
+const STATE_WAITING = 'waiting';
+const STATE_IN_PROGRESS = 'in-progress';
+const STATE_SUCCEEDED = 'succeeded';
+const STATE_FAILED = 'failed';
+
+// RFC 8445, section 6.1.2.5
+const MAX_PAIRS = 100;
+
+const _pairs = Symbol('pairs');
+
+/**
+ * Pair of the local and the remote candidates.
+ */
+class CandidatePair {
+  /**
+   * @constructor
+   * @param {object} local
+   * @param {object} remote
+   */
+  constructor(local, remote) {
+    this.local = local;
+    this.remote = remote;
+    this.state = STATE_FROZEN;
+
+    this.valid = false;
+    this.nominated = false;
+
+    // Controlling agent sends USE-CANDIDATE for this pair.
+    this.nominating = false;
+
+    // Controlled agent got USE-CANDIDATE for this pair.
+    this.nominatedByPeer = false;
+  }
+
+  /**
+   * Pair foundation.
+   * @returns {string}
+   */
+  get foundation() {
+    return `${this.local.foundation}:${this.remote.foundation}`;
+  }
+
+  /**
+   * Unique pair identifier.
+   * @returns {string}
+   */
+  get id() {
+    return `${this.local.ip}:${this.local.port}/${this.remote.ip}:${
+      this.remote.port
+    }`;
+  }
+}
+
+/**
+ * List of candidate pairs ordered by priority, RFC 8445.
+ */
+class Checklist {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {boolean} options.controlling
+   */
+  constructor(options = {}) {
+    this.controlling = Boolean(options.controlling);
+    this[_pairs] = [];
+  }
+
+  /**
+   * @returns {number}
+   */
+  get length() {
+    return this[_pairs].length;
+  }
+
+  /**
+   * Get all pairs from the highest priority.
+   * @returns {CandidatePair[]}
+   */
+  get pairs() {
+    return this[_pairs];
+  }
+
+  /**
+   * Create a new pair and add it to the checklist.
+   * @param {object} local
+   * @param {object} remote
+   * @returns {CandidatePair|null} `null` if the pair is redundant
+   */
+  add(local, remote) {
+    if (this.get(local, remote)) {
+      return null;
+    }
+
+    const pair = new CandidatePair(local, remote);
+
+    sorted.add(this[_pairs], pair, (left, right) => this.compare(left, right));
+
+    if (this[_pairs].length > MAX_PAIRS) {
+      this[_pairs].pop();
+    }
+
+    return this[_pairs].includes(pair) ? pair : null;
+  }
+
+  /**
+   * Find a pair by candidates.
+   * @param {object} local
+   * @param {object} remote
+   * @returns {CandidatePair|undefined}
+   */
+  get(local, remote) {
+    return this[_pairs].find(
+      pair =>
+        pair.local.ip === local.ip &&
+        pair.local.port === local.port &&
+        pair.remote.ip === remote.ip &&
+        pair.remote.port === remote.port
+    );
+  }
+
+  /**
+   * Get the highest priority pair in provided state.
+   * @param {string} state
+   * @returns {CandidatePair|undefined}
+   */
+  first(state) {
+    return this[_pairs].find(pair => pair.state === state);
+  }
+
+  /**
+   * Get valid pairs from the highest priority.
+   * @returns {CandidatePair[]}
+   */
+  get valid() {
+    return this[_pairs].filter(pair => pair.valid);
+  }
+
+  /**
+   * Set initial states of pairs, RFC 8445, section 6.1.2.6.
+   * For each foundation the highest priority pair becomes `waiting`.
+   */
+  unfreeze() {
+    const foundations = new Set();
+
+    for (const pair of this[_pairs]) {
+      if (pair.state === STATE_FROZEN && !foundations.has(pair.foundation)) {
+        pair.state = STATE_WAITING;
+      }
+
+      foundations.add(pair.foundation);
+    }
+  }
+
+  /**
+   * Unfreeze pairs with the same foundation as provided pair.
+   * @param {CandidatePair} succeeded
+   */
+  unfreezeFoundation(succeeded) {
+    for (const pair of this[_pairs]) {
+      const isFrozen = pair.state === STATE_FROZEN;
+
+      if (isFrozen && pair.foundation === succeeded.foundation) {
+        pair.state = STATE_WAITING;
+      }
+    }
+  }
+
+  /**
+   * Check if any pair has the state from the list.
+   * @param {string[]} states
+   * @returns {boolean}
+   */
+  has(...states) {
+    return this[_pairs].some(pair => states.includes(pair.state));
+  }
+
+  /**
+   * Sort pairs after the role has been changed.
+   */
+  sort() {
+    this[_pairs].sort((left, right) => this.compare(left, right));
+  }
+
+  /**
+   * Compare pairs by priority, RFC 8445, section 6.1.2.3.
+   * Pair priority may exceed 2^53, so it's compared by components.
+   * @param {CandidatePair} left
+   * @param {CandidatePair} right
+   * @returns {number}
+   */
+  compare(left, right) {
+    const [lmin, lmax, lbit] = this.priority(left);
+    const [rmin, rmax, rbit] = this.priority(right);
+
+    if (lmin !== rmin) {
+      return rmin - lmin;
+    }
+
+    if (lmax !== rmax) {
+      return rmax - lmax;
+    }
+
+    return rbit - lbit;
+  }
+
+  /**
+   * Components of the pair priority formula.
+   * @param {CandidatePair} pair
+   * @returns {number[]}
+   */
+  priority(pair) {
+    const local = Number(pair.local.priority);
+    const remote = Number(pair.remote.priority);
+
+    const g = this.controlling ? local : remote;
+    const d = this.controlling ? remote : local;
+
+    return [Math.min(g, d), Math.max(g, d), g > d ? 1 : 0];
+  }
+}
+
+module.exports = {
+  Checklist,
+  CandidatePair,
+  constants: {
+    STATE_FROZEN,
+    STATE_WAITING,
+    STATE_IN_PROGRESS,
+    STATE_SUCCEEDED,
+    STATE_FAILED,
+  },
+};
@@ -0,0 +1,621 @@
+'use strict';
+
+const Emitter = require('events');
+
+const _queue = Symbol('queue');
+const _id = Symbol('id');
+const _label = Symbol('label');
+const _protocol = Symbol('protocol');
+const _ordered = Symbol('ordered');
+const _maxRetransmits = Symbol('max-retransmits');
+const _maxPacketLifeTime = Symbol('max-packet-lifetime');
+const _negotiated = Symbol('negotiated');
+const _priority = Symbol('priority');
+const _readyState = Symbol('ready-state');
+const _incomingReset = Symbol('incoming-reset');
+const _outgoingReset = Symbol('outgoing-reset');
+const _maxMessageSize = Symbol('max-message-size');
+const _bufferedAmount = Symbol('buffered-amount');
+const _bufferedAmountLowThreshold = Symbol('buffered-amount-low-threshold');
+
+// Payload protocol identifiers, RFC 8831, section 8.
+const PPID_DCEP = 50;
+const PPID_STRING = 51;
+const PPID_BINARY = 53;
+const PPID_STRING_EMPTY = 56;
+const PPID_BINARY_EMPTY = 57;
+
+// DCEP message types, RFC 8832, section 8.2.1
+const DATA_CHANNEL_ACK = 0x02;
+const DATA_CHANNEL_OPEN = 0x03;
+
+// Channel types, RFC 8832, section 5.1
+const CHANNEL_RELIABLE = 0x00;
+const CHANNEL_PARTIAL_RELIABLE_REXMIT = 0x01;
+const CHANNEL_PARTIAL_RELIABLE_TIMED = 0x02;
+const CHANNEL_UNORDERED = 0x80;
+
+const OPEN_HEADER_LENGTH = 12;
+const MESSAGE_ACK = Buffer.from([DATA_CHANNEL_ACK]);
+
+// Empty messages are sent as a single zero byte, RFC 8831, section 6.6
+const MESSAGE_EMPTY = Buffer.alloc(1);
+
+// Normal priority of the channel, RFC 8831, section 6.4
+const PRIORITY_NORMAL = 256;
+
+const MAX_STREAM_ID = 65534;
+
+/**
+ * WebRTC data channel over the SCTP stream, RFC 8831.
+ * Channels are opened by Data Channel Establishment Protocol, RFC 8832.
+ * `@nodertc/sctp` doesn't support PR-SCTP, so partially reliable channels
+ * can't be created and the ones opened by the peer are declined
+ * by the stream reset, RFC 8832, section 6.
+ */
+module.exports = class DataChannel extends Emitter {
+  /**
+   * @constructor
+   * @param {SendQueue} queue outgoing messages of the SCTP association
+   * @param {object} options
+   * @param {number} options.id SCTP stream identifier
+   * @param {string} [options.label]
+   * @param {string} [options.protocol]
+   * @param {boolean} [options.ordered]
+   * @param {number} [options.maxRetransmits] not supported, throws
+   * @param {number} [options.maxPacketLifeTime] not supported, throws
+   * @param {boolean} [options.negotiated] the channel is negotiated
+   *  by the application, DCEP is not used
+   * @param {number} [options.maxMessageSize] the largest message the peer
+   *  accepts, `0` means any size
+   */
+  constructor(queue, options) {
+    super();
+
+    const {
+      id,
+      label = '',
+      protocol = '',
+      ordered = true,
+      maxRetransmits = null,
+      maxPacketLifeTime = null,
+      negotiated = false,
+      maxMessageSize = 0,
+    } = options;
+
+    if (!Number.isInteger(id) || id < 0 || id > MAX_STREAM_ID) {
+      throw new TypeError('Invalid stream id');
+    }
+
+    if (Buffer.byteLength(label) > 0xffff) {
+      throw new TypeError('Invalid label');
+    }
+
+    if (Buffer.byteLength(protocol) > 0xffff) {
+      throw new TypeError('Invalid protocol');
+    }
+
+    if (maxRetransmits !== null && maxPacketLifeTime !== null) {
+      throw new TypeError(
+        'Both maxRetransmits and maxPacketLifeTime are not allowed'
+      );
+    }
+
+    if (maxRetransmits !== null && !isUInt32(maxRetransmits)) {
+      throw new TypeError('Invalid maxRetransmits');
+    }
+
+    if (maxPacketLifeTime !== null && !isUInt32(maxPacketLifeTime)) {
+      throw new TypeError('Invalid maxPacketLifeTime');
+    }
+
+    if (maxRetransmits !== null || maxPacketLifeTime !== null) {
+      throw new TypeError('Partially reliable channels are not supported');
+    }
+
+    this[_queue] = queue;
+    this[_id] = id;
+    this[_label] = label;
+    this[_protocol] = protocol;
+    this[_ordered] = Boolean(ordered);
+    this[_maxRetransmits] = maxRetransmits;
+    this[_maxPacketLifeTime] = maxPacketLifeTime;
+    this[_negotiated] = Boolean(negotiated);
+    this[_priority] = PRIORITY_NORMAL;
+    this[_readyState] = 'connecting';
+    this[_incomingReset] = false;
+    this[_outgoingReset] = false;
+    this[_maxMessageSize] = maxMessageSize;
+    this[_bufferedAmount] = 0;
+    this[_bufferedAmountLowThreshold] = 0;
+  }
+
+  /**
+   * SCTP stream identifier.
+   * @returns {number}
+   */
+  get id() {
+    return this[_id];
+  }
+
+  /**
+   * @returns {string}
+   */
+  get label() {
+    return this[_label];
+  }
+
+  /**
+   * Name of the sub-protocol.
+   * @returns {string}
+   */
+  get protocol() {
+    return this[_protocol];
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get ordered() {
+    return this[_ordered];
+  }
+
+  /**
+   * The number of retransmissions, as the peer has requested
+   * in DATA_CHANNEL_OPEN.
+   * @returns {number|null} `null` if not limited
+   */
+  get maxRetransmits() {
+    return this[_maxRetransmits];
+  }
+
+  /**
+   * Lifetime in ms of messages, as the peer has requested
+   * in DATA_CHANNEL_OPEN.
+   * @returns {number|null} `null` if not limited
+   */
+  get maxPacketLifeTime() {
+    return this[_maxPacketLifeTime];
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get negotiated() {
+    return this[_negotiated];
+  }
+
+  /**
+   * Priority of the channel, RFC 8831, section 6.4
+   * @returns {number}
+   */
+  get priority() {
+    return this[_priority];
+  }
+
+  /**
+   * `connecting`, `open`, `closing` or `closed`.
+   * @returns {string}
+   */
+  get readyState() {
+    return this[_readyState];
+  }
+
+  /**
+   * The number of bytes of queued outgoing messages.
+   * @returns {number}
+   */
+  get bufferedAmount() {
+    return this[_bufferedAmount];
+  }
+
+  /**
+   * `bufferedamountlow` event is emitted when `bufferedAmount`
+   * decreases to this value.
+   * @returns {number}
+   */
+  get bufferedAmountLowThreshold() {
+    return this[_bufferedAmountLowThreshold];
+  }
+
+  /**
+   * @param {number} value
+   */
+  set bufferedAmountLowThreshold(value) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new TypeError('Invalid bufferedAmountLowThreshold');
+    }
+
+    this[_bufferedAmountLowThreshold] = value;
+  }
+
+  /**
+   * The largest message the peer accepts, `0` means any size.
+   * @returns {number}
+   */
+  get maxMessageSize() {
+    return this[_maxMessageSize];
+  }
+
+  /**
+   * Send DATA_CHANNEL_OPEN, the channel is open when the peer acknowledges it.
+   * Negotiated channels are open immediately.
+   */
+  open() {
+    if (this.negotiated) {
+      process.nextTick(() => this.setOpen());
+      return;
+    }
+
+    const message = createOpenMessage({
+      channelType: this.getChannelType(),
+      priority: this.priority,
+      reliability: 0,
+      label: this.label,
+      protocol: this.protocol,
+    });
+
+    this.transmit(message, PPID_DCEP, error => {
+      if (error && this.isActive()) {
+        this.reportError(error);
+        this.terminate();
+      }
+    });
+  }
+
+  /**
+   * Accept the channel opened by the peer with DATA_CHANNEL_OPEN
+   * message and acknowledge it. Partially reliable channels are declined,
+   * the channel is closing then.
+   * @param {Buffer} message
+   * @param {number} ppid payload protocol identifier
+   * @returns {boolean} `false` if the message is not a valid DATA_CHANNEL_OPEN
+   */
+  accept(message, ppid) {
+    const options = ppid === PPID_DCEP ? parseOpenMessage(message) : null;
+
+    if (options === null || this.readyState !== 'connecting') {
+      return false;
+    }
+
+    /* eslint-disable no-bitwise */
+    const reliability = options.channelType & ~CHANNEL_UNORDERED;
+    const unordered = (options.channelType & CHANNEL_UNORDERED) !== 0;
+    /* eslint-enable no-bitwise */
+
+    this[_label] = options.label;
+    this[_protocol] = options.protocol;
+    this[_priority] = options.priority;
+    this[_ordered] = !unordered;
+
+    if (reliability === CHANNEL_PARTIAL_RELIABLE_REXMIT) {
+      this[_maxRetransmits] = options.reliability;
+    }
+
+    if (reliability === CHANNEL_PARTIAL_RELIABLE_TIMED) {
+      this[_maxPacketLifeTime] = options.reliability;
+    }
+
+    // Messages can't be abandoned without FORWARD TSN, RFC 3758,
+    // so the channel can't be opened as the peer wants.
+    if (reliability !== CHANNEL_RELIABLE) {
+      console.log(
+        '[nodertc][sctp] decline partially reliable channel %s on stream %s',
+        this.label,
+        this.id
+      );
+
+      this.close();
+      return true;
+    }
+
+    this.transmit(MESSAGE_ACK, PPID_DCEP, error => {
+      if (error && this.isActive()) {
+        this.reportError(error);
+        this.terminate();
+      }
+    });
+
+    this.setOpen();
+    return true;
+  }
+
+  /**
+   * Process incoming message of the SCTP stream.
+   * @param {Buffer} data
+   * @param {number} ppid payload protocol identifier
+   */
+  handleMessage(data, ppid) {
+    if (this.readyState === 'closed') {
+      return;
+    }
+
+    if (ppid === PPID_DCEP) {
+      if (data.length > 0 && data[0] === DATA_CHANNEL_ACK) {
+        this.setOpen();
+      }
+
+      return;
+    }
+
+    const message = decodeMessage(data, ppid);
+
+    if (message === null) {
+      console.log(
+        '[nodertc][sctp] unknown ppid %s on stream %s',
+        ppid,
+        this.id
+      );
+      return;
+    }
+
+    // User data before DATA_CHANNEL_ACK means the peer has opened the channel,
+    // RFC 8832, section 6.
+    this.setOpen();
+    this.emit('message', message);
+  }
+
+  /**
+   * Send the message, strings are sent as UTF-8 text.
+   * @param {string|Buffer} message
+   */
+  send(message) {
+    if (this.readyState !== 'open') {
+      throw new Error('Channel is not open');
+    }
+
+    const isString = typeof message === 'string';
+
+    if (!isString && !Buffer.isBuffer(message)) {
+      throw new TypeError('Message should be a string or a Buffer');
+    }
+
+    const data = isString ? Buffer.from(message) : message;
+    const maxMessageSize = this[_maxMessageSize];
+
+    if (maxMessageSize > 0 && data.length > maxMessageSize) {
+      throw new TypeError(
+        `Message size ${data.length} exceeds the limit ${maxMessageSize}`
+      );
+    }
+
+    let ppid = isString ? PPID_STRING : PPID_BINARY;
+
+    if (data.length === 0) {
+      ppid = isString ? PPID_STRING_EMPTY : PPID_BINARY_EMPTY;
+    }
+
+    this[_bufferedAmount] += data.length;
+
+    this.transmit(data.length > 0 ? data : MESSAGE_EMPTY, ppid, error => {
+      const { bufferedAmountLowThreshold } = this;
+      const bufferedAmount = this[_bufferedAmount];
+
+      this[_bufferedAmount] -= data.length;
+
+      if (error) {
+        if (this.isActive()) {
+          this.reportError(error);
+        }
+
+        return;
+      }
+
+      if (
+        bufferedAmount > bufferedAmountLowThreshold &&
+        this[_bufferedAmount] <= bufferedAmountLowThreshold
+      ) {
+        this.emit('bufferedamountlow');
+      }
+    });
+  }
+
+  /**
+   * Failed messages of closing channels are dropped silently.
+   * @private
+   * @returns {boolean} `true` if the channel is connecting or open
+   */
+  isActive() {
+    return this.readyState === 'connecting' || this.readyState === 'open';
+  }
+
+  /**
+   * Emit `error` event, the error is only logged if nobody listens,
+   * so a failed message can't crash the process.
+   * @private
+   * @param {Error} error
+   */
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error(
+        '[nodertc][sctp] channel %s on stream %s: %s',
+        this.label,
+        this.id,
+        error.message
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  setOpen() {
+    if (this.readyState !== 'connecting') {
+      return;
+    }
+
+    this[_readyState] = 'open';
+    this.emit('open');
+  }
+
+  /**
+   * Get channel type for DATA_CHANNEL_OPEN message.
+   * @returns {number}
+   */
+  getChannelType() {
+    return this.ordered ? CHANNEL_RELIABLE : CHANNEL_UNORDERED;
+  }
+
+  /**
+   * Send message to the SCTP stream.
+   * @param {Buffer} data
+   * @param {number} ppid payload protocol identifier
+   * @param {function} callback
+   */
+  transmit(data, ppid, callback) {
+    // DCEP messages are always ordered, RFC 8832, section 6.
+    this[_queue].push(
+      data,
+      {
+        streamId: this.id,
+        ppid,
+        unordered: ppid !== PPID_DCEP && !this.ordered,
+      },
+      callback
+    );
+  }
+
+  /**
+   * Close the channel. The outgoing stream is reset and the channel is closed
+   * once the peer resets its outgoing stream too, RFC 8831, section 6.7
+   */
+  close() {
+    if (this.readyState === 'closing' || this.readyState === 'closed') {
+      return;
+    }
+
+    this[_readyState] = 'closing';
+    this.emit('closing');
+  }
+
+  /**
+   * The peer has reset its outgoing stream.
+   */
+  handleIncomingReset() {
+    this[_incomingReset] = true;
+    this.close();
+    this.checkReset();
+  }
+
+  /**
+   * Our outgoing stream is reset.
+   */
+  handleOutgoingReset() {
+    this[_outgoingReset] = true;
+    this.checkReset();
+  }
+
+  /**
+   * @private
+   */
+  checkReset() {
+    if (this[_incomingReset] && this[_outgoingReset]) {
+      this.terminate();
+    }
+  }
+
+  /**
+   * Close the channel immediately, e.g. when the association is closed.
+   */
+  terminate() {
+    if (this.readyState === 'closed') {
+      return;
+    }
+
+    this[_readyState] = 'closed';
+    this.emit('close');
+  }
+};
+
+/**
+ * Create DATA_CHANNEL_OPEN message, RFC 8832, section 5.1
+ * @param {object} options
+ * @param {number} options.channelType
+ * @param {number} options.priority
+ * @param {number} options.reliability
+ * @param {string} options.label
+ * @param {string} options.protocol
+ * @returns {Buffer}
+ */
+function createOpenMessage(options) {
+  const label = Buffer.from(options.label);
+  const protocol = Buffer.from(options.protocol);
+  const header = Buffer.alloc(12);
+
+  header.writeUInt8(DATA_CHANNEL_OPEN, 0);
+  header.writeUInt8(options.channelType, 1);
+  header.writeUInt16BE(options.priority, 2);
+  header.writeUInt32BE(options.reliability, 4);
+  header.writeUInt16BE(label.length, 8);
+  header.writeUInt16BE(protocol.length, 10);
+
+  return Buffer.concat([header, label, protocol]);
+}
+
+/**
+ * Parse DATA_CHANNEL_OPEN message, RFC 8832, section 5.1
+ * @param {Buffer} message
+ * @returns {object|null} `null` if the message is invalid
+ */
+function parseOpenMessage(message) {
+  if (
+    message.length < OPEN_HEADER_LENGTH ||
+    message.readUInt8(0) !== DATA_CHANNEL_OPEN
+  ) {
+    return null;
+  }
+
+  const channelType = message.readUInt8(1);
+  const labelLength = message.readUInt16BE(8);
+  const protocolLength = message.readUInt16BE(10);
+  const labelEnd = OPEN_HEADER_LENGTH + labelLength;
+
+  /* eslint-disable-next-line no-bitwise */
+  const reliability = channelType & ~CHANNEL_UNORDERED;
+
+  if (
+    reliability > CHANNEL_PARTIAL_RELIABLE_TIMED ||
+    labelEnd + protocolLength > message.length
+  ) {
+    return null;
+  }
+
+  return {
+    channelType,
+    priority: message.readUInt16BE(2),
+    reliability: message.readUInt32BE(4),
+    label: message.toString('utf8', OPEN_HEADER_LENGTH, labelEnd),
+    protocol: message.toString('utf8', labelEnd, labelEnd + protocolLength),
+  };
+}
+
+/**
+ * Decode user message by its payload protocol identifier.
+ * @param {Buffer} data
+ * @param {number} ppid
+ * @returns {string|Buffer|null} `null` for unknown ppid
+ */
+function decodeMessage(data, ppid) {
+  switch (ppid) {
+    case PPID_STRING:
+      return data.toString('utf8');
+    case PPID_STRING_EMPTY:
+      return '';
+    case PPID_BINARY:
+      return data;
+    case PPID_BINARY_EMPTY:
+      return Buffer.alloc(0);
+    default:
+      return null;
+  }
+}
+
+/**
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isUInt32(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
+}
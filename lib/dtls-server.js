@@ -0,0 +1,1344 @@
+'use strict';
+
+const crypto = require('crypto');
+const { Duplex } = require('stream');
+const pem = require('pem-file');
+const { encodeCertificate } = require('./certificate');
+
+const _socket = Symbol('socket');
+const _certificate = Symbol('certificate');
+const _privateKey = Symbol('private-key');
+const _keyType = Symbol('key-type');
+const _checkClientIdentity = Symbol('check-client-identity');
+const _peerCertificate = Symbol('peer-certificate');
+const _state = Symbol('state');
+const _expected = Symbol('expected');
+const _readEpoch = Symbol('read-epoch');
+const _writeSeq = Symbol('write-seq');
+const _replay = Symbol('replay');
+const _messageSeq = Symbol('message-seq');
+const _receiveSeq = Symbol('receive-seq');
+const _fragments = Symbol('fragments');
+const _transcript = Symbol('transcript');
+const _handshake = Symbol('handshake');
+const _keys = Symbol('keys');
+const _flight = Symbol('flight');
+const _flightEnd = Symbol('flight-end');
+const _timer = Symbol('timer');
+const _timeout = Symbol('timeout');
+const _retransmits = Symbol('retransmits');
+const _queue = Symbol('queue');
+
+// Record layer content types, RFC 5246, section 6.2.1
+const CONTENT_CHANGE_CIPHER_SPEC = 20;
+const CONTENT_ALERT = 21;
+const CONTENT_HANDSHAKE = 22;
+const CONTENT_APPLICATION_DATA = 23;
+
+// Handshake types, RFC 6347, section 4.3.2
+const HANDSHAKE_CLIENT_HELLO = 1;
+const HANDSHAKE_SERVER_HELLO = 2;
+const HANDSHAKE_CERTIFICATE = 11;
+const HANDSHAKE_SERVER_KEY_EXCHANGE = 12;
+const HANDSHAKE_CERTIFICATE_REQUEST = 13;
+const HANDSHAKE_SERVER_HELLO_DONE = 14;
+const HANDSHAKE_CERTIFICATE_VERIFY = 15;
+const HANDSHAKE_CLIENT_KEY_EXCHANGE = 16;
+const HANDSHAKE_FINISHED = 20;
+
+// Alerts, RFC 5246, section 7.2
+const ALERT_WARNING = 1;
+const ALERT_FATAL = 2;
+const ALERT_CLOSE_NOTIFY = 0;
+const ALERT_UNEXPECTED_MESSAGE = 10;
+const ALERT_HANDSHAKE_FAILURE = 40;
+const ALERT_BAD_CERTIFICATE = 42;
+const ALERT_ILLEGAL_PARAMETER = 47;
+const ALERT_DECODE_ERROR = 50;
+const ALERT_DECRYPT_ERROR = 51;
+const ALERT_PROTOCOL_VERSION = 70;
+
+// Extensions, RFC 8422, RFC 5246, RFC 7627 and RFC 5746.
+const EXTENSION_SUPPORTED_GROUPS = 10;
+const EXTENSION_EC_POINT_FORMATS = 11;
+const EXTENSION_SIGNATURE_ALGORITHMS = 13;
+const EXTENSION_EXTENDED_MASTER_SECRET = 23;
+const EXTENSION_RENEGOTIATION_INFO = 0xff01;
+const EMPTY_RENEGOTIATION_INFO_SCSV = 0x00ff;
+
+const DTLS_1_2 = 0xfefd;
+
+const RECORD_HEADER_SIZE = 13;
+const HANDSHAKE_HEADER_SIZE = 12;
+const RANDOM_SIZE = 32;
+const MASTER_SECRET_SIZE = 48;
+const VERIFY_DATA_SIZE = 12;
+
+// AES-128-GCM, RFC 5288, section 3.
+const KEY_SIZE = 16;
+const IV_SIZE = 4;
+const EXPLICIT_NONCE_SIZE = 8;
+const TAG_SIZE = 16;
+
+// Path MTU used by browsers.
+const MTU = 1200;
+
+// Retransmission timer, RFC 6347, section 4.2.4.1
+const INITIAL_TIMEOUT = 1000;
+const MAX_RETRANSMITS = 6;
+
+const REPLAY_WINDOW = 64;
+
+// Named curve of ServerECDHParams, RFC 8422, section 5.4.
+const CURVE_TYPE_NAMED = 3;
+
+// Client certificate types, RFC 8422, section 5.5.
+const CERTIFICATE_TYPE_RSA_SIGN = 1;
+const CERTIFICATE_TYPE_ECDSA_SIGN = 64;
+
+const STATE_CLIENT_HELLO = 'client-hello';
+const STATE_CLIENT_FLIGHT = 'client-flight';
+const STATE_CONNECTED = 'connected';
+const STATE_CLOSED = 'closed';
+
+// ECDHE suites with AES-128-GCM by the key type of the certificate, RFC 5289.
+const cipherSuites = {
+  ec: 0xc02b,
+  rsa: 0xc02f,
+};
+
+// Supported named curves in order of preference, RFC 8422, section 5.1.1
+const curves = new Map([
+  [23, 'prime256v1'],
+  [24, 'secp384r1'],
+  [25, 'secp521r1'],
+]);
+
+// Signature algorithms in order of preference, RFC 5246, section 7.4.1.4.1
+// SHA-1 is not accepted, RFC 9155.
+const signatureSchemes = new Map([
+  [0x0403, { type: 'ec', hash: 'sha256' }],
+  [0x0503, { type: 'ec', hash: 'sha384' }],
+  [0x0603, { type: 'ec', hash: 'sha512' }],
+  [0x0401, { type: 'rsa', hash: 'sha256' }],
+  [0x0501, { type: 'rsa', hash: 'sha384' }],
+  [0x0601, { type: 'rsa', hash: 'sha512' }],
+]);
+
+/**
+ * Cursor over the fields of a received message.
+ * Reading past the end throws.
+ */
+class Reader {
+  /**
+   * @constructor
+   * @param {Buffer} buffer
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.offset = 0;
+  }
+
+  /**
+   * @returns {number} count of unread bytes
+   */
+  get remaining() {
+    return this.buffer.length - this.offset;
+  }
+
+  /**
+   * @param {number} size
+   * @returns {Buffer}
+   */
+  bytes(size) {
+    if (size > this.remaining) {
+      throw new Error('Unexpected end of message');
+    }
+
+    const value = this.buffer.slice(this.offset, this.offset + size);
+    this.offset += size;
+    return value;
+  }
+
+  /**
+   * Read unsigned big endian integer.
+   * @param {number} size in bytes
+   * @returns {number}
+   */
+  uint(size) {
+    return this.bytes(size).readUIntBE(0, size);
+  }
+
+  /**
+   * Read vector with the length prefix.
+   * @param {number} size length of the prefix in bytes
+   * @returns {Buffer}
+   */
+  vector(size) {
+    return this.bytes(this.uint(size));
+  }
+}
+
+/**
+ * Server side of DTLS 1.2, RFC 6347, for the server role of WebRTC.
+ * `@nodertc/dtls` implements the client side only.
+ * Supports ECDHE_ECDSA and ECDHE_RSA with AES_128_GCM_SHA256 and requires
+ * the certificate of the client, HelloVerifyRequest is skipped
+ * since the address of the peer is already validated by ICE.
+ */
+class DtlsServer extends Duplex {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {Duplex} options.socket datagram transport
+   * @param {Buffer} options.certificate PEM encoded certificate
+   * @param {Buffer} options.certificatePrivateKey PEM encoded private key
+   * @param {function} options.checkClientIdentity called with DER encoded
+   *  certificate of the client, the handshake fails if it returns false
+   */
+  constructor(options) {
+    super({ allowHalfOpen: true });
+
+    const { socket, certificate, certificatePrivateKey } = options;
+
+    this[_socket] = socket;
+    this[_certificate] = pem.decode(certificate);
+    this[_privateKey] = certificatePrivateKey;
+    this[_keyType] = crypto.createPrivateKey(
+      certificatePrivateKey
+    ).asymmetricKeyType;
+    this[_checkClientIdentity] = options.checkClientIdentity;
+    this[_peerCertificate] = null;
+
+    if (!(this[_keyType] in cipherSuites)) {
+      throw new Error(`Unsupported key type ${this[_keyType]}`);
+    }
+
+    this[_state] = STATE_CLIENT_HELLO;
+    this[_expected] = HANDSHAKE_CLIENT_HELLO;
+
+    this[_readEpoch] = 0;
+    this[_writeSeq] = [0, 0];
+    this[_replay] = { max: -1, seen: new Set() };
+
+    this[_messageSeq] = 0;
+    this[_receiveSeq] = 0;
+    this[_fragments] = new Map();
+    this[_transcript] = [];
+    this[_handshake] = null;
+    this[_keys] = null;
+
+    this[_flight] = null;
+    this[_flightEnd] = -1;
+    this[_timer] = null;
+    this[_timeout] = INITIAL_TIMEOUT;
+    this[_retransmits] = 0;
+
+    this[_queue] = [];
+
+    socket.on('data', data => this.handleDatagram(data));
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  get connected() {
+    return this[_state] === STATE_CONNECTED;
+  }
+
+  /**
+   * DER encoded certificate of the client.
+   * @returns {Buffer|null}
+   */
+  getPeerCertificate() {
+    return this[_peerCertificate];
+  }
+
+  /**
+   * Handle incoming datagram, it may contain many records.
+   * Invalid records are dropped, RFC 6347, section 4.1.2.7.
+   * @param {Buffer} data
+   */
+  handleDatagram(data) {
+    const reader = new Reader(data);
+
+    while (reader.remaining >= RECORD_HEADER_SIZE) {
+      const type = reader.uint(1);
+      const version = reader.uint(2);
+      const epoch = reader.uint(2);
+      const seq = reader.uint(6);
+      const length = reader.uint(2);
+
+      if (length > reader.remaining) {
+        return;
+      }
+
+      const fragment = reader.bytes(length);
+
+      if (this[_state] === STATE_CLOSED) {
+        return;
+      }
+
+      if (epoch === this[_readEpoch] && this.checkReplay(seq)) {
+        const content =
+          epoch === 0
+            ? fragment
+            : this.decrypt(type, version, epoch, seq, fragment);
+
+        if (content !== null) {
+          this.acceptReplay(seq);
+          this.handleRecord(type, content);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check if the record is not a replay, RFC 6347, section 4.1.2.6.
+   * @param {number} seq record sequence number
+   * @returns {boolean}
+   */
+  checkReplay(seq) {
+    const { max, seen } = this[_replay];
+    return seq > max || (seq > max - REPLAY_WINDOW && !seen.has(seq));
+  }
+
+  /**
+   * Mark the authenticated record as received.
+   * @param {number} seq record sequence number
+   */
+  acceptReplay(seq) {
+    const replay = this[_replay];
+
+    replay.seen.add(seq);
+    replay.max = Math.max(replay.max, seq);
+
+    for (const item of replay.seen) {
+      if (item <= replay.max - REPLAY_WINDOW) {
+        replay.seen.delete(item);
+      }
+    }
+  }
+
+  /**
+   * @param {number} type content type
+   * @param {Buffer} content
+   */
+  handleRecord(type, content) {
+    switch (type) {
+      case CONTENT_HANDSHAKE:
+        this.handleHandshake(content);
+        break;
+      case CONTENT_CHANGE_CIPHER_SPEC:
+        this.handleChangeCipherSpec();
+        break;
+      case CONTENT_ALERT:
+        this.handleAlert(content);
+        break;
+      case CONTENT_APPLICATION_DATA:
+        if (this.connected) {
+          this.push(content);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Reassemble handshake messages, RFC 6347, section 4.2.3.
+   * @param {Buffer} content
+   */
+  handleHandshake(content) {
+    const reader = new Reader(content);
+
+    try {
+      while (reader.remaining > 0) {
+        const type = reader.uint(1);
+        const length = reader.uint(3);
+        const seq = reader.uint(2);
+        const offset = reader.uint(3);
+        const body = reader.vector(3);
+
+        if (offset + body.length > length) {
+          throw new Error('Invalid handshake fragment');
+        }
+
+        if (seq < this[_receiveSeq]) {
+          // The peer hasn't got our last flight.
+          if (seq === this[_flightEnd] && offset === 0) {
+            this.retransmit();
+          }
+        } else {
+          this.addFragment(type, length, seq, offset, body);
+        }
+      }
+    } catch (err) {
+      this.fail(ALERT_DECODE_ERROR, err);
+      return;
+    }
+
+    this.processMessages();
+  }
+
+  /**
+   * @param {number} type handshake type
+   * @param {number} length length of the message
+   * @param {number} seq message sequence number
+   * @param {number} offset fragment offset
+   * @param {Buffer} body fragment data
+   */
+  addFragment(type, length, seq, offset, body) {
+    let message = this[_fragments].get(seq);
+
+    if (message === undefined) {
+      message = {
+        type,
+        seq,
+        body: Buffer.alloc(length),
+        filled: Buffer.alloc(length),
+        received: 0,
+      };
+
+      this[_fragments].set(seq, message);
+    }
+
+    if (message.type !== type || message.body.length !== length) {
+      throw new Error('Mismatch of handshake fragments');
+    }
+
+    for (let i = 0; i < body.length; i += 1) {
+      if (message.filled[offset + i] === 0) {
+        message.filled[offset + i] = 1;
+        message.received += 1;
+      }
+    }
+
+    body.copy(message.body, offset);
+  }
+
+  /**
+   * Process complete handshake messages in order.
+   */
+  processMessages() {
+    let message = this[_fragments].get(this[_receiveSeq]);
+
+    while (
+      message !== undefined &&
+      message.received === message.body.length &&
+      this[_state] !== STATE_CLOSED
+    ) {
+      this[_fragments].delete(message.seq);
+      this[_receiveSeq] += 1;
+
+      this.handleMessage(message);
+      message = this[_fragments].get(this[_receiveSeq]);
+    }
+  }
+
+  /**
+   * @param {{type: number, seq: number, body: Buffer}} message
+   */
+  handleMessage(message) {
+    if (message.type !== this[_expected]) {
+      this.fail(
+        ALERT_UNEXPECTED_MESSAGE,
+        `Unexpected handshake message ${message.type}`
+      );
+      return;
+    }
+
+    // The peer has got our flight.
+    this.stopTimer();
+
+    const raw = createHandshake(message.type, message.seq, message.body);
+
+    try {
+      switch (message.type) {
+        case HANDSHAKE_CLIENT_HELLO:
+          this.handleClientHello(message.body, raw);
+          this[_flightEnd] = message.seq;
+          break;
+        case HANDSHAKE_CERTIFICATE:
+          this.handleCertificate(message.body, raw);
+          break;
+        case HANDSHAKE_CLIENT_KEY_EXCHANGE:
+          this.handleClientKeyExchange(message.body, raw);
+          break;
+        case HANDSHAKE_CERTIFICATE_VERIFY:
+          this.handleCertificateVerify(message.body, raw);
+          break;
+        case HANDSHAKE_FINISHED:
+          this.handleFinished(message.body, raw);
+          this[_flightEnd] = message.seq;
+          break;
+        default:
+          break;
+      }
+    } catch (err) {
+      this.fail(err.alert || ALERT_DECODE_ERROR, err);
+    }
+  }
+
+  /**
+   * Choose the parameters of the session and send the server flight.
+   * @param {Buffer} body
+   * @param {Buffer} raw the message with the header
+   */
+  handleClientHello(body, raw) {
+    const reader = new Reader(body);
+    const version = reader.uint(2);
+    const clientRandom = reader.bytes(RANDOM_SIZE);
+
+    reader.vector(1); // session id, resumption is not supported
+    reader.vector(1); // cookie
+
+    const suites = readList(reader.vector(2), 2);
+    const compressions = readList(reader.vector(1), 1);
+    const extensions =
+      reader.remaining > 0 ? readExtensions(reader) : new Map();
+
+    // DTLS versions are decreasing, 1.0 is 0xfeff.
+    if (version > DTLS_1_2) {
+      throw createAlert(ALERT_PROTOCOL_VERSION, 'DTLS 1.2 is required');
+    }
+
+    const suite = cipherSuites[this[_keyType]];
+
+    if (!suites.includes(suite) || !compressions.includes(0)) {
+      throw createAlert(ALERT_HANDSHAKE_FAILURE, 'No shared cipher suite');
+    }
+
+    const curve = chooseCurve(extensions.get(EXTENSION_SUPPORTED_GROUPS));
+    const signatureScheme = chooseSignatureScheme(
+      this[_keyType],
+      extensions.get(EXTENSION_SIGNATURE_ALGORITHMS)
+    );
+
+    if (curve === undefined || signatureScheme === undefined) {
+      throw createAlert(ALERT_HANDSHAKE_FAILURE, 'No shared parameters');
+    }
+
+    const ecdh = crypto.createECDH(curves.get(curve));
+    ecdh.generateKeys();
+
+    this[_handshake] = {
+      clientRandom,
+      serverRandom: crypto.randomBytes(RANDOM_SIZE),
+      ecdh,
+      extendedMasterSecret: extensions.has(EXTENSION_EXTENDED_MASTER_SECRET),
+      masterSecret: null,
+      certificate: null,
+    };
+
+    const serverExtensions = [];
+
+    // Extended master secret is always used when the client supports it.
+    if (this[_handshake].extendedMasterSecret) {
+      serverExtensions.push(
+        encodeExtension(EXTENSION_EXTENDED_MASTER_SECRET, Buffer.alloc(0))
+      );
+    }
+
+    // Empty renegotiation info, renegotiation is not supported, RFC 5746.
+    if (
+      extensions.has(EXTENSION_RENEGOTIATION_INFO) ||
+      suites.includes(EMPTY_RENEGOTIATION_INFO_SCSV)
+    ) {
+      serverExtensions.push(
+        encodeExtension(EXTENSION_RENEGOTIATION_INFO, Buffer.from([0]))
+      );
+    }
+
+    // Uncompressed points only, RFC 8422, section 5.2.
+    if (extensions.has(EXTENSION_EC_POINT_FORMATS)) {
+      serverExtensions.push(
+        encodeExtension(EXTENSION_EC_POINT_FORMATS, Buffer.from([1, 0]))
+      );
+    }
+
+    const { serverRandom } = this[_handshake];
+
+    const serverHello = Buffer.concat([
+      uint(DTLS_1_2, 2),
+      serverRandom,
+      uint(0, 1), // empty session id
+      uint(suite, 2),
+      uint(0, 1), // null compression
+      vector(Buffer.concat(serverExtensions), 2),
+    ]);
+
+    const certificate = vector(vector(this[_certificate], 3), 3);
+
+    // ServerECDHParams, RFC 8422, section 5.4.
+    const params = Buffer.concat([
+      uint(CURVE_TYPE_NAMED, 1),
+      uint(curve, 2),
+      vector(ecdh.getPublicKey(), 1),
+    ]);
+
+    const signature = crypto
+      .createSign(signatureSchemes.get(signatureScheme).hash)
+      .update(Buffer.concat([clientRandom, serverRandom, params]))
+      .sign(this[_privateKey]);
+
+    const serverKeyExchange = Buffer.concat([
+      params,
+      uint(signatureScheme, 2),
+      vector(signature, 2),
+    ]);
+
+    // The certificate of the client is required to check the fingerprint.
+    const certificateRequest = Buffer.concat([
+      vector(
+        Buffer.from([CERTIFICATE_TYPE_RSA_SIGN, CERTIFICATE_TYPE_ECDSA_SIGN]),
+        1
+      ),
+      vector(
+        Buffer.concat(Array.from(signatureSchemes.keys(), id => uint(id, 2))),
+        2
+      ),
+      vector(Buffer.alloc(0), 2),
+    ]);
+
+    this[_transcript].push(raw);
+
+    const flight = [
+      [HANDSHAKE_SERVER_HELLO, serverHello],
+      [HANDSHAKE_CERTIFICATE, certificate],
+      [HANDSHAKE_SERVER_KEY_EXCHANGE, serverKeyExchange],
+      [HANDSHAKE_CERTIFICATE_REQUEST, certificateRequest],
+      [HANDSHAKE_SERVER_HELLO_DONE, Buffer.alloc(0)],
+    ].map(([type, data]) => this.createMessage(type, data));
+
+    this[_state] = STATE_CLIENT_FLIGHT;
+    this[_expected] = HANDSHAKE_CERTIFICATE;
+
+    this.sendFlight(flight, true);
+  }
+
+  /**
+   * @param {Buffer} body
+   * @param {Buffer} raw the message with the header
+   */
+  handleCertificate(body, raw) {
+    const list = new Reader(new Reader(body).vector(3));
+
+    if (list.remaining === 0) {
+      throw createAlert(ALERT_HANDSHAKE_FAILURE, 'Certificate is required');
+    }
+
+    const certificate = list.vector(3);
+
+    if (!this[_checkClientIdentity](certificate)) {
+      throw createAlert(ALERT_BAD_CERTIFICATE, 'Invalid certificate');
+    }
+
+    this[_peerCertificate] = certificate;
+    this[_handshake].certificate = encodeCertificate(certificate);
+
+    this[_transcript].push(raw);
+    this[_expected] = HANDSHAKE_CLIENT_KEY_EXCHANGE;
+  }
+
+  /**
+   * Derive the master secret and the keys, RFC 5246, section 8.1 and 6.3.
+   * @param {Buffer} body
+   * @param {Buffer} raw the message with the header
+   */
+  handleClientKeyExchange(body, raw) {
+    const handshake = this[_handshake];
+    const publicKey = new Reader(body).vector(1);
+
+    let premaster = null;
+
+    try {
+      premaster = handshake.ecdh.computeSecret(publicKey);
+    } catch (err) {
+      throw createAlert(ALERT_ILLEGAL_PARAMETER, err.message);
+    }
+
+    this[_transcript].push(raw);
+
+    // Session hash includes ClientKeyExchange, RFC 7627, section 4.
+    handshake.masterSecret = handshake.extendedMasterSecret
+      ? prf(
+          premaster,
+          'extended master secret',
+          this.transcriptHash(),
+          MASTER_SECRET_SIZE
+        )
+      : prf(
+          premaster,
+          'master secret',
+          Buffer.concat([handshake.clientRandom, handshake.serverRandom]),
+          MASTER_SECRET_SIZE
+        );
+
+    const block = prf(
+      handshake.masterSecret,
+      'key expansion',
+      Buffer.concat([handshake.serverRandom, handshake.clientRandom]),
+      2 * (KEY_SIZE + IV_SIZE)
+    );
+
+    const keys = new Reader(block);
+
+    this[_keys] = {
+      clientKey: keys.bytes(KEY_SIZE),
+      serverKey: keys.bytes(KEY_SIZE),
+      clientIV: keys.bytes(IV_SIZE),
+      serverIV: keys.bytes(IV_SIZE),
+    };
+
+    this[_expected] = HANDSHAKE_CERTIFICATE_VERIFY;
+  }
+
+  /**
+   * Check that the client owns the certificate.
+   * @param {Buffer} body
+   * @param {Buffer} raw the message with the header
+   */
+  handleCertificateVerify(body, raw) {
+    const reader = new Reader(body);
+    const scheme = signatureSchemes.get(reader.uint(2));
+    const signature = reader.vector(2);
+
+    const isValid =
+      scheme !== undefined &&
+      crypto
+        .createVerify(scheme.hash)
+        .update(Buffer.concat(this[_transcript]))
+        .verify(this[_handshake].certificate, signature);
+
+    if (!isValid) {
+      throw createAlert(ALERT_DECRYPT_ERROR, 'Invalid certificate verify');
+    }
+
+    this[_transcript].push(raw);
+    this[_expected] = HANDSHAKE_FINISHED;
+  }
+
+  /**
+   * Check Finished of the client and complete the handshake.
+   * @param {Buffer} body
+   * @param {Buffer} raw the message with the header
+   */
+  handleFinished(body, raw) {
+    const { masterSecret } = this[_handshake];
+    const expected = prf(
+      masterSecret,
+      'client finished',
+      this.transcriptHash(),
+      VERIFY_DATA_SIZE
+    );
+
+    if (
+      body.length !== VERIFY_DATA_SIZE ||
+      !crypto.timingSafeEqual(body, expected)
+    ) {
+      throw createAlert(ALERT_DECRYPT_ERROR, 'Invalid finished');
+    }
+
+    this[_transcript].push(raw);
+
+    const finished = prf(
+      masterSecret,
+      'server finished',
+      this.transcriptHash(),
+      VERIFY_DATA_SIZE
+    );
+
+    const flight = [
+      { type: CONTENT_CHANGE_CIPHER_SPEC, epoch: 0, data: Buffer.from([1]) },
+      Object.assign(this.createMessage(HANDSHAKE_FINISHED, finished), {
+        epoch: 1,
+      }),
+    ];
+
+    this[_state] = STATE_CONNECTED;
+    this[_expected] = null;
+    this[_transcript] = [];
+    this[_handshake].ecdh = null;
+
+    // The last flight is retransmitted on retransmission of the peer.
+    this.sendFlight(flight, false);
+
+    process.nextTick(() => {
+      this.emit('connect');
+
+      const queue = this[_queue];
+      this[_queue] = [];
+
+      queue.forEach(({ chunk, callback }) => {
+        this.sendRecord(CONTENT_APPLICATION_DATA, 1, chunk);
+        callback();
+      });
+    });
+  }
+
+  /**
+   * The client switches to the negotiated keys.
+   */
+  handleChangeCipherSpec() {
+    // Retransmitted or early messages are dropped, the peer repeats them.
+    if (this[_readEpoch] !== 0 || this[_expected] !== HANDSHAKE_FINISHED) {
+      return;
+    }
+
+    this[_readEpoch] = 1;
+    this[_replay] = { max: -1, seen: new Set() };
+  }
+
+  /**
+   * @param {Buffer} content
+   */
+  handleAlert(content) {
+    if (content.length < 2) {
+      return;
+    }
+
+    const level = content.readUInt8(0);
+    const description = content.readUInt8(1);
+
+    if (description === ALERT_CLOSE_NOTIFY) {
+      this.close();
+    } else if (level === ALERT_FATAL) {
+      this.stop();
+      this.emit('error', new Error(`alert code ${description}`));
+    }
+  }
+
+  /**
+   * Abort the handshake with the fatal alert.
+   * @param {number} description alert description
+   * @param {Error|string} reason
+   */
+  fail(description, reason) {
+    if (this[_state] === STATE_CLOSED) {
+      return;
+    }
+
+    const epoch = this[_keys] !== null && this.connected ? 1 : 0;
+    this.sendRecord(
+      CONTENT_ALERT,
+      epoch,
+      Buffer.from([ALERT_FATAL, description])
+    );
+    this.stop();
+
+    const message = reason instanceof Error ? reason.message : reason;
+    this.emit('error', new Error(`DTLS handshake failed: ${message}`));
+  }
+
+  /**
+   * Stop the handshake and the timers.
+   */
+  stop() {
+    this[_state] = STATE_CLOSED;
+    this[_flight] = null;
+    this.stopTimer();
+  }
+
+  /**
+   * @returns {Buffer} hash of the handshake messages
+   */
+  transcriptHash() {
+    return crypto
+      .createHash('sha256')
+      .update(Buffer.concat(this[_transcript]))
+      .digest();
+  }
+
+  /**
+   * Create the next handshake message of the server.
+   * @param {number} type handshake type
+   * @param {Buffer} body
+   * @returns {{type: number, epoch: number, data: Buffer}}
+   */
+  createMessage(type, body) {
+    const data = createHandshake(type, this[_messageSeq], body);
+
+    this[_messageSeq] += 1;
+    this[_transcript].push(data);
+
+    return { type: CONTENT_HANDSHAKE, epoch: 0, data };
+  }
+
+  /**
+   * @param {object[]} flight messages of the flight
+   * @param {boolean} isRetransmitted if the flight is sent until the answer
+   */
+  sendFlight(flight, isRetransmitted) {
+    this[_flight] = flight;
+    this[_timeout] = INITIAL_TIMEOUT;
+    this[_retransmits] = 0;
+
+    this.transmit();
+
+    if (isRetransmitted) {
+      this.startTimer();
+    }
+  }
+
+  /**
+   * Send the last flight again.
+   */
+  retransmit() {
+    if (this[_flight] !== null) {
+      this.transmit();
+    }
+  }
+
+  /**
+   * Send the last flight. Handshake messages are fragmented and records
+   * are packed in datagrams up to MTU, RFC 6347, section 4.1.1.
+   */
+  transmit() {
+    const datagrams = [];
+    let datagram = [];
+    let size = 0;
+
+    const add = record => {
+      if (size + record.length > MTU && datagram.length > 0) {
+        datagrams.push(Buffer.concat(datagram));
+        datagram = [];
+        size = 0;
+      }
+
+      datagram.push(record);
+      size += record.length;
+    };
+
+    for (const { type, epoch, data } of this[_flight]) {
+      if (type === CONTENT_HANDSHAKE) {
+        fragmentMessage(data, maxFragmentSize(epoch)).forEach(item =>
+          add(this.encodeRecord(type, epoch, item))
+        );
+      } else {
+        add(this.encodeRecord(type, epoch, data));
+      }
+    }
+
+    if (datagram.length > 0) {
+      datagrams.push(Buffer.concat(datagram));
+    }
+
+    datagrams.forEach(item => this.sendDatagram(item));
+  }
+
+  /**
+   * Start retransmission timer of the flight.
+   * The timer doesn't keep the process alive.
+   */
+  startTimer() {
+    this[_timer] = setTimeout(() => {
+      this[_timer] = null;
+      this[_retransmits] += 1;
+
+      if (this[_retransmits] > MAX_RETRANSMITS) {
+        this.stop();
+        this.emit('error', new Error('DTLS handshake timeout'));
+        return;
+      }
+
+      // Exponential back off, RFC 6347, section 4.2.4.1
+      this[_timeout] *= 2;
+      this.transmit();
+      this.startTimer();
+    }, this[_timeout]);
+
+    this[_timer].unref();
+  }
+
+  /**
+   * Stop retransmission timer.
+   */
+  stopTimer() {
+    if (this[_timer] !== null) {
+      clearTimeout(this[_timer]);
+      this[_timer] = null;
+    }
+  }
+
+  /**
+   * @param {number} type content type
+   * @param {number} epoch
+   * @param {Buffer} data
+   */
+  sendRecord(type, epoch, data) {
+    this.sendDatagram(this.encodeRecord(type, epoch, data));
+  }
+
+  /**
+   * @param {Buffer} data
+   */
+  sendDatagram(data) {
+    this[_socket].write(data, err => {
+      if (err) {
+        console.log('[nodertc][dtls] send failed: %s', err.message);
+      }
+    });
+  }
+
+  /**
+   * Create record, records of the epoch 1 are encrypted.
+   * Each record has a new sequence number, even on retransmission.
+   * @param {number} type content type
+   * @param {number} epoch
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+  encodeRecord(type, epoch, data) {
+    const seq = this[_writeSeq][epoch];
+    this[_writeSeq][epoch] += 1;
+
+    const header = Buffer.concat([
+      uint(type, 1),
+      uint(DTLS_1_2, 2),
+      uint(epoch, 2),
+      uint(seq, 6),
+    ]);
+
+    const fragmentData = epoch === 0 ? data : this.encrypt(header, data);
+
+    return Buffer.concat([header, uint(fragmentData.length, 2), fragmentData]);
+  }
+
+  /**
+   * AES-GCM encryption, RFC 5288, section 3.
+   * @param {Buffer} header type, version, epoch and sequence number
+   * @param {Buffer} data
+   * @returns {Buffer}
+   */
+  encrypt(header, data) {
+    const { serverKey, serverIV } = this[_keys];
+
+    // The epoch and the sequence number are unique for the key.
+    const explicitNonce = header.slice(3);
+    const nonce = Buffer.concat([serverIV, explicitNonce]);
+    const aad = createAdditionalData(header, data.length);
+
+    const cipher = crypto.createCipheriv('aes-128-gcm', serverKey, nonce);
+    cipher.setAAD(aad);
+
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+    return Buffer.concat([explicitNonce, encrypted, cipher.getAuthTag()]);
+  }
+
+  /**
+   * @param {number} type content type
+   * @param {number} version protocol version
+   * @param {number} epoch
+   * @param {number} seq record sequence number
+   * @param {Buffer} fragmentData
+   * @returns {Buffer|null} null if the record is not authentic
+   */
+  decrypt(type, version, epoch, seq, fragmentData) {
+    if (
+      this[_keys] === null ||
+      fragmentData.length < EXPLICIT_NONCE_SIZE + TAG_SIZE
+    ) {
+      return null;
+    }
+
+    const { clientKey, clientIV } = this[_keys];
+    const explicitNonce = fragmentData.slice(0, EXPLICIT_NONCE_SIZE);
+    const encrypted = fragmentData.slice(
+      EXPLICIT_NONCE_SIZE,
+      fragmentData.length - TAG_SIZE
+    );
+    const tag = fragmentData.slice(fragmentData.length - TAG_SIZE);
+
+    const header = Buffer.concat([
+      uint(type, 1),
+      uint(version, 2),
+      uint(epoch, 2),
+      uint(seq, 6),
+    ]);
+
+    const decipher = crypto.createDecipheriv(
+      'aes-128-gcm',
+      clientKey,
+      Buffer.concat([clientIV, explicitNonce])
+    );
+
+    decipher.setAAD(createAdditionalData(header, encrypted.length));
+    decipher.setAuthTag(tag);
+
+    try {
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Close the connection, the underlying socket is closed too.
+   */
+  close() {
+    if (this[_state] === STATE_CLOSED && this.destroyed) {
+      return;
+    }
+
+    if (this.connected) {
+      this.sendRecord(
+        CONTENT_ALERT,
+        1,
+        Buffer.from([ALERT_WARNING, ALERT_CLOSE_NOTIFY])
+      );
+    }
+
+    this.stop();
+    this[_socket].close();
+    this.destroy();
+  }
+
+  /**
+   * @private
+   */
+  _read() {} // eslint-disable-line class-methods-use-this
+
+  /**
+   * @private
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {function} callback
+   */
+  _write(chunk, encoding, callback) {
+    if (this.connected) {
+      this.sendRecord(CONTENT_APPLICATION_DATA, 1, chunk);
+      callback();
+    } else if (this[_state] === STATE_CLOSED) {
+      callback(new Error('DTLS connection is closed'));
+    } else {
+      this[_queue].push({ chunk, callback });
+    }
+  }
+
+  /**
+   * @private
+   * @param {Error} err
+   * @param {function} callback
+   */
+  _destroy(err, callback) {
+    this.stop();
+    this[_queue] = [];
+    this[_fragments].clear();
+    this[_handshake] = null;
+    this[_keys] = null;
+    callback(err);
+  }
+}
+
+module.exports = DtlsServer;
+
+/**
+ * Encode unsigned big endian integer.
+ * @param {number} value
+ * @param {number} size in bytes
+ * @returns {Buffer}
+ */
+function uint(value, size) {
+  const buffer = Buffer.alloc(size);
+  buffer.writeUIntBE(value, 0, size);
+  return buffer;
+}
+
+/**
+ * Encode vector with the length prefix.
+ * @param {Buffer} data
+ * @param {number} size length of the prefix in bytes
+ * @returns {Buffer}
+ */
+function vector(data, size) {
+  return Buffer.concat([uint(data.length, size), data]);
+}
+
+/**
+ * Decode list of integers.
+ * @param {Buffer} data
+ * @param {number} size size of the item in bytes
+ * @returns {number[]}
+ */
+function readList(data, size) {
+  const reader = new Reader(data);
+  const list = [];
+
+  while (reader.remaining > 0) {
+    list.push(reader.uint(size));
+  }
+
+  return list;
+}
+
+/**
+ * Decode extensions of ClientHello, RFC 5246, section 7.4.1.4.
+ * @param {Reader} reader
+ * @returns {Map<number, Buffer>}
+ */
+function readExtensions(reader) {
+  const list = new Reader(reader.vector(2));
+  const extensions = new Map();
+
+  while (list.remaining > 0) {
+    const type = list.uint(2);
+    extensions.set(type, list.vector(2));
+  }
+
+  return extensions;
+}
+
+/**
+ * @param {number} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function encodeExtension(type, data) {
+  return Buffer.concat([uint(type, 2), vector(data, 2)]);
+}
+
+/**
+ * Choose named curve for ECDHE. Without the extension
+ * the client supports any curve, RFC 8422, section 4.
+ * @param {Buffer} [extension] supported groups of the client
+ * @returns {number|undefined}
+ */
+function chooseCurve(extension) {
+  const ids = Array.from(curves.keys());
+
+  if (extension === undefined) {
+    return ids[0];
+  }
+
+  const supported = readList(new Reader(extension).vector(2), 2);
+  return ids.find(id => supported.includes(id));
+}
+
+/**
+ * Choose the signature of ServerKeyExchange. Without the extension
+ * the client supports SHA-1 only, RFC 5246, section 7.4.1.4.1,
+ * but SHA-1 is never used, RFC 9155. `@nodertc/dtls` doesn't send
+ * the extension, it accepts ECDSA with SHA-256 but RSA with SHA-1 only,
+ * so only ECDSA signatures are sent to such clients.
+ * @param {string} keyType `ec` or `rsa`
+ * @param {Buffer} [extension] signature algorithms of the client
+ * @returns {number|undefined}
+ */
+function chooseSignatureScheme(keyType, extension) {
+  const ids = Array.from(signatureSchemes.keys()).filter(
+    id => signatureSchemes.get(id).type === keyType
+  );
+
+  if (extension === undefined) {
+    return keyType === 'ec' ? ids[0] : undefined;
+  }
+
+  const supported = readList(new Reader(extension).vector(2), 2);
+  return ids.find(id => supported.includes(id));
+}
+
+/**
+ * Encode the complete handshake message, as used in the handshake hash.
+ * @param {number} type handshake type
+ * @param {number} seq message sequence number
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+function createHandshake(type, seq, body) {
+  return Buffer.concat([
+    uint(type, 1),
+    uint(body.length, 3),
+    uint(seq, 2),
+    uint(0, 3),
+    vector(body, 3),
+  ]);
+}
+
+/**
+ * Split the handshake message into fragments.
+ * @param {Buffer} message complete handshake message
+ * @param {number} size max length of the fragment data
+ * @returns {Buffer[]}
+ */
+function fragmentMessage(message, size) {
+  const header = message.slice(0, HANDSHAKE_HEADER_SIZE - 6);
+  const body = message.slice(HANDSHAKE_HEADER_SIZE);
+  const fragments = [];
+
+  let offset = 0;
+
+  do {
+    const data = body.slice(offset, offset + size);
+
+    fragments.push(Buffer.concat([header, uint(offset, 3), vector(data, 3)]));
+
+    offset += size;
+  } while (offset < body.length);
+
+  return fragments;
+}
+
+/**
+ * @param {number} epoch
+ * @returns {number} max length of the handshake fragment data
+ */
+function maxFragmentSize(epoch) {
+  const overhead = epoch === 0 ? 0 : EXPLICIT_NONCE_SIZE + TAG_SIZE;
+  return MTU - RECORD_HEADER_SIZE - HANDSHAKE_HEADER_SIZE - overhead;
+}
+
+/**
+ * Additional data of AEAD ciphers, RFC 5246, section 6.2.3.3.
+ * @param {Buffer} header type, version, epoch and sequence number
+ * @param {number} length length of the plaintext
+ * @returns {Buffer}
+ */
+function createAdditionalData(header, length) {
+  // The sequence number of DTLS includes the epoch.
+  return Buffer.concat([header.slice(3), header.slice(0, 3), uint(length, 2)]);
+}
+
+/**
+ * TLS 1.2 pseudorandom function with SHA-256, RFC 5246, section 5.
+ * @param {Buffer} secret
+ * @param {string} label
+ * @param {Buffer} seed
+ * @param {number} size length of the output
+ * @returns {Buffer}
+ */
+function prf(secret, label, seed, size) {
+  const data = Buffer.concat([Buffer.from(label, 'ascii'), seed]);
+  const hmac = value =>
+    crypto
+      .createHmac('sha256', secret)
+      .update(value)
+      .digest();
+
+  const chunks = [];
+  let length = 0;
+  let a = data;
+
+  while (length < size) {
+    a = hmac(a);
+
+    const chunk = hmac(Buffer.concat([a, data]));
+    chunks.push(chunk);
+    length += chunk.length;
+  }
+
+  return Buffer.concat(chunks).slice(0, size);
+}
+
+/**
+ * Create error with the alert sent to the peer.
+ * @param {number} alert alert description
+ * @param {string} message
+ * @returns {Error}
+ */
+function createAlert(alert, message) {
+  const error = new Error(message);
+  error.alert = alert;
+  return error;
+}
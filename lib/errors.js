@@ -0,0 +1,42 @@
+'use strict';
+
+// Codes of errors of the session `error` event.
+const codes = {
+  // All candidate pairs have failed, RFC 8445, section 8.
+  ERR_ICE_FAILED: 'ERR_ICE_FAILED',
+  // The peer doesn't respond to consent checks, RFC 7675, section 5.2
+  ERR_ICE_CONSENT_EXPIRED: 'ERR_ICE_CONSENT_EXPIRED',
+  ERR_DTLS: 'ERR_DTLS',
+  ERR_SCTP: 'ERR_SCTP',
+  // The relay is lost, the session may still work over other pairs.
+  ERR_TURN: 'ERR_TURN',
+  // The `.local` name of a remote candidate can't be resolved,
+  // the session may still work over other candidates.
+  ERR_MDNS: 'ERR_MDNS',
+  // Invalid connectivity check is rejected, the session keeps working.
+  ERR_STUN: 'ERR_STUN',
+};
+
+module.exports = {
+  codes,
+  createError,
+};
+
+/**
+ * Create error with the code, the original error is kept in `cause`.
+ * @param {string} code
+ * @param {Error|string} reason
+ * @returns {Error}
+ */
+function createError(code, reason) {
+  const isError = reason instanceof Error;
+  const error = new Error(isError ? reason.message : reason);
+
+  error.code = code;
+
+  if (isError) {
+    error.cause = reason;
+  }
+
+  return error;
+}
@@ -2,7 +2,13 @@
 
 const { createHash } = require('crypto');
 
+// Supported hash functions of `a=fingerprint`, RFC 8122, section 5.
+const ALGORITHMS = ['sha-1', 'sha-224', 'sha-256', 'sha-384', 'sha-512'];
+
 module.exports = fingerprint;
+module.exports.verify = verify;
+module.exports.isSupported = isSupported;
+module.exports.ALGORITHMS = ALGORITHMS;
 
 const upper = s => s.toUpperCase();
 const colon = s => s.match(/(.{2})/g).join(':');
@@ -10,13 +16,35 @@ const colon = s => s.match(/(.{2})/g).join(':');
 /**
  * Create fingerprint of certificate.
  * @param {Buffer} file
- * @param {string} hashname
+ * @param {string} hashname node name, e.g. `sha256`, or SDP name, e.g. `sha-256`
  * @returns {string}
  */
 function fingerprint(file, hashname) {
-  const hash = createHash(hashname)
+  const hash = createHash(hashname.toLowerCase().replace('-', ''))
     .update(file)
     .digest('hex');
 
   return colon(upper(hash));
 }
+
+/**
+ * @param {string} type SDP name of the hash function
+ * @returns {boolean}
+ */
+function isSupported(type) {
+  return ALGORITHMS.includes(String(type).toLowerCase());
+}
+
+/**
+ * Check if certificate matches any of the fingerprints,
+ * unsupported hash functions are ignored.
+ * @param {Buffer} file DER encoded certificate
+ * @param {object[]} fingerprints list of `{ type, hash }` from SDP
+ * @returns {boolean}
+ */
+function verify(file, fingerprints) {
+  return fingerprints.some(
+    ({ type, hash }) =>
+      isSupported(type) && fingerprint(file, type) === upper(hash)
+  );
+}
@@ -0,0 +1,1107 @@
+'use strict';
+
+const Emitter = require('events');
+const crypto = require('crypto');
+const { isIPv6 } = require('net');
+const stun = require('stun');
+const Candidates = require('./candidates');
+const { Checklist, constants: pairStates } = require('./checklist');
+const { getErrorCode, validateErrorIntegrity } = require('./stun-util');
+const { checkPriority } = require('./ice-util');
+const { codes: errorCodes, createError } = require('./errors');
+
+const {
+  STUN_ATTR_XOR_MAPPED_ADDRESS,
+  STUN_ATTR_USERNAME,
+  STUN_ATTR_MESSAGE_INTEGRITY,
+  STUN_ATTR_ERROR_CODE,
+  STUN_ATTR_USE_CANDIDATE,
+  STUN_ATTR_ICE_CONTROLLING,
+  STUN_ATTR_ICE_CONTROLLED,
+  STUN_ATTR_PRIORITY,
+  STUN_EVENT_BINDING_REQUEST,
+  STUN_EVENT_BINDING_RESPONSE,
+  STUN_EVENT_BINDING_ERROR_RESPONSE,
+  STUN_BINDING_RESPONSE,
+  STUN_BINDING_ERROR_RESPONSE,
+  STUN_BINDING_REQUEST,
+  STUN_CODE_BAD_REQUEST,
+  STUN_REASON_BAD_REQUEST,
+  STUN_CODE_UNAUTHORIZED,
+  STUN_REASON_UNAUTHORIZED,
+  STUN_CODE_ROLE_CONFLICT,
+  STUN_REASON_ROLE_CONFLICT,
+} = stun.constants;
+
+const {
+  STATE_FROZEN,
+  STATE_WAITING,
+  STATE_IN_PROGRESS,
+  STATE_SUCCEEDED,
+  STATE_FAILED,
+} = pairStates;
+
+// Pacing of connectivity checks, RFC 8445, section 14.2
+const TA = 50;
+
+// STUN retransmission timer and the number of requests, RFC 5389, section 7.2.1
+const RTO = 500;
+const RC = 7;
+const RM = 16;
+
+// Controlling agent nominates the best valid pair after this timeout
+// even if checks of higher priority pairs are still in progress.
+const NOMINATION_TIMEOUT = 1e3;
+
+// Consent freshness checks on the selected pair, RFC 7675, section 5.1
+const CONSENT_INTERVAL = 5e3;
+const CONSENT_TIMEOUT = 30e3;
+const CONSENT_ATTEMPTS = 3;
+
+// The selected pair is disconnected when the peer doesn't respond for this time.
+const DISCONNECTED_TIMEOUT = 10e3;
+
+// Checks received before the remote description wait for it, the queue is
+// limited as the peer isn't authenticated yet.
+const MAX_EARLY_CHECKS = 100;
+
+// Syntax of `ice-ufrag`, RFC 8839, section 5.4
+const UFRAG_PATTERN = /^[a-z0-9+/]{4,256}$/i;
+
+const _servers = Symbol('stun-servers');
+const _username = Symbol('username');
+const _password = Symbol('password');
+const _remoteUsername = Symbol('remote-username');
+const _remotePassword = Symbol('remote-password');
+const _localCandidates = Symbol('local-candidates');
+const _remoteCandidates = Symbol('remote-candidates');
+const _checklist = Symbol('checklist');
+const _triggered = Symbol('triggered');
+const _transactions = Symbol('transactions');
+const _selected = Symbol('selected');
+const _pacer = Symbol('pacer');
+const _consentTimer = Symbol('consent-timer');
+const _disconnectTimer = Symbol('disconnect-timer');
+const _expireTimer = Symbol('expire-timer');
+const _disconnected = Symbol('disconnected');
+const _disconnectedTimeout = Symbol('disconnected-timeout');
+const _nominationTimer = Symbol('nomination-timer');
+const _remoteGatheringComplete = Symbol('remote-gathering-complete');
+const _failed = Symbol('failed');
+const _checking = Symbol('checking');
+const _tieBreaker = Symbol('tie-breaker');
+const _earlyChecks = Symbol('early-checks');
+
+/**
+ * ICE agent, RFC 8445.
+ */
+module.exports = class IceAgent extends Emitter {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {string} options.username local ICE username fragment
+   * @param {string} options.password local ICE password
+   * @param {boolean} [options.controlling] agent role, controlling by default
+   * @param {number} [options.disconnectedTimeout] time in ms without responses
+   *  on the selected pair to consider it disconnected
+   */
+  constructor(options = {}) {
+    super();
+
+    this[_servers] = new Map();
+
+    this[_username] = options.username;
+    this[_password] = options.password;
+    this[_remoteUsername] = null;
+    this[_remotePassword] = null;
+
+    this[_localCandidates] = [];
+    this[_remoteCandidates] = new Candidates();
+
+    this[_checklist] = new Checklist({
+      controlling: options.controlling !== false,
+    });
+
+    // Random per agent value, RFC 8445, section 16.1
+    this[_tieBreaker] = crypto.randomBytes(8);
+
+    this[_triggered] = [];
+    this[_earlyChecks] = [];
+    this[_transactions] = new Map();
+    this[_selected] = null;
+
+    this[_pacer] = null;
+    this[_nominationTimer] = null;
+
+    this[_consentTimer] = null;
+    this[_disconnectTimer] = null;
+    this[_expireTimer] = null;
+    this[_disconnected] = false;
+    this[_disconnectedTimeout] =
+      options.disconnectedTimeout || DISCONNECTED_TIMEOUT;
+
+    this[_remoteGatheringComplete] = false;
+    this[_failed] = false;
+    this[_checking] = false;
+  }
+
+  /**
+   * Get STUN server of the first IPv4 host candidate.
+   * @returns {stun.StunServer|undefined}
+   */
+  get stun() {
+    for (const [key, server] of this[_servers]) {
+      if (key.startsWith('host:') && !key.startsWith('host:[')) {
+        return server;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Check if the agent is in controlling role.
+   * @returns {boolean}
+   */
+  get controlling() {
+    return this[_checklist].controlling;
+  }
+
+  /**
+   * Set the agent role.
+   * @param {boolean} controlling
+   */
+  set controlling(controlling) {
+    const checklist = this[_checklist];
+
+    if (checklist.controlling === controlling) {
+      return;
+    }
+
+    checklist.controlling = controlling;
+
+    // Pair priorities depend on the role.
+    checklist.sort();
+
+    if (!controlling) {
+      clearTimeout(this[_nominationTimer]);
+      this[_nominationTimer] = null;
+
+      checklist.pairs.forEach(pair => {
+        pair.nominating = false;
+      });
+    }
+
+    this.emit('rolechange', controlling ? 'controlling' : 'controlled');
+  }
+
+  /**
+   * Get the tie-breaker value used to resolve role conflicts.
+   * @returns {Buffer}
+   */
+  get tieBreaker() {
+    return this[_tieBreaker];
+  }
+
+  /**
+   * Get the checklist.
+   * @returns {Checklist}
+   */
+  get checklist() {
+    return this[_checklist];
+  }
+
+  /**
+   * Get the selected pair.
+   * @returns {CandidatePair|null}
+   */
+  get selectedPair() {
+    return this[_selected];
+  }
+
+  /**
+   * Handle connectivity checks on the UDP socket.
+   * The agent uses one socket for each host candidate
+   * and one for each relayed candidate.
+   * @param {dgram.Socket|TurnClient} socket
+   * @param {object} local local candidate of the socket, `{ type, ip, port }`
+   */
+  addSocket(socket, local) {
+    const server = stun.createServer(socket);
+
+    this[_servers].set(localKey(local), server);
+
+    // Malformed messages are dropped, RFC 5389, section 7.3
+    server.on('error', () => {});
+
+    server.on(STUN_EVENT_BINDING_REQUEST, (req, rinfo) =>
+      this.handleRequest(req, rinfo, local)
+    );
+
+    server.on(STUN_EVENT_BINDING_RESPONSE, (res, rinfo) =>
+      this.handleResponse(res, rinfo)
+    );
+
+    server.on(STUN_EVENT_BINDING_ERROR_RESPONSE, (res, rinfo) =>
+      this.handleErrorResponse(res, rinfo)
+    );
+  }
+
+  /**
+   * Send STUN message to the remote address.
+   * @param {stun.StunMessage} message
+   * @param {number} port
+   * @param {string} address
+   * @param {object} local send through the socket of this local candidate
+   */
+  send(message, port, address, local) {
+    const server = this.getServer(local);
+
+    if (server !== undefined) {
+      server.send(message, port, address);
+    }
+  }
+
+  /**
+   * Get STUN server of the socket of the local candidate.
+   * @param {object} local host or relayed candidate, `{ type, ip, port }`
+   * @returns {stun.StunServer|undefined}
+   */
+  getServer(local) {
+    return this[_servers].get(localKey(local));
+  }
+
+  /**
+   * Set ICE credentials of the peer. Triggered checks of the peer's
+   * requests received before are scheduled now, RFC 8445, section 7.3.
+   * @param {string} username
+   * @param {string} password
+   */
+  setRemoteCredentials(username, password) {
+    this[_remoteUsername] = username;
+    this[_remotePassword] = password;
+
+    const earlyChecks = this[_earlyChecks];
+    this[_earlyChecks] = [];
+
+    earlyChecks
+      .filter(({ req }) => this.isCurrentPeer(req))
+      .forEach(({ req, rinfo, local }) => this.triggerCheck(req, rinfo, local));
+  }
+
+  /**
+   * Add a local candidate.
+   * Server reflexive candidates are not paired, their base is used instead.
+   * @param {object} candidate
+   */
+  addLocalCandidate(candidate) {
+    this[_localCandidates].push(candidate);
+
+    if (!isPairable(candidate)) {
+      return;
+    }
+
+    for (const remote of this[_remoteCandidates]) {
+      if (isSameFamily(candidate, remote)) {
+        this.addPair(candidate, remote);
+      }
+    }
+  }
+
+  /**
+   * Add a remote candidate.
+   * @param {object} candidate
+   * @returns {object} added or already known candidate
+   */
+  addRemoteCandidate(candidate) {
+    const { ip, port } = candidate;
+
+    if (!this[_remoteCandidates].push(candidate)) {
+      return this[_remoteCandidates].get(ip, port);
+    }
+
+    this[_failed] = false;
+
+    for (const local of this[_localCandidates]) {
+      if (isPairable(local) && isSameFamily(local, candidate)) {
+        this.addPair(local, candidate);
+      }
+    }
+
+    return candidate;
+  }
+
+  /**
+   * The peer has signaled the end of its candidates.
+   */
+  endOfCandidates() {
+    this[_remoteGatheringComplete] = true;
+    this.checkFailure();
+  }
+
+  /**
+   * Form a new candidate pair.
+   * @param {object} local
+   * @param {object} remote
+   * @returns {CandidatePair|null}
+   */
+  addPair(local, remote) {
+    const pair = this[_checklist].add(local, remote);
+
+    if (pair !== null) {
+      this[_checklist].unfreeze();
+    }
+
+    return pair;
+  }
+
+  /**
+   * Start connectivity checks.
+   */
+  start() {
+    if (this[_pacer] !== null) {
+      return;
+    }
+
+    this[_pacer] = setInterval(() => this.tick(), TA);
+    this[_pacer].unref();
+  }
+
+  /**
+   * Stop all checks and timers.
+   */
+  stop() {
+    clearInterval(this[_pacer]);
+    clearTimeout(this[_nominationTimer]);
+    clearTimeout(this[_consentTimer]);
+    clearTimeout(this[_disconnectTimer]);
+    clearTimeout(this[_expireTimer]);
+
+    this[_pacer] = null;
+    this[_nominationTimer] = null;
+    this[_consentTimer] = null;
+    this[_disconnectTimer] = null;
+    this[_expireTimer] = null;
+
+    for (const transaction of this[_transactions].values()) {
+      clearTimeout(transaction.timer);
+    }
+
+    this[_transactions].clear();
+    this[_triggered].length = 0;
+    this[_earlyChecks].length = 0;
+  }
+
+  /**
+   * Restart ICE with new local credentials, RFC 8445, section 9.
+   * Candidates and pairs are dropped, sockets are kept. The caller gathers
+   * candidates again and keeps using the previously selected pair
+   * until a new one is selected.
+   * @param {string} username new local ICE username fragment
+   * @param {string} password new local ICE password
+   */
+  restart(username, password) {
+    this.stop();
+
+    this[_username] = username;
+    this[_password] = password;
+    this[_remoteUsername] = null;
+    this[_remotePassword] = null;
+
+    this[_localCandidates] = [];
+    this[_remoteCandidates] = new Candidates();
+    this[_checklist] = new Checklist({ controlling: this.controlling });
+    this[_selected] = null;
+
+    this[_remoteGatheringComplete] = false;
+    this[_failed] = false;
+    this[_checking] = false;
+    this[_disconnected] = false;
+  }
+
+  /**
+   * Perform a single check on each tick of the pacing timer,
+   * triggered checks first, RFC 8445, section 6.1.4.2.
+   */
+  tick() {
+    if (this[_remoteUsername] === null) {
+      return;
+    }
+
+    let pair = this[_triggered].shift();
+
+    if (pair === undefined) {
+      pair = this[_checklist].first(STATE_WAITING);
+    }
+
+    if (pair === undefined) {
+      pair = this[_checklist].first(STATE_FROZEN);
+    }
+
+    if (pair === undefined) {
+      return;
+    }
+
+    this.check(pair);
+  }
+
+  /**
+   * Send connectivity check for the pair.
+   * @param {CandidatePair} pair
+   * @param {object} [options]
+   * @param {number} [options.attempts] the number of requests
+   * @param {boolean} [options.select] select the pair if the check succeeds
+   */
+  check(pair, options = {}) {
+    const { attempts = RC, select = false } = options;
+    const request = stun.createMessage(STUN_BINDING_REQUEST);
+    const useCandidate = this.controlling && pair.nominating;
+
+    const outuser = `${this[_remoteUsername]}:${this[_username]}`;
+    request.addAttribute(STUN_ATTR_USERNAME, outuser);
+
+    if (useCandidate) {
+      request.addAttribute(STUN_ATTR_USE_CANDIDATE);
+    }
+
+    if (this.controlling) {
+      request.addAttribute(STUN_ATTR_ICE_CONTROLLING, this.tieBreaker);
+    } else {
+      request.addAttribute(STUN_ATTR_ICE_CONTROLLED, this.tieBreaker);
+    }
+
+    request.addAttribute(
+      STUN_ATTR_PRIORITY,
+      checkPriority(pair.local.priority)
+    );
+    request.addMessageIntegrity(this[_remotePassword]);
+    request.addFingerprint();
+
+    if (pair.state !== STATE_SUCCEEDED) {
+      pair.state = STATE_IN_PROGRESS;
+    }
+
+    if (!this[_checking]) {
+      this[_checking] = true;
+      this.emit('checking');
+    }
+
+    const transaction = {
+      pair,
+      request,
+      controlling: this.controlling,
+      useCandidate,
+      select,
+      attempts,
+      sent: 0,
+      timer: null,
+    };
+
+    this[_transactions].set(request.transactionId.toString('hex'), transaction);
+    this.transmit(transaction);
+  }
+
+  /**
+   * Send the request of the transaction and schedule retransmission.
+   * @param {object} transaction
+   */
+  transmit(transaction) {
+    const { pair, request } = transaction;
+    const { ip, port } = pair.remote;
+
+    transaction.sent += 1;
+    this.send(request, port, ip, pair.local);
+
+    const isLast = transaction.sent >= transaction.attempts;
+    const timeout = isLast ? RTO * RM : RTO * 2 ** (transaction.sent - 1);
+    const next = () =>
+      isLast ? this.timeout(transaction) : this.transmit(transaction);
+
+    transaction.timer = setTimeout(next, Math.min(timeout, RTO * RM));
+    transaction.timer.unref();
+  }
+
+  /**
+   * The transaction is timed out.
+   * @param {object} transaction
+   */
+  timeout(transaction) {
+    const { pair, request } = transaction;
+
+    this[_transactions].delete(request.transactionId.toString('hex'));
+
+    if (pair.state === STATE_IN_PROGRESS) {
+      this.fail(pair);
+    }
+  }
+
+  /**
+   * Mark the pair as failed.
+   * @param {CandidatePair} pair
+   */
+  fail(pair) {
+    pair.state = STATE_FAILED;
+    pair.valid = false;
+
+    if (pair.nominating) {
+      pair.nominating = false;
+      this.scheduleNomination();
+    }
+
+    this.checkFailure();
+  }
+
+  /**
+   * Emit `failed` event when all pairs have failed
+   * and no more candidates expected.
+   */
+  checkFailure() {
+    if (this[_selected] !== null || this[_failed]) {
+      return;
+    }
+
+    if (!this[_remoteGatheringComplete]) {
+      return;
+    }
+
+    // Nothing to check yet, local candidates may not be gathered.
+    const { pairs } = this[_checklist];
+    const isFailed =
+      pairs.length > 0 && pairs.every(pair => pair.state === STATE_FAILED);
+
+    if (isFailed) {
+      this[_failed] = true;
+      this.emit('failed');
+    }
+  }
+
+  /**
+   * Handles success response of a connectivity check.
+   * @param {stun.StunMessage} res
+   * @param {object} rinfo
+   */
+  handleResponse(res, rinfo) {
+    const key = res.transactionId.toString('hex');
+    const transaction = this[_transactions].get(key);
+
+    if (transaction === undefined) {
+      return;
+    }
+
+    if (!stun.validateMessageIntegrity(res, this[_remotePassword])) {
+      return;
+    }
+
+    clearTimeout(transaction.timer);
+    this[_transactions].delete(key);
+
+    const { pair, useCandidate, select } = transaction;
+    const { ip, port } = pair.remote;
+
+    // Check for non-symmetric transport addresses, RFC 8445, section 7.2.5.2.1
+    if (rinfo.address !== ip || rinfo.port !== port) {
+      this.fail(pair);
+      return;
+    }
+
+    pair.state = STATE_SUCCEEDED;
+    pair.valid = true;
+    this[_checklist].unfreezeFoundation(pair);
+
+    if (pair === this[_selected]) {
+      this.refreshConsent();
+    }
+
+    if (useCandidate || select || pair.nominatedByPeer) {
+      this.nominate(pair);
+      return;
+    }
+
+    if (this.controlling) {
+      this.scheduleNomination();
+    }
+  }
+
+  /**
+   * Handles error response of a connectivity check.
+   * @param {stun.StunMessage} res
+   */
+  handleErrorResponse(res) {
+    const key = res.transactionId.toString('hex');
+    const transaction = this[_transactions].get(key);
+
+    if (transaction === undefined) {
+      return;
+    }
+
+    // Unauthenticated responses are dropped and the check is retransmitted,
+    // RFC 5389, section 10.1.3
+    if (!validateErrorIntegrity(res, this[_remotePassword])) {
+      return;
+    }
+
+    clearTimeout(transaction.timer);
+    this[_transactions].delete(key);
+
+    const { pair, controlling } = transaction;
+
+    // Switch the role and repeat the check, RFC 8445, section 7.2.5.1
+    if (getErrorCode(res) === STUN_CODE_ROLE_CONFLICT) {
+      if (controlling === this.controlling) {
+        this.controlling = !controlling;
+      }
+
+      this.enqueueTriggered(pair);
+      return;
+    }
+
+    this.fail(pair);
+  }
+
+  /**
+   * Handles incoming connectivity check.
+   * @param {stun.StunMessage} req
+   * @param {object} rinfo
+   * @param {object} local local candidate the request came through
+   */
+  handleRequest(req, rinfo, local) {
+    // Connectivity checks always have FINGERPRINT, RFC 8445, section 7.1
+    if (!stun.validateFingerprint(req)) {
+      this.rejectRequest('Invalid FINGERPRINT', rinfo);
+      return;
+    }
+
+    const userattr = req.getAttribute(STUN_ATTR_USERNAME);
+    const hasIntegrity =
+      req.getAttribute(STUN_ATTR_MESSAGE_INTEGRITY) !== undefined;
+
+    // Short-term credentials are required, RFC 5389, section 10.1.2
+    if (userattr === undefined || !hasIntegrity) {
+      this.sendError(req, rinfo, local, {
+        code: STUN_CODE_BAD_REQUEST,
+        reason: STUN_REASON_BAD_REQUEST,
+      });
+      this.rejectRequest(
+        userattr === undefined
+          ? 'Missing USERNAME'
+          : 'Missing MESSAGE-INTEGRITY',
+        rinfo
+      );
+      return;
+    }
+
+    // Checks may come before the remote description, so only the local
+    // part of USERNAME is known, RFC 8445, section 7.3.
+    const isEarly = this[_remoteUsername] === null;
+    const isKnownSender = isEarly
+      ? this.isValidUsername(req)
+      : this.isCurrentPeer(req);
+
+    const isAuthorized =
+      isKnownSender && stun.validateMessageIntegrity(req, this[_password]);
+
+    if (!isAuthorized) {
+      this.sendError(req, rinfo, local, {
+        code: STUN_CODE_UNAUTHORIZED,
+        reason: STUN_REASON_UNAUTHORIZED,
+      });
+      this.rejectRequest('Invalid USERNAME or MESSAGE-INTEGRITY', rinfo);
+      return;
+    }
+
+    if (this.detectRoleConflict(req)) {
+      this.sendError(req, rinfo, local, {
+        code: STUN_CODE_ROLE_CONFLICT,
+        reason: STUN_REASON_ROLE_CONFLICT,
+        authenticated: true,
+      });
+      return;
+    }
+
+    const response = stun.createMessage(
+      STUN_BINDING_RESPONSE,
+      req.transactionId
+    );
+
+    response.addAttribute(
+      STUN_ATTR_XOR_MAPPED_ADDRESS,
+      rinfo.address,
+      rinfo.port
+    );
+
+    response.addMessageIntegrity(this[_password]);
+    response.addFingerprint();
+
+    this.send(response, rinfo.port, rinfo.address, local);
+
+    if (isEarly) {
+      this.deferCheck(req, rinfo, local);
+    } else {
+      this.triggerCheck(req, rinfo, local);
+    }
+  }
+
+  /**
+   * Keep the triggered check until the remote credentials are known.
+   * @param {stun.StunMessage} req
+   * @param {object} rinfo
+   * @param {object} local local candidate the request came through
+   */
+  deferCheck(req, rinfo, local) {
+    if (this[_earlyChecks].length === MAX_EARLY_CHECKS) {
+      this[_earlyChecks].shift();
+    }
+
+    this[_earlyChecks].push({ req, rinfo, local });
+  }
+
+  /**
+   * Emit `requesterror` event with the invalid connectivity check.
+   * @param {string} reason
+   * @param {object} rinfo
+   */
+  rejectRequest(reason, rinfo) {
+    const { address, port } = rinfo;
+    const error = createError(
+      errorCodes.ERR_STUN,
+      `${reason} in check from ${address}:${port}`
+    );
+
+    this.emit('requesterror', error);
+  }
+
+  /**
+   * Reject the connectivity check. Only responses to authenticated requests
+   * have MESSAGE-INTEGRITY, RFC 5389, section 10.1.2
+   * @param {stun.StunMessage} req
+   * @param {object} rinfo
+   * @param {object} local local candidate the request came through
+   * @param {object} error
+   * @param {number} error.code
+   * @param {string} error.reason
+   * @param {boolean} [error.authenticated]
+   */
+  sendError(req, rinfo, local, error) {
+    const response = stun.createMessage(
+      STUN_BINDING_ERROR_RESPONSE,
+      req.transactionId
+    );
+
+    response.addAttribute(STUN_ATTR_ERROR_CODE, error.code, error.reason);
+
+    if (error.authenticated) {
+      response.addMessageIntegrity(this[_password]);
+    }
+
+    response.addFingerprint();
+
+    this.send(response, rinfo.port, rinfo.address, local);
+  }
+
+  /**
+   * Detect and repair role conflict, RFC 8445, section 7.3.1.1.
+   * @param {stun.StunMessage} req
+   * @returns {boolean} `true` if the request should be rejected with 487
+   */
+  detectRoleConflict(req) {
+    const attrname = this.controlling
+      ? STUN_ATTR_ICE_CONTROLLING
+      : STUN_ATTR_ICE_CONTROLLED;
+    const attribute = req.getAttribute(attrname);
+
+    if (attribute === undefined) {
+      return false;
+    }
+
+    const isGreater = Buffer.compare(this.tieBreaker, attribute.value) >= 0;
+
+    // The controlling agent with the larger tie-breaker keeps its role.
+    if (this.controlling === isGreater) {
+      return true;
+    }
+
+    this.controlling = !this.controlling;
+    return false;
+  }
+
+  /**
+   * Schedule a triggered check, RFC 8445, section 7.3.1.4.
+   * @param {stun.StunMessage} req
+   * @param {object} rinfo
+   * @param {object} base local candidate the request came through
+   */
+  triggerCheck(req, rinfo, base) {
+    // Each socket has the only host or relayed candidate,
+    // it's unknown until candidates are gathered.
+    const local = this[_localCandidates].find(
+      candidate => localKey(candidate) === localKey(base)
+    );
+
+    if (local === undefined) {
+      return;
+    }
+
+    const priority = req.getAttribute(STUN_ATTR_PRIORITY);
+    const isKnown =
+      this[_remoteCandidates].get(rinfo.address, rinfo.port) !== undefined;
+
+    // Unknown source becomes peer reflexive candidate, RFC 8445, section 7.3.1.3
+    const remote = this.addRemoteCandidate({
+      ip: rinfo.address,
+      port: rinfo.port,
+      priority: priority ? priority.value : 0,
+      type: 'prflx',
+      foundation: `prflx:${rinfo.address}`,
+      component: 1,
+      transport: 'udp',
+    });
+
+    const pair = this[_checklist].get(local, remote);
+
+    if (pair === undefined) {
+      return;
+    }
+
+    // Only the controlling agent nominates pairs, RFC 8445, section 7.3.1.5
+    const hasUseCandidate = req.getAttribute(STUN_ATTR_USE_CANDIDATE);
+
+    if (!this.controlling && hasUseCandidate !== undefined) {
+      pair.nominatedByPeer = true;
+    }
+
+    // The peer has moved to a new address, e.g. its NAT mapping or network
+    // has changed. Switch to the new pair once it's validated,
+    // RFC 7675, section 5.1. Only checks with the current credentials
+    // of the peer on the socket of the selected pair move it.
+    const selected = this[_selected];
+    const isSelected = selected !== null;
+    const isRebinding =
+      isSelected &&
+      !isKnown &&
+      localKey(selected.local) === localKey(local) &&
+      this.isCurrentPeer(req);
+
+    switch (pair.state) {
+      case STATE_SUCCEEDED:
+        if (pair.nominatedByPeer) {
+          this.nominate(pair);
+        }
+        break;
+      case STATE_IN_PROGRESS:
+        break;
+      default:
+        // Checks are not paced after a pair is selected.
+        if (isSelected) {
+          this.check(pair, { select: isRebinding });
+        } else {
+          this.enqueueTriggered(pair);
+        }
+        break;
+    }
+  }
+
+  /**
+   * Check if USERNAME of the request is `<local ufrag>:<remote ufrag>`
+   * while the remote ufrag is unknown, RFC 8445, section 7.2.2.
+   * @param {stun.StunMessage} req
+   * @returns {boolean}
+   */
+  isValidUsername(req) {
+    const userattr = req.getAttribute(STUN_ATTR_USERNAME);
+    const [local, remote, ...rest] = userattr.value
+      .toString('ascii')
+      .split(':');
+
+    return (
+      local === this[_username] &&
+      remote !== undefined &&
+      rest.length === 0 &&
+      UFRAG_PATTERN.test(remote)
+    );
+  }
+
+  /**
+   * Check if the request has USERNAME of the current
+   * credentials of the peer, RFC 8445, section 7.3.
+   * @param {stun.StunMessage} req
+   * @returns {boolean}
+   */
+  isCurrentPeer(req) {
+    if (this[_remoteUsername] === null) {
+      return false;
+    }
+
+    const userattr = req.getAttribute(STUN_ATTR_USERNAME);
+    const username = `${this[_username]}:${this[_remoteUsername]}`;
+
+    return userattr.value.toString('ascii') === username;
+  }
+
+  /**
+   * Add the pair to the triggered check queue.
+   * @param {CandidatePair} pair
+   */
+  enqueueTriggered(pair) {
+    pair.state = STATE_WAITING;
+
+    if (!this[_triggered].includes(pair)) {
+      this[_triggered].push(pair);
+    }
+  }
+
+  /**
+   * Regular nomination, RFC 8445, section 8.1.1.
+   * Nominate the best valid pair when no better pair may succeed
+   * or after the timeout.
+   */
+  scheduleNomination() {
+    if (this[_selected] !== null || this[_checklist].valid.length === 0) {
+      return;
+    }
+
+    const [best] = this[_checklist].valid;
+    const { pairs } = this[_checklist];
+    const pending = [STATE_FROZEN, STATE_WAITING, STATE_IN_PROGRESS];
+
+    const hasBetter = pairs
+      .slice(0, pairs.indexOf(best))
+      .some(pair => pending.includes(pair.state));
+
+    if (!hasBetter) {
+      this.sendNomination(best);
+      return;
+    }
+
+    if (this[_nominationTimer] === null) {
+      this[_nominationTimer] = setTimeout(() => {
+        const [pair] = this[_checklist].valid;
+
+        if (pair !== undefined) {
+          this.sendNomination(pair);
+        }
+      }, NOMINATION_TIMEOUT);
+
+      this[_nominationTimer].unref();
+    }
+  }
+
+  /**
+   * Repeat check for the valid pair with USE-CANDIDATE attribute.
+   * @param {CandidatePair} pair
+   */
+  sendNomination(pair) {
+    clearTimeout(this[_nominationTimer]);
+    this[_nominationTimer] = null;
+
+    const isNominating = this[_checklist].pairs.some(item => item.nominating);
+
+    if (isNominating || this[_selected] !== null) {
+      return;
+    }
+
+    pair.nominating = true;
+    this.check(pair);
+  }
+
+  /**
+   * Mark the pair as nominated and select it.
+   * The selected pair may change later, when the peer nominates
+   * another pair or moves to a new address.
+   * @param {CandidatePair} pair
+   */
+  nominate(pair) {
+    pair.nominated = true;
+
+    const previous = this[_selected];
+
+    if (previous === pair) {
+      return;
+    }
+
+    this[_selected] = pair;
+
+    if (previous === null) {
+      // Stop checks of other pairs, RFC 8445, section 8.1.2
+      clearInterval(this[_pacer]);
+      clearTimeout(this[_nominationTimer]);
+      this[_triggered].length = 0;
+
+      this.scheduleConsentCheck();
+    }
+
+    this.refreshConsent();
+    this.emit('selectedpair', pair);
+  }
+
+  /**
+   * Schedule the next consent check on the selected pair,
+   * the interval is randomized, RFC 7675, section 5.1.
+   */
+  scheduleConsentCheck() {
+    const interval = CONSENT_INTERVAL * (0.8 + Math.random() * 0.4);
+
+    this[_consentTimer] = setTimeout(() => {
+      this.check(this[_selected], { attempts: CONSENT_ATTEMPTS });
+      this.scheduleConsentCheck();
+    }, interval);
+
+    this[_consentTimer].unref();
+  }
+
+  /**
+   * The peer has granted consent, restart expiration timers.
+   * Emits `disconnected` when the peer stops responding, `reconnected`
+   * when it responds again and `consentexpired` after the consent timeout.
+   */
+  refreshConsent() {
+    clearTimeout(this[_disconnectTimer]);
+    clearTimeout(this[_expireTimer]);
+
+    if (this[_disconnected]) {
+      this[_disconnected] = false;
+      this.emit('reconnected');
+    }
+
+    this[_disconnectTimer] = setTimeout(() => {
+      this[_disconnected] = true;
+      this.emit('disconnected');
+    }, this[_disconnectedTimeout]);
+
+    // No more checks after the consent is expired, RFC 7675, section 5.2
+    this[_expireTimer] = setTimeout(() => {
+      this.stop();
+      this.emit('consentexpired');
+    }, CONSENT_TIMEOUT);
+
+    this[_disconnectTimer].unref();
+    this[_expireTimer].unref();
+  }
+};
+
+/**
+ * Check if candidates have the same address family.
+ * @param {object} local
+ * @param {object} remote
+ * @returns {boolean}
+ */
+function isSameFamily(local, remote) {
+  return isIPv6(local.ip) === isIPv6(remote.ip);
+}
+
+/**
+ * Only host and relayed candidates are paired, RFC 8445, section 6.1.2.4.
+ * @param {object} local
+ * @returns {boolean}
+ */
+function isPairable(local) {
+  return local.type === 'host' || local.type === 'relay';
+}
+
+/**
+ * Key of the STUN server of host or relayed candidate.
+ * @param {object} candidate
+ * @returns {string}
+ */
+function localKey({ type, ip, port }) {
+  return isIPv6(ip) ? `${type}:[${ip}]:${port}` : `${type}:${ip}:${port}`;
+}
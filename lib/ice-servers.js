@@ -0,0 +1,97 @@
+'use strict';
+
+const { isIPv6 } = require('net');
+
+module.exports = {
+  parseIceServers,
+  parseUrl,
+};
+
+const DEFAULT_PORT = 3478;
+const DEFAULT_SECURE_PORT = 5349;
+
+/**
+ * Parse `iceServers` option, the same as in `RTCConfiguration`.
+ * @param {object[]} iceServers
+ * @returns {object[]} list of parsed urls with credentials
+ */
+function parseIceServers(iceServers = []) {
+  if (!Array.isArray(iceServers)) {
+    throw new TypeError('Invalid iceServers');
+  }
+
+  const servers = [];
+
+  iceServers.forEach(server => {
+    const urls = Array.isArray(server.urls) ? server.urls : [server.urls];
+
+    urls.forEach(url => {
+      const parsed = parseUrl(url);
+      const hasCredentials =
+        typeof server.username === 'string' &&
+        typeof server.credential === 'string';
+
+      if (parsed.type === 'turn' && !hasCredentials) {
+        throw new TypeError(`TURN server requires credentials: ${url}`);
+      }
+
+      parsed.username = server.username;
+      parsed.credential = server.credential;
+      servers.push(parsed);
+    });
+  });
+
+  return servers;
+}
+
+/**
+ * Parse STUN or TURN url, RFC 7064 and RFC 7065.
+ * @param {string} url like `stun:stun.example.com:3478`
+ * @returns {{url: string, type: string, secure: boolean, host: string, port: number, transport: string}}
+ */
+function parseUrl(url) {
+  const match = /^(stuns?|turns?):(\[[^\]]+\]|[^:?[\]]+)(?::(\d+))?(?:\?transport=(udp|tcp))?$/i.exec(
+    String(url)
+  );
+
+  if (match === null) {
+    throw new TypeError(`Invalid ICE server url: ${url}`);
+  }
+
+  const scheme = match[1].toLowerCase();
+  const secure = scheme.endsWith('s');
+  const host = match[2].replace(/^\[(.*)\]$/, '$1');
+  const port = match[3] ? Number(match[3]) : defaultPort(secure);
+
+  if (match[2].startsWith('[') && !isIPv6(host)) {
+    throw new TypeError(`Invalid ICE server url: ${url}`);
+  }
+
+  if (port < 1 || port > 0xffff) {
+    throw new TypeError(`Invalid ICE server url: ${url}`);
+  }
+
+  // `transport` parameter is allowed for TURN urls only.
+  if (match[4] && !scheme.startsWith('turn')) {
+    throw new TypeError(`Invalid ICE server url: ${url}`);
+  }
+
+  const transport = match[4] ? match[4].toLowerCase() : 'udp';
+
+  return {
+    url,
+    type: secure ? scheme.slice(0, -1) : scheme,
+    secure,
+    host,
+    port,
+    transport,
+  };
+}
+
+/**
+ * @param {boolean} secure
+ * @returns {number}
+ */
+function defaultPort(secure) {
+  return secure ? DEFAULT_SECURE_PORT : DEFAULT_PORT;
+}
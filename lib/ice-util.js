@@ -1,28 +1,35 @@
 'use strict';
 
+const crypto = require('crypto');
 const { ALPHA, DIGIT, ord, char } = require('./grammar');
 
 const iceChars = [...ALPHA, ...DIGIT, ord('+'), ord('/')].map(x => char(x));
 
+// Type preferences of candidates, RFC 8445, section 5.1.2.2.
+const TYPE_PREFERENCE = {
+  host: 126,
+  prflx: 110,
+  srflx: 100,
+  relay: 0,
+};
+
 module.exports = {
   createUsername,
   createPassword,
+  candidatePriority,
+  candidateFoundation,
+  checkPriority,
 };
 
 /**
- * @returns {string}
- */
-function randomSymbol() {
-  return iceChars[parseInt(Math.random() * iceChars.length, 10)];
-}
-
-/**
+ * Random string of ice-chars, RFC 8839, section 5.4.
+ * There are 64 of them, so each random byte maps to a symbol uniformly.
  * @param {number} length
  * @returns {string}
  */
 function randomString(length) {
-  return Array.from({ length })
-    .map(() => randomSymbol())
+  return Array.from(crypto.randomBytes(length))
+    .map(byte => iceChars[byte % iceChars.length])
     .join('');
 }
 
@@ -39,3 +46,47 @@ function createUsername() {
 function createPassword() {
   return randomString(22);
 }
+
+/**
+ * Compute priority of a local candidate, RFC 8445, section 5.1.2.1.
+ * @param {string} type candidate type
+ * @param {number} [localPreference] from 0 to 65535
+ * @param {number} [component] component id
+ * @returns {number}
+ */
+function candidatePriority(type, localPreference = 65535, component = 1) {
+  const typePreference = TYPE_PREFERENCE[type] || 0;
+
+  return typePreference * 2 ** 24 + localPreference * 2 ** 8 + 256 - component;
+}
+
+/**
+ * Compute PRIORITY attribute of connectivity checks, RFC 8445, section 7.1.1.
+ * It's the priority of peer reflexive candidate with the same
+ * local preference and component as the local candidate.
+ * @param {number} priority priority of the local candidate
+ * @returns {number}
+ */
+function checkPriority(priority) {
+  const localPreference = Math.floor(priority / 2 ** 8) % 2 ** 16;
+  const component = 256 - (priority % 2 ** 8);
+
+  return candidatePriority('prflx', localPreference, component);
+}
+
+/**
+ * Compute foundation of a local candidate, RFC 8445, section 5.1.1.3.
+ * Candidates of the same type, base address, protocol
+ * and STUN / TURN server share the same foundation.
+ * @param {string} type candidate type
+ * @param {string} baseAddress address of the base candidate
+ * @param {string} [protocol] transport protocol
+ * @param {string} [server] address of STUN / TURN server
+ * @returns {string}
+ */
+function candidateFoundation(type, baseAddress, protocol = 'udp', server = '') {
+  const hash = crypto.createHash('sha1');
+
+  hash.update([type, baseAddress, protocol, server].join('/'));
+  return String(hash.digest().readUInt32BE(0));
+}
@@ -0,0 +1,201 @@
+'use strict';
+
+const os = require('os');
+const { isIP, isIPv4, isIPv6 } = require('net');
+
+module.exports = {
+  getAddresses,
+  parseRange,
+  inRange,
+};
+
+/**
+ * Enumerate usable addresses of the network interfaces.
+ * Loopback interfaces are used only when they are listed in `include`.
+ * Link-local addresses are always skipped.
+ * @param {object} [options]
+ * @param {object} [options.interfaces]
+ * @param {Array<string|RegExp>} [options.interfaces.include] allowed interface names
+ * @param {Array<string|RegExp>} [options.interfaces.exclude] ignored interface names
+ * @param {object} [options.addresses]
+ * @param {string[]} [options.addresses.include] allowed address ranges in CIDR notation
+ * @param {string[]} [options.addresses.exclude] ignored address ranges in CIDR notation
+ * @param {object} [interfaces] result of `os.networkInterfaces()`
+ * @returns {object[]} list of `{ name, address, family }`
+ */
+function getAddresses(options = {}, interfaces = os.networkInterfaces()) {
+  const { interfaces: names = {}, addresses = {} } = options;
+  const include = names.include || [];
+  const exclude = names.exclude || [];
+
+  const includeRanges = (addresses.include || []).map(range =>
+    parseRange(range)
+  );
+  const excludeRanges = (addresses.exclude || []).map(range =>
+    parseRange(range)
+  );
+
+  const result = [];
+
+  Object.keys(interfaces).forEach(name => {
+    const isIncluded = include.some(pattern => matchName(pattern, name));
+
+    if (include.length > 0 && !isIncluded) {
+      return;
+    }
+
+    if (exclude.some(pattern => matchName(pattern, name))) {
+      return;
+    }
+
+    interfaces[name].forEach(info => {
+      const { address } = info;
+
+      if (info.internal && !isIncluded) {
+        return;
+      }
+
+      if (isLinkLocal(address)) {
+        return;
+      }
+
+      if (includeRanges.length > 0) {
+        if (!includeRanges.some(range => inRange(address, range))) {
+          return;
+        }
+      }
+
+      if (excludeRanges.some(range => inRange(address, range))) {
+        return;
+      }
+
+      const family = isIPv6(address) ? 'IPv6' : 'IPv4';
+      const isKnown = result.some(item => item.address === address);
+
+      if (!isKnown) {
+        result.push({ name, address, family });
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Check if the interface name matches the pattern.
+ * @param {string|RegExp} pattern
+ * @param {string} name
+ * @returns {boolean}
+ */
+function matchName(pattern, name) {
+  return pattern instanceof RegExp ? pattern.test(name) : pattern === name;
+}
+
+/**
+ * Check if the address is link-local, `169.254.0.0/16` or `fe80::/10`.
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isLinkLocal(address) {
+  if (isIPv4(address)) {
+    return address.startsWith('169.254.');
+  }
+
+  const bytes = toBytes(address);
+  return bytes[0] === 0xfe && (bytes[1] & 0xc0) === 0x80; // eslint-disable-line no-bitwise
+}
+
+/**
+ * Parse address range in CIDR notation, single address is also accepted.
+ * @param {string} range
+ * @returns {{bytes: number[], prefix: number}}
+ */
+function parseRange(range) {
+  const [address, prefix] = String(range).split('/');
+
+  if (!isIP(address)) {
+    throw new TypeError(`Invalid address range: ${range}`);
+  }
+
+  const bytes = toBytes(address);
+  const bits = prefix === undefined ? bytes.length * 8 : Number(prefix);
+
+  if (!Number.isInteger(bits) || bits < 0 || bits > bytes.length * 8) {
+    throw new TypeError(`Invalid address range: ${range}`);
+  }
+
+  return { bytes, prefix: bits };
+}
+
+/**
+ * Check if the address belongs to the range.
+ * Addresses of a different family never match.
+ * @param {string} address
+ * @param {{bytes: number[], prefix: number}} range result of `parseRange()`
+ * @returns {boolean}
+ */
+function inRange(address, range) {
+  const bytes = toBytes(address);
+
+  if (bytes.length !== range.bytes.length) {
+    return false;
+  }
+
+  /* eslint-disable no-bitwise */
+  for (let bit = 0; bit < range.prefix; bit += 8) {
+    const i = bit / 8;
+    const mask = (0xff << (8 - Math.min(8, range.prefix - bit))) & 0xff;
+
+    if ((bytes[i] & mask) !== (range.bytes[i] & mask)) {
+      return false;
+    }
+  }
+  /* eslint-enable no-bitwise */
+
+  return true;
+}
+
+/**
+ * Convert IP address to the list of bytes.
+ * @param {string} address
+ * @returns {number[]}
+ */
+function toBytes(address) {
+  if (isIPv4(address)) {
+    return address.split('.').map(octet => Number(octet));
+  }
+
+  // Drop zone index, `fe80::1%eth0`.
+  const [ip] = address.split('%');
+  let groups = ip.split(':');
+  let tail = [];
+
+  // IPv4-mapped address, `::ffff:127.0.0.1`.
+  const last = groups[groups.length - 1];
+
+  if (isIPv4(last)) {
+    groups = groups.slice(0, -1);
+    tail = toBytes(last);
+  }
+
+  const size = 8 - tail.length / 2;
+  const gap = groups.indexOf('');
+
+  if (gap > -1) {
+    const head = groups.slice(0, gap);
+    const rest = groups.slice(gap).filter(group => group !== '');
+    const zeros = Array.from({ length: size - head.length - rest.length });
+
+    groups = [...head, ...zeros.map(() => '0'), ...rest];
+  }
+
+  const bytes = [];
+
+  groups.forEach(group => {
+    const value = parseInt(group, 16);
+
+    bytes.push(Math.floor(value / 256), value % 256);
+  });
+
+  return bytes.concat(tail);
+}
@@ -0,0 +1,249 @@
+'use strict';
+
+const crypto = require('crypto');
+const { isIPv6 } = require('net');
+const multicastdns = require('multicast-dns');
+
+const _socket = Symbol('socket');
+const _createSocket = Symbol('create-socket');
+const _timeout = Symbol('timeout');
+const _cache = Symbol('cache');
+const _pending = Symbol('pending');
+const _names = Symbol('names');
+
+// Resolution of the name fails after this timeout.
+const MDNS_TIMEOUT = 5e3;
+
+// Retransmission interval of unanswered queries, RFC 6762, section 5.2
+const MDNS_QUERY_INTERVAL = 1e3;
+
+// TTL of published records, RFC 6762, section 10
+const MDNS_TTL = 120;
+
+/**
+ * Multicast DNS resolver and responder of ICE candidates, RFC 6762.
+ * Browsers hide addresses of host candidates behind `.local` names,
+ * draft-ietf-mmusic-mdns-ice-candidates.
+ * The multicast socket is open only while it's needed.
+ */
+module.exports = class Mdns {
+  /**
+   * @constructor
+   * @param {object} [options]
+   * @param {number} [options.timeout] timeout of name resolution in ms
+   * @param {function} [options.createSocket] factory of `multicast-dns`
+   *  compatible sockets
+   */
+  constructor(options = {}) {
+    this[_socket] = null;
+    this[_createSocket] = options.createSocket || multicastdns;
+    this[_timeout] = options.timeout || MDNS_TIMEOUT;
+    this[_cache] = new Map();
+    this[_pending] = new Map();
+    this[_names] = new Map();
+  }
+
+  /**
+   * Resolve `.local` name to IP address.
+   * @param {string} name
+   * @returns {Promise<string>}
+   */
+  resolve(name) {
+    const key = name.toLowerCase();
+
+    if (this[_names].has(key)) {
+      return Promise.resolve(this[_names].get(key));
+    }
+
+    const cached = this[_cache].get(key);
+
+    if (cached !== undefined && cached.expires > Date.now()) {
+      return Promise.resolve(cached.address);
+    }
+
+    if (this[_pending].has(key)) {
+      return this[_pending].get(key).promise;
+    }
+
+    const query = {};
+
+    query.promise = new Promise((resolve, reject) => {
+      query.resolve = resolve;
+      query.reject = reject;
+    });
+
+    const send = () => {
+      this.open().query([{ name, type: 'A' }, { name, type: 'AAAA' }]);
+    };
+
+    query.interval = setInterval(send, MDNS_QUERY_INTERVAL);
+    query.timer = setTimeout(() => {
+      this.finish(key);
+      query.reject(new Error(`Unable to resolve ${name}`));
+    }, this[_timeout]);
+
+    this[_pending].set(key, query);
+    send();
+
+    return query.promise;
+  }
+
+  /**
+   * Publish the address under a random `.local` name.
+   * @param {string} address
+   * @returns {string} the name
+   */
+  publish(address) {
+    const name = `${createUUID()}.local`;
+
+    this[_names].set(name, address);
+    this.open();
+
+    return name;
+  }
+
+  /**
+   * Stop answering queries of the name.
+   * @param {string} name
+   */
+  unpublish(name) {
+    this[_names].delete(name);
+  }
+
+  /**
+   * @private
+   * @returns {object} `multicast-dns` instance
+   */
+  open() {
+    if (this[_socket] !== null) {
+      return this[_socket];
+    }
+
+    const socket = this[_createSocket]();
+
+    socket.on('response', response => this.handleResponse(response));
+    socket.on('query', query => this.handleQuery(query));
+
+    socket.on('error', err => {
+      console.log('[nodertc][mdns] %s', err.message);
+      this.close();
+    });
+
+    this[_socket] = socket;
+    return socket;
+  }
+
+  /**
+   * @private
+   * @param {object} response
+   */
+  handleResponse(response) {
+    const records = response.answers.concat(response.additionals || []);
+
+    records.forEach(record => {
+      const key = String(record.name).toLowerCase();
+      const query = this[_pending].get(key);
+
+      if (
+        query === undefined ||
+        (record.type !== 'A' && record.type !== 'AAAA')
+      ) {
+        return;
+      }
+
+      this[_cache].set(key, {
+        address: record.data,
+        expires: Date.now() + (record.ttl || 0) * 1e3,
+      });
+
+      this.finish(key);
+      query.resolve(record.data);
+    });
+  }
+
+  /**
+   * Answer queries of the published names.
+   * @private
+   * @param {object} query
+   */
+  handleQuery(query) {
+    const answers = [];
+
+    query.questions.forEach(({ name, type }) => {
+      const address = this[_names].get(String(name).toLowerCase());
+
+      if (address === undefined) {
+        return;
+      }
+
+      const recordType = isIPv6(address) ? 'AAAA' : 'A';
+
+      if (type === recordType || type === 'ANY') {
+        answers.push({
+          name,
+          type: recordType,
+          ttl: MDNS_TTL,
+          flush: true,
+          data: address,
+        });
+      }
+    });
+
+    if (answers.length > 0) {
+      this[_socket].respond({ answers });
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   */
+  finish(key) {
+    const query = this[_pending].get(key);
+
+    clearInterval(query.interval);
+    clearTimeout(query.timer);
+
+    this[_pending].delete(key);
+  }
+
+  /**
+   * Close the socket, pending queries fail.
+   */
+  close() {
+    if (this[_socket] !== null) {
+      this[_socket].destroy();
+      this[_socket] = null;
+    }
+
+    const error = new Error('mDNS is closed');
+
+    for (const [key, query] of this[_pending]) {
+      this.finish(key);
+      query.reject(error);
+    }
+  }
+};
+
+/**
+ * Create random UUID version 4, RFC 4122, section 4.4
+ * @returns {string}
+ */
+function createUUID() {
+  const bytes = crypto.randomBytes(16);
+
+  /* eslint-disable no-bitwise */
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  /* eslint-enable no-bitwise */
+
+  const hex = bytes.toString('hex');
+
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+}
@@ -1,84 +1,264 @@
 'use strict';
 
+const crypto = require('crypto');
+const { isIPv6 } = require('net');
 const sdp = require('sdp-transform');
 
+// Default SCTP port, RFC 8841, section 5.
+const SCTP_PORT = 5000;
+
 module.exports = {
   create,
+  createSessionId,
   parse,
+  parseCandidate,
+  writeCandidate,
+  formatCandidates,
+  SCTP_PORT,
 };
 
 /**
  * Creates SDP from provided params.
  * @param {object} options
+ * @param {string} options.sessionId `sess-id` of the origin
+ * @param {number} options.sessionVersion `sess-version` of the origin
  * @param {string} options.username
  * @param {string} options.password
- * @param {string} options.fingerprint
- * @param {string} options.mid
+ * @param {object[]} options.fingerprints list of `{ type, hash }`
+ * @param {string} [options.mid] mid of the data channel media section
+ * @param {boolean} [options.bundle] add the data channel to BUNDLE group
+ * @param {object[]} [options.rejected] media sections rejected in the answer
+ * @param {number} [options.index] position of the data channel media section
+ *  among rejected ones
+ * @param {string} [options.setup] DTLS role, `active` by default
  * @param {object[]} options.candidates
+ * @param {boolean} [options.endOfCandidates] local gathering is completed
+ * @param {number} [options.sctpPort] local SCTP port
+ * @param {number} [options.maxMessageSize] the largest message we accept
+ * @param {number} [options.streams] the number of SCTP streams
+ * @param {boolean} [options.legacySctp] use `a=sctpmap` format of
+ *  draft-ietf-mmusic-sctp-sdp-05 instead of RFC 8841
  * @returns {string}
  */
 function create(options = {}) {
-  const { username, password, fingerprint, mid, candidates } = options;
+  const {
+    sessionId,
+    sessionVersion,
+    username,
+    password,
+    fingerprints,
+    mid,
+    setup = 'active',
+    candidates,
+    endOfCandidates = false,
+    sctpPort = SCTP_PORT,
+    maxMessageSize,
+    streams,
+    legacySctp = false,
+    bundle = true,
+    rejected = [],
+    index = 0,
+  } = options;
+
+  // Dummy address of the default candidate family, RFC 8839, section 4.2.1
+  const ipv6Only =
+    candidates.length > 0 && candidates.every(({ ip }) => isIPv6(ip));
+  const ipVer = ipv6Only ? 6 : 4;
+  const connection = {
+    version: ipVer,
+    ip: ipv6Only ? '::' : '0.0.0.0',
+  };
+
+  const media = rejected.map(item => ({
+    type: item.type,
+    port: 0,
+    protocol: item.protocol,
+    payloads: item.payloads,
+    connection,
+    mid: item.mid,
+  }));
+
+  media.splice(index, 0, {
+    type: 'application',
+    port: 9,
+    protocol: legacySctp ? 'DTLS/SCTP' : 'UDP/DTLS/SCTP',
+    payloads: legacySctp ? sctpPort : 'webrtc-datachannel',
+    setup,
+    iceUfrag: username,
+    icePwd: password,
+    mid,
+    fingerprint: fingerprints[0],
+    // `sdp-transform` writes the only fingerprint, the rest are kept verbatim.
+    invalid: fingerprints.slice(1).map(({ type, hash }) => ({
+      value: `fingerprint:${type} ${hash}`,
+    })),
+    connection,
+    // The last field of `a=sctpmap` is the number of streams.
+    sctpmap: legacySctp
+      ? {
+          sctpmapNumber: sctpPort,
+          app: 'webrtc-datachannel',
+          maxMessageSize: streams,
+        }
+      : undefined,
+    sctpPort: legacySctp ? undefined : sctpPort,
+    maxMessageSize,
+    candidates: formatCandidates(candidates),
+    endOfCandidates: endOfCandidates ? 'end-of-candidates' : undefined,
+  });
+
+  // Rejected media sections are not bundled, RFC 8843, section 7.3.3
+  const groups =
+    bundle && mid !== undefined ? [{ type: 'BUNDLE', mids: mid }] : undefined;
 
   return sdp.write({
     version: 0,
     origin: {
       username: '-',
-      sessionId: '3497579305088229251',
-      sessionVersion: 2,
+      sessionId,
+      sessionVersion,
       netType: 'IN',
-      ipVer: 4,
-      address: '127.0.0.1',
+      ipVer,
+      address: ipv6Only ? '::1' : '127.0.0.1',
     },
     name: '-',
     timing: { start: 0, stop: 0 },
-    groups: [{ type: 'BUNDLE', mids: mid }],
+    groups,
     msidSemantic: {
       semantic: '',
       token: 'WMS',
     },
-    media: [
-      {
-        type: 'application',
-        port: 9,
-        protocol: 'DTLS/SCTP',
-        payloads: 5000,
-        setup: 'active',
-        iceUfrag: username,
-        icePwd: password,
-        mid,
-        fingerprint: {
-          type: 'sha-256',
-          hash: fingerprint,
-        },
-        connection: {
-          version: 4,
-          ip: '0.0.0.0',
-        },
-        sctpmap: {
-          sctpmapNumber: 5000,
-          app: 'webrtc-datachannel',
-          maxMessageSize: 1024,
-        },
-        candidates: candidates.map(({ ip, port, type }, i) => ({
-          ip,
-          port,
-          type,
-          priority: 0xffff + i,
-          transport: 'udp',
-          component: i + 1,
-          foundation: i,
-        })),
-      },
-    ],
+    media,
   });
 }
 
 /**
- * Parse SDP to json.
+ * Random `sess-id`, it must be less than 2^63, RFC 8829, section 5.2.1.
+ * Digits are generated one by one to avoid the precision loss of numbers.
+ * @returns {string}
+ */
+function createSessionId() {
+  const digits = Array.from(crypto.randomBytes(18)).map(byte => byte % 10);
+
+  // 18 digits without the leading zero are less than 2^63.
+  digits[0] = (digits[0] % 9) + 1;
+  return digits.join('');
+}
+
+/**
+ * Convert local candidates to the SDP form.
+ * @param {object[]} candidates
+ * @returns {object[]}
+ */
+function formatCandidates(candidates) {
+  return candidates.map(candidate => {
+    const { ip, port, type, priority, foundation, raddr, rport } = candidate;
+
+    return {
+      ip,
+      port,
+      type,
+      priority,
+      transport: 'udp',
+      component: 1,
+      foundation,
+      raddr,
+      rport,
+    };
+  });
+}
+
+/**
+ * Parse single ICE candidate, `a=` prefix is optional.
+ * @param {string} line
+ * @returns {object}
+ */
+function parseCandidate(line) {
+  const attribute = line.trim().replace(/^a=/, '');
+
+  if (!attribute.startsWith('candidate:')) {
+    throw new Error('Invalid ICE candidate');
+  }
+
+  const { candidates } = sdp.parse(`a=${attribute}`);
+
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    throw new Error('Invalid ICE candidate');
+  }
+
+  return candidates[0];
+}
+
+/**
+ * Creates `candidate` attribute value from the SDP form of a candidate.
+ * @param {object} candidate
+ * @returns {string}
+ */
+function writeCandidate(candidate) {
+  const { foundation, component, transport, priority } = candidate;
+  const { ip, port, type, raddr, rport } = candidate;
+
+  const attribute = [
+    `candidate:${foundation}`,
+    component,
+    transport,
+    priority,
+    ip,
+    port,
+    'typ',
+    type,
+  ];
+
+  if (raddr !== undefined && rport !== undefined) {
+    attribute.push('raddr', raddr, 'rport', rport);
+  }
+
+  return attribute.join(' ');
+}
+
+/**
+ * Parse SDP to json. All fingerprints of the session and of media sections
+ * are listed in `fingerprints`.
  * @param {string} session
  * @returns {object}
  */
 function parse(session) {
-  return sdp.parse(session);
+  const description = sdp.parse(session);
+  const [fingerprints, ...media] = parseFingerprints(session);
+
+  description.fingerprints = fingerprints;
+
+  if (Array.isArray(description.media)) {
+    description.media.forEach((item, i) => {
+      item.fingerprints = media[i] || [];
+    });
+  }
+
+  return description;
+}
+
+/**
+ * `sdp-transform` keeps only the last `a=fingerprint` of each level,
+ * but there may be several of them, RFC 8122, section 5.
+ * @param {string} session
+ * @returns {Array<object[]>} fingerprints of the session level
+ *  followed by ones of each media section
+ */
+function parseFingerprints(session) {
+  const levels = [[]];
+
+  session.split(/\r\n|\r|\n/).forEach(line => {
+    if (line.startsWith('m=')) {
+      levels.push([]);
+      return;
+    }
+
+    const match = /^a=fingerprint:\s*(\S+)\s+(\S+)/.exec(line);
+
+    if (match !== null) {
+      levels[levels.length - 1].push({ type: match[1], hash: match[2] });
+    }
+  });
+
+  return levels;
 }
@@ -0,0 +1,140 @@
+'use strict';
+
+const _association = Symbol('association');
+const _queue = Symbol('queue');
+const _current = Symbol('current');
+const _closed = Symbol('closed');
+const _onsack = Symbol('onsack');
+
+/**
+ * Outgoing messages of the SCTP association.
+ * `@nodertc/sctp` rejects messages when the congestion window is full
+ * and keeps the only callback to wait for it, so messages are sent one by one.
+ * Callbacks are always called asynchronously, `@nodertc/sctp` rejects
+ * messages larger than the receive window of the peer in `SEND` itself.
+ */
+module.exports = class SendQueue {
+  /**
+   * @constructor
+   * @param {object} association `@nodertc/sctp` association
+   */
+  constructor(association) {
+    this[_association] = association;
+    this[_queue] = [];
+    this[_current] = null;
+    this[_closed] = false;
+
+    this[_onsack] = () => this.checkDrain();
+    association.on('sack', this[_onsack]);
+  }
+
+  /**
+   * Queue the message.
+   * @param {Buffer} data
+   * @param {object} options
+   * @param {number} options.streamId
+   * @param {number} options.ppid payload protocol identifier
+   * @param {boolean} [options.unordered]
+   * @param {function} callback called when the message is sent
+   */
+  push(data, options, callback) {
+    if (this[_closed]) {
+      process.nextTick(callback, new Error('SCTP association is closed'));
+      return;
+    }
+
+    this[_queue].push({ data, options, callback });
+    this.pump();
+  }
+
+  /**
+   * Wait for all queued messages.
+   * @param {function} callback
+   */
+  flush(callback) {
+    this.push(null, null, callback);
+  }
+
+  /**
+   * Send the next message.
+   */
+  pump() {
+    if (this[_current] !== null || this[_queue].length === 0) {
+      return;
+    }
+
+    const item = this[_queue].shift();
+
+    if (item.data === null) {
+      item.callback();
+      this.pump();
+      return;
+    }
+
+    const { data, options } = item;
+    this[_current] = item;
+
+    // `@nodertc/sctp` reads the payload protocol identifier from `streamId`.
+    this[_association].SEND(
+      data,
+      {
+        stream_id: options.streamId,
+        unordered: Boolean(options.unordered),
+        streamId: options.ppid,
+      },
+      error => {
+        // The queue is closed in the meantime.
+        if (this[_current] !== item) {
+          return;
+        }
+
+        this[_current] = null;
+        process.nextTick(item.callback, error);
+        this.pump();
+      }
+    );
+  }
+
+  /**
+   * `@nodertc/sctp` checks the pending callback on SACK before acknowledged
+   * chunks leave the flight, so the callback of a message larger than
+   * the congestion window is never called. Check it once SACK is processed.
+   */
+  checkDrain() {
+    const association = this[_association];
+    const callback = association.drain_callback;
+
+    if (typeof callback === 'function' && association.drain()) {
+      delete association.drain_callback;
+      callback();
+    }
+  }
+
+  /**
+   * Drop all queued messages. Their callbacks are called asynchronously,
+   * so handlers of the failed messages can't break the caller.
+   */
+  close() {
+    if (this[_closed]) {
+      return;
+    }
+
+    this[_closed] = true;
+    this[_association].removeListener('sack', this[_onsack]);
+
+    const items = this[_queue];
+
+    if (this[_current] !== null) {
+      items.unshift(this[_current]);
+    }
+
+    this[_queue] = [];
+    this[_current] = null;
+
+    const error = new Error('SCTP association is closed');
+
+    items
+      .filter(item => item.data !== null)
+      .forEach(item => process.nextTick(item.callback, error));
+  }
+};
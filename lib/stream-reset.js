@@ -0,0 +1,481 @@
+'use strict';
+
+const Emitter = require('events');
+
+const _association = Symbol('association');
+const _requestSeq = Symbol('request-seq');
+const _peerRequestSeq = Symbol('peer-request-seq');
+const _lastResult = Symbol('last-result');
+const _pending = Symbol('pending');
+const _queue = Symbol('queue');
+const _timer = Symbol('timer');
+const _packet = Symbol('packet');
+const _handleChunk = Symbol('handle-chunk');
+const _closed = Symbol('closed');
+
+// SCTP chunk types, RFC 4960, section 3.2 and RFC 6525, section 3.1
+const CHUNK_INIT_ACK = 0x02;
+const CHUNK_RE_CONFIG = 0x82;
+
+// Supported Extensions parameter, RFC 5061, section 4.2.7
+const PARAM_SUPPORTED_EXTENSIONS = 0x8008;
+
+// Parameters of RE-CONFIG chunk, RFC 6525, section 4.
+const PARAM_OUTGOING_SSN_RESET = 13;
+const PARAM_RESPONSE = 16;
+
+// Results of the requests, RFC 6525, section 4.4
+const RESULT_SUCCESS_NOTHING = 0;
+const RESULT_SUCCESS_PERFORMED = 1;
+const RESULT_DENIED = 2;
+const RESULT_BAD_SEQUENCE = 5;
+const RESULT_IN_PROGRESS = 6;
+
+// The request is retransmitted on RTO, the same limit as for DATA chunks.
+const MAX_ATTEMPTS = 10;
+
+/**
+ * Reset of SCTP streams, RFC 6525.
+ * Only Outgoing SSN Reset Requests are supported, as used by data channels.
+ * `@nodertc/sctp` doesn't handle RE-CONFIG chunks,
+ * so they are sent and parsed here.
+ * Emits `outgoing` with the streams and the result of our request,
+ * `incoming` with the streams reset by the peer.
+ */
+class StreamReset extends Emitter {
+  /**
+   * @constructor
+   * @param {object} association `@nodertc/sctp` association
+   */
+  constructor(association) {
+    super();
+
+    this[_association] = association;
+
+    // The first request uses the initial TSN, RFC 6525, section 4.1
+    this[_requestSeq] = association.my_tag;
+    this[_peerRequestSeq] = null;
+    this[_lastResult] = null;
+
+    this[_pending] = null;
+    this[_queue] = new Set();
+    this[_timer] = null;
+    this[_packet] = null;
+    this[_closed] = false;
+
+    this[_handleChunk] = (chunk, src, packet) => this.handlePacket(packet);
+    association.on('re_config', this[_handleChunk]);
+  }
+
+  /**
+   * Reset outgoing SSN of the stream.
+   * @param {number} id stream identifier
+   */
+  reset(id) {
+    if (this[_closed]) {
+      return;
+    }
+
+    this[_queue].add(id);
+
+    if (this[_pending] === null && this[_timer] === null) {
+      // Let DATA chunks of the stream get their TSNs first.
+      this[_timer] = setTimeout(() => this.flush());
+    }
+  }
+
+  /**
+   * Send a request for the queued streams.
+   */
+  flush() {
+    this[_timer] = null;
+
+    if (this[_pending] !== null || this[_queue].size === 0) {
+      return;
+    }
+
+    this[_pending] = {
+      seq: this[_requestSeq],
+      streams: Array.from(this[_queue]),
+      attempts: 0,
+    };
+
+    this[_queue].clear();
+    this.transmitRequest();
+  }
+
+  /**
+   * Send or retransmit the pending request.
+   */
+  transmitRequest() {
+    const pending = this[_pending];
+    const association = this[_association];
+
+    if (pending.attempts >= MAX_ATTEMPTS) {
+      this.finish(false);
+      return;
+    }
+
+    pending.attempts += 1;
+
+    /* eslint-disable no-bitwise */
+    const lastTsn = (association.my_next_tsn.number - 1) >>> 0;
+    const responseSeq = (this.getPeerRequestSeq() - 1) >>> 0;
+    /* eslint-enable no-bitwise */
+
+    this.send([
+      createResetRequest(pending.seq, responseSeq, lastTsn, pending.streams),
+    ]);
+
+    this[_timer] = setTimeout(() => this.transmitRequest(), association.RTO);
+    this[_timer].unref();
+  }
+
+  /**
+   * Complete the pending request.
+   * @param {boolean} success
+   */
+  finish(success) {
+    const { streams } = this[_pending];
+    const association = this[_association];
+
+    clearTimeout(this[_timer]);
+    this[_timer] = null;
+    this[_pending] = null;
+
+    /* eslint-disable-next-line no-bitwise */
+    this[_requestSeq] = (this[_requestSeq] + 1) >>> 0;
+
+    if (success) {
+      resetSSN(association.ssn, streams);
+    } else {
+      console.log('[nodertc][sctp] unable to reset streams %s', streams);
+    }
+
+    this.emit('outgoing', streams, success);
+
+    if (this[_queue].size > 0) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Next expected request sequence number of the peer.
+   * @returns {number}
+   */
+  getPeerRequestSeq() {
+    if (this[_peerRequestSeq] === null) {
+      this[_peerRequestSeq] = this[_association].reassembly.initial_tsn;
+    }
+
+    return this[_peerRequestSeq];
+  }
+
+  /**
+   * Process RE-CONFIG chunks of the packet.
+   * @param {object} packet `@nodertc/sctp` packet with raw chunks
+   */
+  handlePacket(packet) {
+    // The event is emitted for each chunk of the packet.
+    if (this[_closed] || this[_packet] === packet) {
+      return;
+    }
+
+    this[_packet] = packet;
+
+    const responses = [];
+    const chunks = packet.chunks.filter(
+      chunk => chunk.length >= 4 && chunk[0] === CHUNK_RE_CONFIG
+    );
+
+    for (const chunk of chunks) {
+      for (const { type, value } of parseParams(chunk)) {
+        if (type === PARAM_OUTGOING_SSN_RESET) {
+          responses.push(this.handleResetRequest(value));
+        } else if (type === PARAM_RESPONSE) {
+          this.handleResponse(value);
+        } else if (value.length >= 4) {
+          // Other requests aren't used by data channels.
+          responses.push(createResponse(value.readUInt32BE(0), RESULT_DENIED));
+        }
+      }
+    }
+
+    const params = responses.filter(response => response !== null);
+
+    if (params.length > 0) {
+      this.send(params);
+    }
+  }
+
+  /**
+   * Process Outgoing SSN Reset Request of the peer, RFC 6525, section 5.2.2
+   * @param {Buffer} value
+   * @returns {Buffer|null} response parameter
+   */
+  handleResetRequest(value) {
+    if (value.length < 12) {
+      return null;
+    }
+
+    const seq = value.readUInt32BE(0);
+    const lastTsn = value.readUInt32BE(8);
+    const expected = this.getPeerRequestSeq();
+    const last = this[_lastResult];
+
+    // Retransmission of the processed request.
+    if (last !== null && last.seq === seq) {
+      return createResponse(seq, last.result);
+    }
+
+    if (seq !== expected) {
+      return createResponse(seq, RESULT_BAD_SEQUENCE);
+    }
+
+    const { reassembly } = this[_association];
+
+    // DATA chunks sent before the request must be received first.
+    if (!isSerialGte(reassembly.peer_c_tsn.number, lastTsn)) {
+      return createResponse(seq, RESULT_IN_PROGRESS);
+    }
+
+    const streams = [];
+
+    for (let offset = 12; offset + 2 <= value.length; offset += 2) {
+      streams.push(value.readUInt16BE(offset));
+    }
+
+    resetSSN(reassembly.peer_ssn, streams);
+
+    /* eslint-disable-next-line no-bitwise */
+    this[_peerRequestSeq] = (seq + 1) >>> 0;
+    this[_lastResult] = { seq, result: RESULT_SUCCESS_PERFORMED };
+
+    this.emit('incoming', streams);
+    return createResponse(seq, RESULT_SUCCESS_PERFORMED);
+  }
+
+  /**
+   * Process response of the peer.
+   * @param {Buffer} value
+   */
+  handleResponse(value) {
+    const pending = this[_pending];
+
+    if (value.length < 8 || pending === null) {
+      return;
+    }
+
+    const seq = value.readUInt32BE(0);
+    const result = value.readUInt32BE(4);
+
+    if (seq !== pending.seq) {
+      return;
+    }
+
+    if (result === RESULT_IN_PROGRESS) {
+      // The request is retransmitted by the timer.
+      return;
+    }
+
+    this.finish(
+      result === RESULT_SUCCESS_PERFORMED || result === RESULT_SUCCESS_NOTHING
+    );
+  }
+
+  /**
+   * Send RE-CONFIG chunk.
+   * @param {Buffer[]} params
+   */
+  send(params) {
+    // `@nodertc/sctp` sends raw chunks as is.
+    this[_association]._sendPacket([createChunk(params)], null, []);
+  }
+
+  /**
+   * Stop processing of the requests.
+   */
+  close() {
+    if (this[_closed]) {
+      return;
+    }
+
+    this[_closed] = true;
+    clearTimeout(this[_timer]);
+
+    this[_association].removeListener('re_config', this[_handleChunk]);
+  }
+}
+
+module.exports = {
+  StreamReset,
+  enableReconfig,
+};
+
+/**
+ * Advertise RE-CONFIG chunk in INIT ACK of the endpoint, RFC 6525, section 5.
+ * Peers don't reset streams otherwise.
+ * @param {object} endpoint `@nodertc/sctp` endpoint
+ */
+function enableReconfig(endpoint) {
+  const sendPacket = endpoint._sendPacket;
+
+  endpoint._sendPacket = (host, port, tag, chunks, callback) =>
+    sendPacket.call(
+      endpoint,
+      host,
+      port,
+      tag,
+      chunks.map(
+        chunk =>
+          chunk[0] === CHUNK_INIT_ACK ? addSupportedExtensions(chunk) : chunk
+      ),
+      callback
+    );
+}
+
+/**
+ * Append Supported Extensions parameter to INIT ACK chunk.
+ * @param {Buffer} chunk
+ * @returns {Buffer}
+ */
+function addSupportedExtensions(chunk) {
+  const length = chunk.readUInt16BE(2);
+  const head = Buffer.alloc(align(length));
+  const param = Buffer.alloc(align(5));
+
+  chunk.copy(head, 0, 0, length);
+
+  param.writeUInt16BE(PARAM_SUPPORTED_EXTENSIONS, 0);
+  param.writeUInt16BE(5, 2);
+  param.writeUInt8(CHUNK_RE_CONFIG, 4);
+
+  const result = Buffer.concat([head, param]);
+
+  // The length of the chunk doesn't include the final padding.
+  result.writeUInt16BE(head.length + 5, 2);
+  return result;
+}
+
+/**
+ * Create RE-CONFIG chunk, RFC 6525, section 3.1
+ * @param {Buffer[]} params
+ * @returns {Buffer}
+ */
+function createChunk(params) {
+  const padded = params.map(param => {
+    const buffer = Buffer.alloc(align(param.length));
+
+    param.copy(buffer);
+    return buffer;
+  });
+
+  const chunk = Buffer.concat([Buffer.alloc(4), ...padded]);
+  const last = params[params.length - 1];
+
+  chunk.writeUInt8(CHUNK_RE_CONFIG, 0);
+
+  // The length of the chunk doesn't include the final padding.
+  chunk.writeUInt16BE(chunk.length - align(last.length) + last.length, 2);
+  return chunk;
+}
+
+/**
+ * Create Outgoing SSN Reset Request parameter, RFC 6525, section 4.1
+ * @param {number} seq request sequence number
+ * @param {number} responseSeq response sequence number
+ * @param {number} lastTsn sender's last assigned TSN
+ * @param {number[]} streams
+ * @returns {Buffer}
+ */
+function createResetRequest(seq, responseSeq, lastTsn, streams) {
+  const param = Buffer.alloc(16 + streams.length * 2);
+
+  param.writeUInt16BE(PARAM_OUTGOING_SSN_RESET, 0);
+  param.writeUInt16BE(param.length, 2);
+  param.writeUInt32BE(seq, 4);
+  param.writeUInt32BE(responseSeq, 8);
+  param.writeUInt32BE(lastTsn, 12);
+
+  streams.forEach((id, index) => param.writeUInt16BE(id, 16 + index * 2));
+  return param;
+}
+
+/**
+ * Create Re-configuration Response parameter, RFC 6525, section 4.4
+ * @param {number} seq response sequence number
+ * @param {number} result
+ * @returns {Buffer}
+ */
+function createResponse(seq, result) {
+  const param = Buffer.alloc(12);
+
+  param.writeUInt16BE(PARAM_RESPONSE, 0);
+  param.writeUInt16BE(param.length, 2);
+  param.writeUInt32BE(seq, 4);
+  param.writeUInt32BE(result, 8);
+
+  return param;
+}
+
+/**
+ * Get parameters of RE-CONFIG chunk.
+ * @param {Buffer} chunk
+ * @returns {{type: number, value: Buffer}[]}
+ */
+function parseParams(chunk) {
+  const params = [];
+  const length = Math.min(chunk.readUInt16BE(2), chunk.length);
+  let offset = 4;
+
+  while (offset + 4 <= length) {
+    const type = chunk.readUInt16BE(offset);
+    const paramLength = chunk.readUInt16BE(offset + 2);
+
+    if (paramLength < 4 || offset + paramLength > length) {
+      break;
+    }
+
+    params.push({
+      type,
+      value: chunk.slice(offset + 4, offset + paramLength),
+    });
+
+    offset += align(paramLength);
+  }
+
+  return params;
+}
+
+/**
+ * Reset SSN of the streams, all streams if the list is empty.
+ * @param {number[]} ssn
+ * @param {number[]} streams
+ */
+function resetSSN(ssn, streams) {
+  const ids = streams.length > 0 ? streams : Object.keys(ssn);
+
+  ids.forEach(id => {
+    ssn[id] = 0; // eslint-disable-line no-param-reassign
+  });
+}
+
+/**
+ * Compare 32-bit serial numbers, RFC 1982.
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean} `true` if `a` is greater than or equal to `b`
+ */
+function isSerialGte(a, b) {
+  /* eslint-disable-next-line no-bitwise */
+  return (a - b) >>> 0 < 2 ** 31;
+}
+
+/**
+ * Align the length to 4 bytes.
+ * @param {number} length
+ * @returns {number}
+ */
+function align(length) {
+  return Math.ceil(length / 4) * 4;
+}
@@ -0,0 +1,106 @@
+'use strict';
+
+const stun = require('stun');
+const { getErrorCode } = require('./stun-util');
+
+const {
+  STUN_EVENT_BINDING_RESPONSE,
+  STUN_EVENT_BINDING_ERROR_RESPONSE,
+} = stun.constants;
+
+// STUN retransmission timer, RFC 5389, section 7.2.1
+const RTO = 500;
+
+// Gathering should not take too long, so the number of requests is less than Rc.
+const ATTEMPTS = 3;
+
+module.exports = {
+  request,
+};
+
+/**
+ * Send STUN request and wait for the response.
+ * Error responses reject the promise with an error,
+ * that has `code` property set to the STUN error code.
+ * @param {stun.StunServer} server STUN server of the local socket
+ * @param {stun.StunMessage} message
+ * @param {number} port remote port
+ * @param {string} address remote address
+ * @param {object} [options]
+ * @param {number} [options.attempts] the number of requests
+ * @returns {Promise<{message: stun.StunMessage, rinfo: object}>}
+ */
+function request(server, message, port, address, options = {}) {
+  const { attempts = ATTEMPTS } = options;
+  const key = message.transactionId.toString('hex');
+
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    let sent = 0;
+
+    const isTransaction = res => res.transactionId.toString('hex') === key;
+
+    const finish = () => {
+      clearTimeout(timer);
+      server.removeListener(STUN_EVENT_BINDING_RESPONSE, onresponse);
+      server.removeListener(STUN_EVENT_BINDING_ERROR_RESPONSE, onerror);
+    };
+
+    /**
+     * @param {stun.StunMessage} res
+     * @param {object} rinfo
+     */
+    function onresponse(res, rinfo) {
+      if (isTransaction(res)) {
+        finish();
+        resolve({ message: res, rinfo });
+      }
+    }
+
+    /**
+     * @param {stun.StunMessage} res
+     */
+    function onerror(res) {
+      if (isTransaction(res)) {
+        finish();
+
+        const code = getErrorCode(res);
+        const err = new Error(`STUN error response ${code}`);
+
+        err.code = code;
+        err.response = res;
+        reject(err);
+      }
+    }
+
+    const transmit = () => {
+      sent += 1;
+
+      // The socket may be closed in the meantime.
+      try {
+        server.send(message, port, address);
+      } catch (err) {
+        finish();
+        reject(err);
+        return;
+      }
+
+      const isLast = sent >= attempts;
+      const timeout = RTO * 2 ** (sent - 1);
+
+      timer = setTimeout(() => {
+        if (isLast) {
+          finish();
+          reject(new Error('STUN request timed out'));
+        } else {
+          transmit();
+        }
+      }, timeout);
+      timer.unref();
+    };
+
+    server.on(STUN_EVENT_BINDING_RESPONSE, onresponse);
+    server.on(STUN_EVENT_BINDING_ERROR_RESPONSE, onerror);
+    transmit();
+  });
+}
@@ -0,0 +1,90 @@
+'use strict';
+
+const crypto = require('crypto');
+const { constants } = require('stun');
+
+const { STUN_ATTR_ERROR_CODE, STUN_ATTR_MESSAGE_INTEGRITY } = constants;
+
+const HEADER_LENGTH = 20;
+const INTEGRITY_LENGTH = 24;
+
+module.exports = {
+  getErrorCode,
+  validateErrorIntegrity,
+};
+
+/**
+ * `stun` decodes ERROR-CODE attribute as `class * (number + 100)`,
+ * so 487 arrives as 748. Map such values back to the known error codes.
+ */
+const knownCodes = new Map();
+
+Object.keys(constants)
+  .filter(name => name.startsWith('STUN_CODE_'))
+  .map(name => constants[name])
+  .forEach(code => {
+    const errorClass = Math.floor(code / 100);
+
+    knownCodes.set(errorClass * ((code % 100) + 100), code);
+    knownCodes.set(code, code);
+  });
+
+/**
+ * Get error code of STUN error response.
+ * @param {stun.StunMessage} message
+ * @returns {number|null}
+ */
+function getErrorCode(message) {
+  const attribute = message.getAttribute(STUN_ATTR_ERROR_CODE);
+
+  if (attribute === undefined) {
+    return null;
+  }
+
+  const { code } = attribute.value;
+  return knownCodes.has(code) ? knownCodes.get(code) : code;
+}
+
+/**
+ * Validate MESSAGE-INTEGRITY of the error response. `stun` encodes
+ * the decoded ERROR-CODE back with the wrong value, so its own validation
+ * fails for authenticated error responses. Restore the error code
+ * in the encoded message and compute HMAC over it, RFC 8489, section 14.5.
+ * @param {stun.StunMessage} message
+ * @param {string|Buffer} key
+ * @returns {boolean}
+ */
+function validateErrorIntegrity(message, key) {
+  const code = getErrorCode(message);
+  const buffer = message.toBuffer();
+  let offset = HEADER_LENGTH;
+
+  while (offset + 4 <= buffer.length) {
+    const type = buffer.readUInt16BE(offset);
+    const length = buffer.readUInt16BE(offset + 2);
+
+    if (type === STUN_ATTR_ERROR_CODE && code !== null) {
+      buffer[offset + 6] = Math.floor(code / 100);
+      buffer[offset + 7] = code % 100;
+    }
+
+    if (type === STUN_ATTR_MESSAGE_INTEGRITY) {
+      const data = buffer.slice(0, offset);
+      const expected = buffer.slice(offset + 4, offset + INTEGRITY_LENGTH);
+
+      // Length covers attributes up to MESSAGE-INTEGRITY.
+      data.writeUInt16BE(offset - HEADER_LENGTH + INTEGRITY_LENGTH, 2);
+
+      return crypto
+        .createHmac('sha1', key)
+        .update(data)
+        .digest()
+        .equals(expected);
+    }
+
+    // Attributes are padded to 4 bytes.
+    offset += 4 + Math.ceil(length / 4) * 4;
+  }
+
+  return false;
+}
@@ -0,0 +1,72 @@
+'use strict';
+
+const dgram = require('dgram');
+const unicast = require('unicast');
+
+const _socket = Symbol('socket');
+const _closed = Symbol('closed');
+
+/**
+ * Datagram transport for DTLS over the selected candidate pair.
+ * Incoming packets are provided by `process()`, so many transports
+ * may share the same UDP socket.
+ * `@nodertc/dtls` accepts unicast sockets only, so the transport
+ * extends it, but sends packets through the socket of the selected pair.
+ */
+module.exports = class Transport extends unicast.Socket {
+  /**
+   * @constructor
+   */
+  constructor() {
+    // The placeholder socket is never bound and is closed with the transport.
+    super({
+      socket: dgram.createSocket('udp4'),
+      remoteAddress: '0.0.0.0',
+      remotePort: 9,
+      messagesFilter: () => false,
+    });
+
+    this[_socket] = null;
+    this[_closed] = false;
+  }
+
+  /**
+   * Set up the route for outgoing packets.
+   * @param {dgram.Socket} socket
+   * @param {string} address remote address
+   * @param {number} port remote port
+   */
+  setRemote(socket, address, port) {
+    this[_socket] = socket;
+    this.remoteAddress = address;
+    this.remotePort = port;
+  }
+
+  /**
+   * @private
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {function} callback
+   */
+  _write(chunk, encoding, callback) {
+    if (this[_socket] === null) {
+      callback(new Error('Transport is not connected.'));
+      return;
+    }
+
+    this[_socket].send(chunk, this.remotePort, this.remoteAddress, callback);
+  }
+
+  /**
+   * Close transport, UDP sockets stay untouched.
+   */
+  close() {
+    if (this[_closed]) {
+      return;
+    }
+
+    this[_closed] = true;
+    super.close();
+    this.emit('close');
+  }
+};
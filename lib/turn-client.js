@@ -0,0 +1,616 @@
+'use strict';
+
+const Emitter = require('events');
+const crypto = require('crypto');
+const { isIPv6 } = require('net');
+const stun = require('stun');
+const stunClient = require('./stun-client');
+
+const {
+  STUN_ALLOCATE_REQUEST,
+  STUN_REFRESH_REQUEST,
+  STUN_CREATE_PERMISSION_REQUEST,
+  STUN_CHANNEL_BIND_REQUEST,
+  STUN_SEND_INDICATION,
+  STUN_DATA_INDICATION,
+  STUN_ATTR_USERNAME,
+  STUN_ATTR_REALM,
+  STUN_ATTR_NONCE,
+  STUN_ATTR_LIFETIME,
+  STUN_ATTR_REQUESTED_TRANSPORT,
+  STUN_ATTR_XOR_RELAYED_ADDRESS,
+  STUN_ATTR_XOR_MAPPED_ADDRESS,
+  STUN_ATTR_XOR_PEER_ADDRESS,
+  STUN_ATTR_CHANNEL_NUMBER,
+  STUN_ATTR_DATA,
+  STUN_ATTR_MESSAGE_INTEGRITY,
+  STUN_CODE_UNAUTHORIZED,
+  STUN_CODE_STALE_NONCE,
+  STUN_EVENT_BINDING_INDICATION,
+} = stun.constants;
+
+// UDP protocol number for REQUESTED-TRANSPORT, RFC 8656, section 18.7
+const TRANSPORT_UDP = 17;
+
+// Default allocation lifetime in seconds, RFC 8656, section 3.8
+const DEFAULT_LIFETIME = 600;
+
+// Permissions expire in 5 minutes and channels in 10 minutes,
+// RFC 8656, sections 9 and 12.
+const PERMISSION_REFRESH_INTERVAL = 4 * 60e3;
+const CHANNEL_REFRESH_INTERVAL = 5 * 60e3;
+
+// Range of channel numbers, RFC 8656, section 12.
+const CHANNEL_MIN = 0x4000;
+const CHANNEL_MAX = 0x4fff;
+
+// Size of ChannelData header.
+const CHANNEL_HEADER_LENGTH = 4;
+
+const BINDING_PENDING = 'pending';
+const BINDING_BOUND = 'bound';
+const BINDING_FAILED = 'failed';
+
+const _socket = Symbol('socket');
+const _server = Symbol('stun-server');
+const _address = Symbol('address');
+const _port = Symbol('port');
+const _username = Symbol('username');
+const _credential = Symbol('credential');
+const _realm = Symbol('realm');
+const _nonce = Symbol('nonce');
+const _key = Symbol('key');
+const _relayed = Symbol('relayed');
+const _mapped = Symbol('mapped');
+const _refreshTimer = Symbol('refresh-timer');
+const _bindings = Symbol('bindings');
+const _permissions = Symbol('permissions');
+const _nextChannel = Symbol('next-channel');
+const _closed = Symbol('closed');
+const _handleMessage = Symbol('handle-message');
+const _handleIndication = Symbol('handle-indication');
+
+/**
+ * TURN client over UDP, RFC 8656.
+ * It behaves like a UDP socket bound to the relayed address,
+ * so STUN server and DTLS transport may use it directly.
+ * Emits `error` when the allocation can't be refreshed or a peer is refused.
+ */
+module.exports = class TurnClient extends Emitter {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {dgram.Socket} options.socket local UDP socket
+   * @param {stun.StunServer} options.server STUN server of the local socket
+   * @param {string} options.address TURN server address
+   * @param {number} options.port TURN server port
+   * @param {string} options.username
+   * @param {string} options.credential
+   */
+  constructor(options = {}) {
+    super();
+
+    this[_socket] = options.socket;
+    this[_server] = options.server;
+    this[_address] = options.address;
+    this[_port] = options.port;
+    this[_username] = options.username;
+    this[_credential] = options.credential;
+
+    this[_realm] = null;
+    this[_nonce] = null;
+    this[_key] = null;
+
+    this[_relayed] = null;
+    this[_mapped] = null;
+    this[_refreshTimer] = null;
+
+    this[_bindings] = new Map();
+    this[_permissions] = new Map();
+    this[_nextChannel] = CHANNEL_MIN;
+    this[_closed] = false;
+
+    this[_handleMessage] = (data, rinfo) => this.handleMessage(data, rinfo);
+    this[_handleIndication] = (msg, rinfo) => this.handleIndication(msg, rinfo);
+
+    this[_socket].on('message', this[_handleMessage]);
+    this[_server].on(STUN_EVENT_BINDING_INDICATION, this[_handleIndication]);
+  }
+
+  /**
+   * Socket type of the relayed address, like `dgram.Socket`.
+   * @returns {string}
+   */
+  get type() {
+    return isIPv6(this[_address]) ? 'udp6' : 'udp4';
+  }
+
+  /**
+   * Relayed transport address.
+   * @returns {{address: string, port: number}|null}
+   */
+  get relayed() {
+    return this[_relayed];
+  }
+
+  /**
+   * Server reflexive address of the local socket.
+   * @returns {{address: string, port: number}|null}
+   */
+  get mapped() {
+    return this[_mapped];
+  }
+
+  /**
+   * Relayed address, like `dgram.Socket#address()`.
+   * @returns {{address: string, port: number, family: string}}
+   */
+  address() {
+    const { address, port } = this[_relayed];
+
+    return { address, port, family: isIPv6(address) ? 'IPv6' : 'IPv4' };
+  }
+
+  /**
+   * Create an allocation on the TURN server.
+   * @returns {Promise<TurnClient>}
+   */
+  async allocate() {
+    const response = await this.request(STUN_ALLOCATE_REQUEST, [
+      // eslint-disable-next-line no-bitwise
+      [STUN_ATTR_REQUESTED_TRANSPORT, TRANSPORT_UDP << 24],
+    ]);
+
+    const relayed = response.getAttribute(STUN_ATTR_XOR_RELAYED_ADDRESS);
+    const mapped = response.getAttribute(STUN_ATTR_XOR_MAPPED_ADDRESS);
+
+    if (relayed === undefined) {
+      throw new Error('TURN server did not provide relayed address');
+    }
+
+    this[_relayed] = pick(relayed.value);
+    this[_mapped] = mapped === undefined ? null : pick(mapped.value);
+
+    this.scheduleRefresh(response);
+    return this;
+  }
+
+  /**
+   * Refresh the allocation before it expires.
+   * @param {stun.StunMessage} response allocate or refresh response
+   */
+  scheduleRefresh(response) {
+    const attribute = response.getAttribute(STUN_ATTR_LIFETIME);
+    const lifetime = attribute ? attribute.value : DEFAULT_LIFETIME;
+    const timeout = Math.max(lifetime - 60, lifetime / 2) * 1e3;
+
+    clearTimeout(this[_refreshTimer]);
+
+    this[_refreshTimer] = setTimeout(() => this.refresh(), timeout);
+    this[_refreshTimer].unref();
+  }
+
+  /**
+   * Refresh the allocation.
+   */
+  async refresh() {
+    try {
+      const response = await this.request(STUN_REFRESH_REQUEST, []);
+
+      if (!this[_closed]) {
+        this.scheduleRefresh(response);
+      }
+    } catch (err) {
+      this.reportError(new Error(`Refresh failed: ${err.message}`));
+      this.close();
+    }
+  }
+
+  /**
+   * Send data to the peer through the relay.
+   * Channel is bound for each peer, data is sent
+   * using Send indication until the channel is ready.
+   * @param {Buffer} data
+   * @param {number} port peer port
+   * @param {string} address peer address
+   * @param {function} [callback]
+   */
+  send(data, port, address, callback) {
+    if (this[_closed]) {
+      if (typeof callback === 'function') {
+        process.nextTick(callback, new Error('TURN allocation is closed'));
+      }
+      return;
+    }
+
+    const key = `${address}:${port}`;
+
+    if (!this[_bindings].has(key)) {
+      this.bindChannel(address, port);
+    }
+
+    const binding = this[_bindings].get(key);
+
+    switch (binding.state) {
+      case BINDING_BOUND:
+        this.sendChannelData(binding.number, data, callback);
+        break;
+      case BINDING_PENDING:
+        binding.queue.push([data, callback]);
+        break;
+      default:
+        this.sendIndication(data, port, address, callback);
+        break;
+    }
+  }
+
+  /**
+   * Bind a channel to the peer, RFC 8656, section 12.
+   * It also installs the permission for the peer address.
+   * @param {string} address peer address
+   * @param {number} port peer port
+   */
+  async bindChannel(address, port) {
+    const key = `${address}:${port}`;
+    let binding = this[_bindings].get(key);
+
+    if (binding === undefined) {
+      if (this[_nextChannel] > CHANNEL_MAX) {
+        this[_bindings].set(key, { state: BINDING_FAILED, queue: [] });
+        this.createPermission(address);
+        return;
+      }
+
+      binding = {
+        number: this[_nextChannel],
+        address,
+        port,
+        state: BINDING_PENDING,
+        queue: [],
+        timer: null,
+      };
+
+      this[_nextChannel] += 1;
+      this[_bindings].set(key, binding);
+    }
+
+    try {
+      await this.request(STUN_CHANNEL_BIND_REQUEST, [
+        // eslint-disable-next-line no-bitwise
+        [STUN_ATTR_CHANNEL_NUMBER, binding.number << 16],
+        [STUN_ATTR_XOR_PEER_ADDRESS, address, port],
+      ]);
+    } catch (err) {
+      this.reportError(new Error(`Channel bind failed: ${err.message}`));
+
+      binding.state = BINDING_FAILED;
+      await this.createPermission(address);
+      this.flush(binding);
+      return;
+    }
+
+    if (this[_closed]) {
+      return;
+    }
+
+    binding.state = BINDING_BOUND;
+    this.flush(binding);
+
+    clearTimeout(binding.timer);
+    binding.timer = setTimeout(
+      () => this.bindChannel(address, port),
+      CHANNEL_REFRESH_INTERVAL
+    );
+    binding.timer.unref();
+  }
+
+  /**
+   * Install or refresh the permission for the peer address,
+   * RFC 8656, section 9.
+   * @param {string} address peer address
+   */
+  async createPermission(address) {
+    try {
+      await this.request(STUN_CREATE_PERMISSION_REQUEST, [
+        [STUN_ATTR_XOR_PEER_ADDRESS, address, 0],
+      ]);
+    } catch (err) {
+      // Only this peer is unreachable through the relay, keep the allocation.
+      this.reportError(
+        new Error(`Create permission failed for ${address}: ${err.message}`)
+      );
+      return;
+    }
+
+    if (this[_closed]) {
+      return;
+    }
+
+    clearTimeout(this[_permissions].get(address));
+
+    const timer = setTimeout(
+      () => this.createPermission(address),
+      PERMISSION_REFRESH_INTERVAL
+    );
+
+    timer.unref();
+    this[_permissions].set(address, timer);
+  }
+
+  /**
+   * Emit `error` event if it's handled, log the error otherwise.
+   * Errors occur in timers and detached requests,
+   * so the event must not throw.
+   * @private
+   * @param {Error} error
+   */
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('[nodertc][turn] %s', error.message);
+    }
+  }
+
+  /**
+   * Send queued data of the peer.
+   * @param {object} binding
+   */
+  flush(binding) {
+    const { queue } = binding;
+    binding.queue = [];
+
+    queue.forEach(([data, callback]) => {
+      this.send(data, binding.port, binding.address, callback);
+    });
+  }
+
+  /**
+   * Send ChannelData message, RFC 8656, section 12.4.
+   * @param {number} number channel number
+   * @param {Buffer} data
+   * @param {function} [callback]
+   */
+  sendChannelData(number, data, callback) {
+    const header = Buffer.allocUnsafe(CHANNEL_HEADER_LENGTH);
+
+    header.writeUInt16BE(number, 0);
+    header.writeUInt16BE(data.length, 2);
+
+    const packet = Buffer.concat([header, data]);
+    this[_socket].send(packet, this[_port], this[_address], callback);
+  }
+
+  /**
+   * Send data using Send indication, RFC 8656, section 11.
+   * @param {Buffer} data
+   * @param {number} port peer port
+   * @param {string} address peer address
+   * @param {function} [callback]
+   */
+  sendIndication(data, port, address, callback) {
+    const indication = stun.createMessage(STUN_SEND_INDICATION);
+
+    indication.addAttribute(STUN_ATTR_XOR_PEER_ADDRESS, address, port);
+    indication.addAttribute(STUN_ATTR_DATA, data);
+
+    const packet = indication.toBuffer();
+    this[_socket].send(packet, this[_port], this[_address], callback);
+  }
+
+  /**
+   * Handle ChannelData messages from the TURN server.
+   * @param {Buffer} data
+   * @param {object} rinfo
+   */
+  handleMessage(data, rinfo) {
+    if (!this.isServer(rinfo) || data.length < CHANNEL_HEADER_LENGTH) {
+      return;
+    }
+
+    const number = data.readUInt16BE(0);
+
+    if (number < CHANNEL_MIN || number > CHANNEL_MAX) {
+      return;
+    }
+
+    const length = data.readUInt16BE(2);
+
+    if (data.length < CHANNEL_HEADER_LENGTH + length) {
+      return;
+    }
+
+    let binding = null;
+
+    for (const item of this[_bindings].values()) {
+      if (item.number === number) {
+        binding = item;
+        break;
+      }
+    }
+
+    if (binding === null) {
+      return;
+    }
+
+    const payload = data.slice(
+      CHANNEL_HEADER_LENGTH,
+      CHANNEL_HEADER_LENGTH + length
+    );
+
+    this.receive(payload, binding.address, binding.port);
+  }
+
+  /**
+   * Handle Data indications from the TURN server.
+   * @param {stun.StunMessage} message
+   * @param {object} rinfo
+   */
+  handleIndication(message, rinfo) {
+    if (!this.isServer(rinfo) || message.type !== STUN_DATA_INDICATION) {
+      return;
+    }
+
+    const peer = message.getAttribute(STUN_ATTR_XOR_PEER_ADDRESS);
+    const data = message.getAttribute(STUN_ATTR_DATA);
+
+    if (peer === undefined || data === undefined) {
+      return;
+    }
+
+    this.receive(data.value, peer.value.address, peer.value.port);
+  }
+
+  /**
+   * Emit relayed data of the peer.
+   * @param {Buffer} data
+   * @param {string} address peer address
+   * @param {number} port peer port
+   */
+  receive(data, address, port) {
+    if (this[_closed]) {
+      return;
+    }
+
+    const family = isIPv6(address) ? 'IPv6' : 'IPv4';
+    this.emit('message', data, { address, port, family, size: data.length });
+  }
+
+  /**
+   * Check if the packet comes from the TURN server.
+   * @param {object} rinfo
+   * @returns {boolean}
+   */
+  isServer(rinfo) {
+    return rinfo.address === this[_address] && rinfo.port === this[_port];
+  }
+
+  /**
+   * Send authenticated request to the TURN server.
+   * The request is repeated once on 401 and 438 errors
+   * with the actual realm and nonce.
+   * @param {number} type STUN message type
+   * @param {Array[]} attributes list of `[type, ...values]`
+   * @param {boolean} [retry]
+   * @returns {Promise<stun.StunMessage>}
+   */
+  async request(type, attributes, retry = true) {
+    const message = stun.createMessage(type);
+
+    attributes.forEach(([attribute, ...values]) => {
+      message.addAttribute(attribute, ...values);
+    });
+
+    if (this[_key] !== null) {
+      message.addAttribute(STUN_ATTR_USERNAME, this[_username]);
+      message.addAttribute(STUN_ATTR_REALM, this[_realm]);
+      message.addAttribute(STUN_ATTR_NONCE, this[_nonce]);
+      message.addMessageIntegrity(this[_key]);
+    }
+
+    message.addFingerprint();
+
+    let response;
+
+    try {
+      ({ message: response } = await stunClient.request(
+        this[_server],
+        message,
+        this[_port],
+        this[_address]
+      ));
+    } catch (err) {
+      const isAuthError =
+        err.code === STUN_CODE_UNAUTHORIZED ||
+        err.code === STUN_CODE_STALE_NONCE;
+
+      if (retry && isAuthError && this.updateNonce(err.response)) {
+        return this.request(type, attributes, false);
+      }
+
+      throw err;
+    }
+
+    const hasIntegrity = response.getAttribute(STUN_ATTR_MESSAGE_INTEGRITY);
+
+    if (hasIntegrity && !stun.validateMessageIntegrity(response, this[_key])) {
+      throw new Error('Invalid MESSAGE-INTEGRITY of TURN response');
+    }
+
+    return response;
+  }
+
+  /**
+   * Pick realm and nonce for the long-term credentials,
+   * RFC 8489, section 9.2.
+   * @param {stun.StunMessage} response error response
+   * @returns {boolean} `true` if the request may be repeated
+   */
+  updateNonce(response) {
+    const realm = response.getAttribute(STUN_ATTR_REALM);
+    const nonce = response.getAttribute(STUN_ATTR_NONCE);
+
+    if (nonce === undefined || (realm === undefined && this[_realm] === null)) {
+      return false;
+    }
+
+    if (realm !== undefined) {
+      this[_realm] = realm.value.toString();
+    }
+
+    this[_nonce] = nonce.value.toString();
+
+    const credentials = [this[_username], this[_realm], this[_credential]];
+    this[_key] = crypto
+      .createHash('md5')
+      .update(credentials.join(':'))
+      .digest();
+
+    return true;
+  }
+
+  /**
+   * Release the allocation.
+   */
+  close() {
+    if (this[_closed]) {
+      return;
+    }
+
+    clearTimeout(this[_refreshTimer]);
+
+    for (const binding of this[_bindings].values()) {
+      clearTimeout(binding.timer);
+    }
+
+    for (const timer of this[_permissions].values()) {
+      clearTimeout(timer);
+    }
+
+    if (this[_relayed] !== null) {
+      this.request(
+        STUN_REFRESH_REQUEST,
+        [[STUN_ATTR_LIFETIME, 0]],
+        false
+      ).catch(() => {});
+    }
+
+    this[_closed] = true;
+
+    this[_socket].removeListener('message', this[_handleMessage]);
+    this[_server].removeListener(
+      STUN_EVENT_BINDING_INDICATION,
+      this[_handleIndication]
+    );
+
+    this.emit('close');
+  }
+};
+
+/**
+ * @param {{address: string, port: number}} value
+ * @returns {{address: string, port: number}}
+ */
+function pick({ address, port }) {
+  return { address, port };
+}
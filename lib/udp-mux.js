@@ -0,0 +1,500 @@
+'use strict';
+
+const Emitter = require('events');
+const dgram = require('dgram');
+const { isIPv6 } = require('net');
+const isStun = require('is-stun');
+const { createUsername } = require('./ice-util');
+
+const _port = Symbol('port');
+const _localAddresses = Symbol('local-addresses');
+const _sockets = Symbol('sockets');
+const _users = Symbol('users');
+const _addresses = Symbol('addresses');
+const _transactions = Symbol('transactions');
+const _sweepTimer = Symbol('sweep-timer');
+const _mux = Symbol('mux');
+const _type = Symbol('type');
+const _localAddress = Symbol('local-address');
+const _username = Symbol('username');
+const _closed = Symbol('closed');
+
+// STUN message header, RFC 5389, section 6.
+const STUN_HEADER_LENGTH = 20;
+const STUN_ATTR_USERNAME = 0x0006;
+
+// Pending STUN transactions are forgotten after this timeout.
+const TRANSACTION_TIMEOUT = 60e3;
+
+/**
+ * Virtual UDP socket of the session on the local address, mimics `dgram.Socket`.
+ */
+class VirtualSocket extends Emitter {
+  /**
+   * @constructor
+   * @param {UdpMux} mux
+   * @param {string} localAddress
+   * @param {string} username
+   */
+  constructor(mux, localAddress, username) {
+    super();
+
+    this[_mux] = mux;
+    this[_localAddress] = localAddress;
+    this[_type] = isIPv6(localAddress) ? 'udp6' : 'udp4';
+    this[_username] = username;
+    this[_closed] = false;
+  }
+
+  /**
+   * @returns {string}
+   */
+  get type() {
+    return this[_type];
+  }
+
+  /**
+   * Local address of the shared socket.
+   * @returns {string}
+   */
+  get localAddress() {
+    return this[_localAddress];
+  }
+
+  /**
+   * Local ICE username fragment.
+   * @returns {string}
+   */
+  get username() {
+    return this[_username];
+  }
+
+  /**
+   * Update local ICE username fragment, e.g. on ICE restart.
+   * @param {string} username
+   */
+  setUsername(username) {
+    this[_mux].rename(this, username);
+    this[_username] = username;
+  }
+
+  /**
+   * Route packets of the remote address to this socket,
+   * e.g. when the session selects a candidate pair.
+   * @param {string} address
+   * @param {number} port
+   */
+  addRoute(address, port) {
+    if (!this[_closed]) {
+      this[_mux].addRoute(this, { address, port });
+    }
+  }
+
+  /**
+   * The shared socket is already bound.
+   * @param {number} port ignored
+   * @param {string} address ignored
+   * @param {function} [callback]
+   */
+  bind(port, address, callback) {
+    if (!this[_closed] && typeof callback === 'function') {
+      process.nextTick(callback);
+    }
+  }
+
+  /**
+   * @returns {object}
+   */
+  address() {
+    return this[_mux].address(this.localAddress);
+  }
+
+  /**
+   * @param {Buffer} data
+   * @param {number} port
+   * @param {string} address
+   * @param {function} [callback]
+   */
+  send(data, port, address, callback) {
+    if (this[_closed]) {
+      if (typeof callback === 'function') {
+        process.nextTick(callback, new Error('Socket is closed'));
+      }
+      return;
+    }
+
+    this[_mux].send(this, data, port, address, callback);
+  }
+
+  /**
+   * Detach from the shared socket.
+   */
+  close() {
+    if (this[_closed]) {
+      return;
+    }
+
+    this[_closed] = true;
+    this[_mux].remove(this);
+    this.emit('close');
+  }
+}
+
+/**
+ * Shared UDP port for many sessions, one socket for each local address,
+ * so the local address of incoming packets is known.
+ * Incoming STUN requests are routed by the ICE username fragment,
+ * STUN responses by the transaction id and other packets
+ * by the remote transport address of the selected candidate pair.
+ * Connectivity checks aren't authenticated here, so they don't change
+ * routes of other packets. TURN allocations of the sessions use own sockets.
+ */
+class UdpMux extends Emitter {
+  /**
+   * @constructor
+   * @param {object} options
+   * @param {number} options.port UDP port for all sessions
+   * @param {object[]} options.addresses addresses of the network interfaces,
+   *  list of `{ address, family }`
+   */
+  constructor(options = {}) {
+    super();
+
+    this[_port] = options.port;
+    this[_localAddresses] = options.addresses || [];
+
+    this[_sockets] = new Map();
+    this[_users] = new Map();
+    this[_addresses] = new Map();
+    this[_transactions] = new Map();
+    this[_sweepTimer] = null;
+    this[_closed] = false;
+  }
+
+  /**
+   * @returns {number}
+   */
+  get port() {
+    return this[_port];
+  }
+
+  /**
+   * Bind the port on each local address.
+   */
+  async listen() {
+    const bind = ({ address, family }) =>
+      new Promise(resolve => {
+        const socket = dgram.createSocket(family === 'IPv6' ? 'udp6' : 'udp4');
+
+        const onerror = err => {
+          console.log(
+            '[nodertc][mux] %s is not available:',
+            address,
+            err.message
+          );
+
+          socket.close();
+          resolve();
+        };
+
+        socket.once('error', onerror);
+        socket.bind(this.port, address, () => {
+          socket.removeListener('error', onerror);
+          socket.on('message', (data, rinfo) =>
+            this.route(address, data, rinfo)
+          );
+
+          this[_sockets].set(address, socket);
+          resolve();
+        });
+      });
+
+    const addresses = this[_localAddresses];
+    await Promise.all(addresses.map(item => bind(item)));
+
+    if (addresses.length > 0 && this[_sockets].size === 0) {
+      throw new Error(`Unable to bind UDP port ${this.port}`);
+    }
+
+    this[_sweepTimer] = setInterval(() => this.sweep(), TRANSACTION_TIMEOUT);
+    this[_sweepTimer].unref();
+
+    console.log('[nodertc][mux] listen on port %s', this.port);
+  }
+
+  /**
+   * Create ICE username fragment which isn't used by other sessions.
+   * @returns {string}
+   */
+  createUsername() {
+    let username = createUsername();
+
+    while (this.hasUsername(username)) {
+      username = createUsername();
+    }
+
+    return username;
+  }
+
+  /**
+   * @param {string} username ICE username fragment
+   * @returns {boolean}
+   */
+  hasUsername(username) {
+    return Array.from(this[_sockets].keys()).some(address =>
+      this[_users].has(`${address}/${username}`)
+    );
+  }
+
+  /**
+   * Create a virtual socket for the session.
+   * @param {string} address local address
+   * @param {string} username local ICE username fragment of the session,
+   *  e.g. from `createUsername()`
+   * @returns {VirtualSocket|null} `null` if the address is not available
+   */
+  createSocket(address, username) {
+    if (!this[_sockets].has(address)) {
+      return null;
+    }
+
+    if (this[_users].has(`${address}/${username}`)) {
+      throw new Error(`ICE username fragment ${username} is in use`);
+    }
+
+    const socket = new VirtualSocket(this, address, username);
+
+    this[_users].set(`${address}/${username}`, socket);
+    return socket;
+  }
+
+  /**
+   * Route incoming packet to the virtual socket.
+   * @param {string} localAddress
+   * @param {Buffer} data
+   * @param {object} rinfo
+   */
+  route(localAddress, data, rinfo) {
+    let socket;
+
+    if (isStun(data)) {
+      socket = this.routeStun(localAddress, data);
+    }
+
+    if (socket === undefined) {
+      socket = this[_addresses].get(addressKey(rinfo));
+    }
+
+    if (socket !== undefined) {
+      socket.emit('message', data, rinfo);
+    }
+  }
+
+  /**
+   * Find the virtual socket for STUN message.
+   * @param {string} localAddress
+   * @param {Buffer} data
+   * @returns {VirtualSocket|undefined}
+   */
+  routeStun(localAddress, data) {
+    const messageClass = getMessageClass(data);
+
+    if (messageClass === 'response') {
+      const key = data.toString('hex', 8, STUN_HEADER_LENGTH);
+      const transaction = this[_transactions].get(key);
+
+      if (transaction === undefined) {
+        return undefined;
+      }
+
+      this[_transactions].delete(key);
+      return transaction.socket;
+    }
+
+    if (messageClass !== 'request') {
+      return undefined;
+    }
+
+    // USERNAME of connectivity check is `local:remote`, RFC 8445, section 7.2.2
+    const username = getUsername(data);
+
+    if (username === null) {
+      return undefined;
+    }
+
+    const [ufrag] = username.split(':');
+    return this[_users].get(`${localAddress}/${ufrag}`);
+  }
+
+  /**
+   * Send packet of the virtual socket.
+   * @param {VirtualSocket} socket
+   * @param {Buffer} data
+   * @param {number} port
+   * @param {string} address
+   * @param {function} [callback]
+   */
+  send(socket, data, port, address, callback) {
+    const udp = this[_sockets].get(socket.localAddress);
+
+    if (udp === undefined) {
+      if (typeof callback === 'function') {
+        process.nextTick(callback, new Error('Socket is closed'));
+      }
+      return;
+    }
+
+    if (isStun(data) && getMessageClass(data) === 'request') {
+      const key = data.toString('hex', 8, STUN_HEADER_LENGTH);
+      this[_transactions].set(key, { socket, time: Date.now() });
+    }
+
+    udp.send(data, port, address, callback);
+  }
+
+  /**
+   * Change ICE username fragment of the virtual socket.
+   * @param {VirtualSocket} socket
+   * @param {string} username
+   */
+  rename(socket, username) {
+    const key = `${socket.localAddress}/${socket.username}`;
+    const owner = this[_users].get(`${socket.localAddress}/${username}`);
+
+    if (owner !== undefined && owner !== socket) {
+      throw new Error(`ICE username fragment ${username} is in use`);
+    }
+
+    if (this[_users].get(key) === socket) {
+      this[_users].delete(key);
+    }
+
+    this[_users].set(`${socket.localAddress}/${username}`, socket);
+  }
+
+  /**
+   * Route packets of the remote address to the virtual socket.
+   * @param {VirtualSocket} socket
+   * @param {{address: string, port: number}} rinfo
+   */
+  addRoute(socket, rinfo) {
+    this[_addresses].set(addressKey(rinfo), socket);
+  }
+
+  /**
+   * Forget the virtual socket.
+   * @param {VirtualSocket} socket
+   */
+  remove(socket) {
+    const key = `${socket.localAddress}/${socket.username}`;
+
+    if (this[_users].get(key) === socket) {
+      this[_users].delete(key);
+    }
+
+    for (const [address, item] of this[_addresses]) {
+      if (item === socket) {
+        this[_addresses].delete(address);
+      }
+    }
+
+    for (const [id, transaction] of this[_transactions]) {
+      if (transaction.socket === socket) {
+        this[_transactions].delete(id);
+      }
+    }
+  }
+
+  /**
+   * Drop expired transactions.
+   */
+  sweep() {
+    const now = Date.now();
+
+    for (const [id, transaction] of this[_transactions]) {
+      if (now - transaction.time > TRANSACTION_TIMEOUT) {
+        this[_transactions].delete(id);
+      }
+    }
+  }
+
+  /**
+   * Get local address of the shared socket.
+   * @param {string} localAddress
+   * @returns {object}
+   */
+  address(localAddress) {
+    return this[_sockets].get(localAddress).address();
+  }
+
+  /**
+   * Close shared sockets.
+   */
+  close() {
+    if (this[_closed]) {
+      return;
+    }
+
+    this[_closed] = true;
+    clearInterval(this[_sweepTimer]);
+
+    for (const socket of this[_sockets].values()) {
+      socket.close();
+    }
+
+    this[_sockets].clear();
+    this.emit('close');
+  }
+}
+
+module.exports = UdpMux;
+
+/**
+ * @param {{address: string, port: number}} rinfo
+ * @returns {string}
+ */
+function addressKey({ address, port }) {
+  return isIPv6(address) ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+/**
+ * Get class of STUN message, RFC 5389, section 6.
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function getMessageClass(data) {
+  /* eslint-disable no-bitwise */
+  const type = data.readUInt16BE(0);
+  const messageClass = ((type >> 7) & 0x2) | ((type >> 4) & 0x1);
+  /* eslint-enable no-bitwise */
+
+  return ['request', 'indication', 'response', 'response'][messageClass];
+}
+
+/**
+ * Get USERNAME attribute of raw STUN message.
+ * @param {Buffer} data
+ * @returns {string|null}
+ */
+function getUsername(data) {
+  let offset = STUN_HEADER_LENGTH;
+
+  while (offset + 4 <= data.length) {
+    const type = data.readUInt16BE(offset);
+    const length = data.readUInt16BE(offset + 2);
+    const start = offset + 4;
+
+    if (start + length > data.length) {
+      return null;
+    }
+
+    if (type === STUN_ATTR_USERNAME) {
+      return data.toString('utf8', start, start + length);
+    }
+
+    // Attributes are aligned to 4 bytes.
+    offset = start + Math.ceil(length / 4) * 4;
+  }
+
+  return null;
+}
@@ -0,0 +1,125 @@
+'use strict';
+
+const crypto = require('crypto');
+const pem = require('pem-file');
+const nodertc = require('..');
+const fingerprint = require('../lib/fingerprint');
+
+jest.setTimeout(20e3);
+
+let webrtc = null;
+let sessions = [];
+
+beforeAll(async () => {
+  webrtc = nodertc({
+    interfaces: { include: [/^lo/] },
+    addresses: { include: ['127.0.0.0/8'] },
+  });
+
+  await webrtc.start();
+});
+
+afterAll(() => {
+  webrtc.close();
+});
+
+afterEach(() => {
+  sessions.forEach(session => session.close());
+  sessions = [];
+});
+
+function nextEvent(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+test.each([['ECDSA P-256', 'ec'], ['RSA', 'rsa']])(
+  'should generate %s certificate',
+  async (algorithm, type) => {
+    const expires = 60e3;
+    const now = Date.now();
+    const keys = await nodertc.generateCertificate({ algorithm, expires });
+
+    const certificate = new crypto.X509Certificate(keys.certificate);
+    const privateKey = crypto.createPrivateKey(keys.privateKey);
+
+    expect(privateKey.asymmetricKeyType).toBe(type);
+    expect(certificate.checkPrivateKey(privateKey)).toBe(true);
+    expect(certificate.verify(certificate.publicKey)).toBe(true);
+    expect(certificate.subject).toBe('CN=WebRTC');
+    expect(keys.expires).toBeGreaterThanOrEqual(now + expires);
+    expect(Date.parse(certificate.validTo)).toBeLessThanOrEqual(keys.expires);
+  }
+);
+
+test('should reject unsupported algorithm', async () => {
+  await expect(
+    nodertc.generateCertificate({ algorithm: 'DSA' })
+  ).rejects.toThrow('Unsupported algorithm DSA');
+});
+
+test.each([
+  ['ECDSA P-256', 'actpass', 'server'],
+  ['ECDSA P-256', 'active', 'client'],
+  ['RSA', 'active', 'client'],
+])(
+  'should connect with generated %s certificate, setup:%s',
+  async (algorithm, setup, role) => {
+    const keys = await nodertc.generateCertificate({ algorithm });
+    const der = pem.decode(keys.certificate);
+
+    const offerer = webrtc.createSession({ certificate: keys });
+    const answerer = webrtc.createSession();
+    sessions = [offerer, answerer];
+
+    const offer = await offerer.createOffer();
+
+    expect(offerer.fingerprint).toBe(fingerprint(der, 'sha-256'));
+    expect(offer).toMatch(`a=fingerprint:sha-256 ${offerer.fingerprint}\r\n`);
+
+    await offerer.setRemoteAnswer(
+      await answerer.createAnswer(
+        offer.replace('a=setup:actpass', `a=setup:${setup}`)
+      )
+    );
+
+    const incoming = nextEvent(answerer, 'channel');
+    const channel = await offerer.createDataChannel('chat');
+    const peerChannel = await incoming;
+
+    const request = nextEvent(peerChannel, 'message');
+    channel.send('ping');
+
+    expect((await request).toString()).toBe('ping');
+    expect(offerer.dtlsRole).toBe(role);
+  }
+);
+
+test('should not sign with RSA for DTLS client of nodertc', async () => {
+  const keys = await nodertc.generateCertificate({ algorithm: 'RSA' });
+
+  const offerer = webrtc.createSession({ certificate: keys });
+  const answerer = webrtc.createSession();
+  sessions = [offerer, answerer];
+
+  const failure = nextEvent(offerer, 'error');
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+
+  const error = await failure;
+
+  expect(offerer.dtlsRole).toBe('server');
+  expect(error.code).toBe(nodertc.errorCodes.ERR_DTLS);
+  expect(error.message).toMatch('No shared parameters');
+});
+
+test('should reject expired certificate', async () => {
+  const keys = await nodertc.generateCertificate();
+
+  expect(() =>
+    webrtc.createSession({
+      certificate: Object.assign({}, keys, { expires: Date.now() - 1 }),
+    })
+  ).toThrow('Certificate is expired');
+});
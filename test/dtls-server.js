@@ -0,0 +1,755 @@
+'use strict';
+
+const crypto = require('crypto');
+const Emitter = require('events');
+const pem = require('pem-file');
+const DtlsServer = require('../lib/dtls-server');
+const { generateCertificate } = require('../lib/certificate');
+
+const CONTENT_CHANGE_CIPHER_SPEC = 20;
+const CONTENT_ALERT = 21;
+const CONTENT_HANDSHAKE = 22;
+const CONTENT_APPLICATION_DATA = 23;
+
+const HANDSHAKE_CLIENT_HELLO = 1;
+const HANDSHAKE_SERVER_HELLO = 2;
+const HANDSHAKE_CERTIFICATE = 11;
+const HANDSHAKE_SERVER_KEY_EXCHANGE = 12;
+const HANDSHAKE_CERTIFICATE_REQUEST = 13;
+const HANDSHAKE_SERVER_HELLO_DONE = 14;
+const HANDSHAKE_CERTIFICATE_VERIFY = 15;
+const HANDSHAKE_CLIENT_KEY_EXCHANGE = 16;
+const HANDSHAKE_FINISHED = 20;
+
+const ALERT_HANDSHAKE_FAILURE = 40;
+const ALERT_BAD_CERTIFICATE = 42;
+const ALERT_DECRYPT_ERROR = 51;
+
+const DTLS_1_2 = 0xfefd;
+const ECDHE_ECDSA_AES_128_GCM = 0xc02b;
+const ECDHE_RSA_AES_128_GCM = 0xc02f;
+const ECDSA_SHA256 = 0x0403;
+
+let serverKeys = null;
+let clientKeys = null;
+let servers = [];
+
+beforeAll(async () => {
+  serverKeys = await generateCertificate();
+  clientKeys = await generateCertificate();
+});
+
+afterEach(() => {
+  servers.forEach(server => server.close());
+  servers = [];
+
+  jest.useRealTimers();
+});
+
+/**
+ * Create the server over the fake datagram transport.
+ * @param {object} [options]
+ * @returns {{server: DtlsServer, socket: Emitter}}
+ */
+function createServer(options = {}) {
+  const socket = new Emitter();
+
+  socket.sent = [];
+  socket.write = (data, callback) => {
+    socket.sent.push(data);
+    socket.emit('sent', data);
+    callback();
+  };
+  socket.close = jest.fn();
+
+  const server = new DtlsServer(
+    Object.assign(
+      {
+        socket,
+        certificate: serverKeys.certificate,
+        certificatePrivateKey: serverKeys.privateKey,
+        checkClientIdentity: () => true,
+      },
+      options
+    )
+  );
+
+  servers.push(server);
+  return { server, socket };
+}
+
+function nextEvent(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+function uint(value, size) {
+  const buffer = Buffer.alloc(size);
+  buffer.writeUIntBE(value, 0, size);
+  return buffer;
+}
+
+function vector(data, size) {
+  return Buffer.concat([uint(data.length, size), data]);
+}
+
+function extension(type, data) {
+  return Buffer.concat([uint(type, 2), vector(data, 2)]);
+}
+
+function handshake(type, seq, body, offset = 0, length = body.length) {
+  return Buffer.concat([
+    uint(type, 1),
+    uint(length, 3),
+    uint(seq, 2),
+    uint(offset, 3),
+    vector(body, 3),
+  ]);
+}
+
+function record(type, epoch, seq, data) {
+  return Buffer.concat([
+    uint(type, 1),
+    uint(DTLS_1_2, 2),
+    uint(epoch, 2),
+    uint(seq, 6),
+    vector(data, 2),
+  ]);
+}
+
+/**
+ * Extensions of ClientHello: supported groups, point formats,
+ * signature algorithms and extended master secret.
+ * @param {number[]} [schemes] signature algorithms, the extension
+ *  is omitted if empty
+ * @returns {Buffer[]}
+ */
+function createExtensions(schemes = [ECDSA_SHA256]) {
+  const extensions = [
+    extension(10, vector(uint(23, 2), 2)),
+    extension(11, Buffer.from([1, 0])),
+    extension(23, Buffer.alloc(0)),
+  ];
+
+  if (schemes.length > 0) {
+    const list = Buffer.concat(schemes.map(id => uint(id, 2)));
+    extensions.push(extension(13, vector(list, 2)));
+  }
+
+  return extensions;
+}
+
+/**
+ * @param {Buffer} datagram
+ * @returns {object[]}
+ */
+function parseRecords(datagram) {
+  const records = [];
+
+  for (let offset = 0; offset < datagram.length; ) {
+    const length = datagram.readUInt16BE(offset + 11);
+
+    records.push({
+      type: datagram.readUInt8(offset),
+      epoch: datagram.readUInt16BE(offset + 3),
+      seq: datagram.readUIntBE(offset + 5, 6),
+      header: datagram.slice(offset, offset + 11),
+      fragment: datagram.slice(offset + 13, offset + 13 + length),
+    });
+
+    offset += 13 + length;
+  }
+
+  return records;
+}
+
+/**
+ * @param {Buffer} content
+ * @returns {object[]} handshake messages of the record
+ */
+function parseHandshakes(content) {
+  const messages = [];
+
+  for (let offset = 0; offset < content.length; ) {
+    const fragmentLength = content.readUIntBE(offset + 9, 3);
+
+    messages.push({
+      type: content.readUInt8(offset),
+      length: content.readUIntBE(offset + 1, 3),
+      seq: content.readUInt16BE(offset + 4),
+      offset: content.readUIntBE(offset + 6, 3),
+      body: content.slice(offset + 12, offset + 12 + fragmentLength),
+    });
+
+    offset += 12 + fragmentLength;
+  }
+
+  return messages;
+}
+
+function prf(secret, label, seed, size) {
+  const data = Buffer.concat([Buffer.from(label, 'ascii'), seed]);
+  const hmac = value =>
+    crypto
+      .createHmac('sha256', secret)
+      .update(value)
+      .digest();
+
+  const chunks = [];
+  let a = data;
+
+  while (Buffer.concat(chunks).length < size) {
+    a = hmac(a);
+    chunks.push(hmac(Buffer.concat([a, data])));
+  }
+
+  return Buffer.concat(chunks).slice(0, size);
+}
+
+/**
+ * DTLS 1.2 client with ECDHE-ECDSA-AES128-GCM-SHA256, the steps
+ * of the handshake are run by the tests.
+ */
+class Client {
+  constructor(socket) {
+    this.socket = socket;
+    this.random = crypto.randomBytes(32);
+    this.ecdh = crypto.createECDH('prime256v1');
+    this.ecdh.generateKeys();
+    this.transcript = [];
+    this.messageSeq = 0;
+    this.writeSeq = [0, 0];
+    this.keys = null;
+    this.received = new Map();
+  }
+
+  /**
+   * @param {Buffer} datagram
+   */
+  send(datagram) {
+    this.socket.emit('data', datagram);
+  }
+
+  encodeRecord(type, epoch, data) {
+    const seq = this.writeSeq[epoch];
+    this.writeSeq[epoch] += 1;
+
+    const fragment = epoch === 0 ? data : this.encrypt(type, seq, data);
+    return record(type, epoch, seq, fragment);
+  }
+
+  sendRecord(type, epoch, data) {
+    const datagram = this.encodeRecord(type, epoch, data);
+
+    this.send(datagram);
+    return datagram;
+  }
+
+  createHandshake(type, body) {
+    const message = handshake(type, this.messageSeq, body);
+
+    this.messageSeq += 1;
+    this.transcript.push(message);
+
+    return message;
+  }
+
+  createClientHello(
+    extensions = createExtensions(),
+    suite = ECDHE_ECDSA_AES_128_GCM
+  ) {
+    return this.createHandshake(
+      HANDSHAKE_CLIENT_HELLO,
+      Buffer.concat([
+        uint(DTLS_1_2, 2),
+        this.random,
+        vector(Buffer.alloc(0), 1),
+        vector(Buffer.alloc(0), 1),
+        vector(uint(suite, 2), 2),
+        vector(Buffer.from([0]), 1),
+        vector(Buffer.concat(extensions), 2),
+      ])
+    );
+  }
+
+  sendClientHello() {
+    this.sendRecord(CONTENT_HANDSHAKE, 0, this.createClientHello());
+  }
+
+  /**
+   * Collect handshake messages of the server flight.
+   * @param {Buffer[]} datagrams
+   * @returns {Map<number, Buffer>} bodies by handshake type
+   */
+  receive(datagrams) {
+    datagrams.forEach(datagram =>
+      parseRecords(datagram)
+        .filter(item => item.type === CONTENT_HANDSHAKE && item.epoch === 0)
+        .forEach(item =>
+          parseHandshakes(item.fragment).forEach(message => {
+            const { type, length } = message;
+            const body = this.received.has(message.seq)
+              ? this.received.get(message.seq).body
+              : Buffer.alloc(length);
+
+            message.body.copy(body, message.offset);
+            this.received.set(message.seq, { type, body });
+          })
+        )
+    );
+
+    const messages = new Map();
+
+    Array.from(this.received.keys())
+      .sort((a, b) => a - b)
+      .forEach(seq => {
+        const { type, body } = this.received.get(seq);
+
+        this.transcript.push(handshake(type, seq, body));
+        messages.set(type, body);
+      });
+
+    this.received.clear();
+    return messages;
+  }
+
+  /**
+   * Answer the server flight.
+   * @param {Map<number, Buffer>} messages server flight
+   * @param {object} [options]
+   * @param {Buffer} [options.finished] verify data of Finished
+   * @param {Buffer} [options.privateKey] key of CertificateVerify
+   */
+  finish(messages, options = {}) {
+    const serverHello = messages.get(HANDSHAKE_SERVER_HELLO);
+    const serverRandom = serverHello.slice(2, 34);
+    const params = messages.get(HANDSHAKE_SERVER_KEY_EXCHANGE);
+    const publicKey = params.slice(4, 4 + params.readUInt8(3));
+
+    const certificate = this.createHandshake(
+      HANDSHAKE_CERTIFICATE,
+      vector(vector(pem.decode(clientKeys.certificate), 3), 3)
+    );
+
+    const clientKeyExchange = this.createHandshake(
+      HANDSHAKE_CLIENT_KEY_EXCHANGE,
+      vector(this.ecdh.getPublicKey(), 1)
+    );
+
+    const premaster = this.ecdh.computeSecret(publicKey);
+    const masterSecret = prf(
+      premaster,
+      'extended master secret',
+      this.hash(),
+      48
+    );
+
+    const block = prf(
+      masterSecret,
+      'key expansion',
+      Buffer.concat([serverRandom, this.random]),
+      40
+    );
+
+    this.keys = {
+      masterSecret,
+      clientKey: block.slice(0, 16),
+      serverKey: block.slice(16, 32),
+      clientIV: block.slice(32, 36),
+      serverIV: block.slice(36, 40),
+    };
+
+    const signature = crypto
+      .createSign('sha256')
+      .update(Buffer.concat(this.transcript))
+      .sign(options.privateKey || clientKeys.privateKey);
+
+    const certificateVerify = this.createHandshake(
+      HANDSHAKE_CERTIFICATE_VERIFY,
+      Buffer.concat([uint(ECDSA_SHA256, 2), vector(signature, 2)])
+    );
+
+    this.send(
+      Buffer.concat([
+        this.encodeRecord(CONTENT_HANDSHAKE, 0, certificate),
+        this.encodeRecord(CONTENT_HANDSHAKE, 0, clientKeyExchange),
+        this.encodeRecord(CONTENT_HANDSHAKE, 0, certificateVerify),
+        this.encodeRecord(CONTENT_CHANGE_CIPHER_SPEC, 0, Buffer.from([1])),
+      ])
+    );
+
+    const finished = this.createHandshake(
+      HANDSHAKE_FINISHED,
+      options.finished || prf(masterSecret, 'client finished', this.hash(), 12)
+    );
+
+    this.sendRecord(CONTENT_HANDSHAKE, 1, finished);
+  }
+
+  hash() {
+    return crypto
+      .createHash('sha256')
+      .update(Buffer.concat(this.transcript))
+      .digest();
+  }
+
+  encrypt(type, seq, data) {
+    const explicitNonce = Buffer.concat([uint(1, 2), uint(seq, 6)]);
+    const cipher = crypto.createCipheriv(
+      'aes-128-gcm',
+      this.keys.clientKey,
+      Buffer.concat([this.keys.clientIV, explicitNonce])
+    );
+
+    cipher.setAAD(
+      Buffer.concat([
+        explicitNonce,
+        uint(type, 1),
+        uint(DTLS_1_2, 2),
+        uint(data.length, 2),
+      ])
+    );
+
+    const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([explicitNonce, encrypted, cipher.getAuthTag()]);
+  }
+
+  decrypt({ header, fragment }) {
+    const explicitNonce = fragment.slice(0, 8);
+    const encrypted = fragment.slice(8, fragment.length - 16);
+    const decipher = crypto.createDecipheriv(
+      'aes-128-gcm',
+      this.keys.serverKey,
+      Buffer.concat([this.keys.serverIV, explicitNonce])
+    );
+
+    decipher.setAAD(
+      Buffer.concat([
+        header.slice(3),
+        header.slice(0, 3),
+        uint(encrypted.length, 2),
+      ])
+    );
+    decipher.setAuthTag(fragment.slice(fragment.length - 16));
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+  }
+}
+
+/**
+ * Run the handshake up to the server flight.
+ * @param {object} socket
+ * @returns {{client: Client, flight: Map<number, Buffer>}}
+ */
+function startHandshake(socket) {
+  const client = new Client(socket);
+
+  socket.sent = [];
+  client.sendClientHello();
+
+  return { client, flight: client.receive(socket.sent) };
+}
+
+/**
+ * @param {Buffer[]} datagrams
+ * @returns {object[]} records of the datagrams
+ */
+function getRecords(datagrams) {
+  return datagrams.reduce(
+    (all, datagram) => all.concat(parseRecords(datagram)),
+    []
+  );
+}
+
+/**
+ * @param {Buffer[]} datagrams
+ * @returns {number[]} descriptions of plain text alerts
+ */
+function getAlerts(datagrams) {
+  return getRecords(datagrams)
+    .filter(item => item.type === CONTENT_ALERT && item.epoch === 0)
+    .map(item => item.fragment.readUInt8(1));
+}
+
+test('should complete handshake and exchange application data', async () => {
+  const { server, socket } = createServer();
+  const { client, flight } = startHandshake(socket);
+
+  expect(Array.from(flight.keys())).toEqual([
+    HANDSHAKE_SERVER_HELLO,
+    HANDSHAKE_CERTIFICATE,
+    HANDSHAKE_SERVER_KEY_EXCHANGE,
+    HANDSHAKE_CERTIFICATE_REQUEST,
+    HANDSHAKE_SERVER_HELLO_DONE,
+  ]);
+
+  const connected = nextEvent(server, 'connect');
+  socket.sent = [];
+  client.finish(flight);
+  await connected;
+
+  expect(server.connected).toBe(true);
+  expect(server.getPeerCertificate()).toEqual(
+    pem.decode(clientKeys.certificate)
+  );
+
+  // Server Finished is encrypted in epoch 1.
+  const [finished] = getRecords(socket.sent).filter(item => item.epoch === 1);
+  const [message] = parseHandshakes(client.decrypt(finished));
+
+  expect(message.type).toBe(HANDSHAKE_FINISHED);
+  expect(message.body).toEqual(
+    prf(client.keys.masterSecret, 'server finished', client.hash(), 12)
+  );
+
+  const data = nextEvent(server, 'data');
+  client.sendRecord(CONTENT_APPLICATION_DATA, 1, Buffer.from('ping'));
+  expect((await data).toString()).toBe('ping');
+
+  const sent = nextEvent(socket, 'sent');
+  server.write(Buffer.from('pong'));
+  const [response] = parseRecords(await sent);
+
+  expect(response.type).toBe(CONTENT_APPLICATION_DATA);
+  expect(client.decrypt(response).toString()).toBe('pong');
+});
+
+test('should reject certificate of the client by fingerprint', async () => {
+  const checkClientIdentity = jest.fn(() => false);
+  const { server, socket } = createServer({ checkClientIdentity });
+  const { client, flight } = startHandshake(socket);
+
+  const error = nextEvent(server, 'error');
+  socket.sent = [];
+  client.finish(flight);
+
+  expect((await error).message).toMatch('Invalid certificate');
+  expect(checkClientIdentity).toHaveBeenCalledWith(
+    pem.decode(clientKeys.certificate)
+  );
+  expect(getAlerts(socket.sent)).toEqual([ALERT_BAD_CERTIFICATE]);
+  expect(server.connected).toBe(false);
+});
+
+test('should reject invalid finished', async () => {
+  const { server, socket } = createServer();
+  const { client, flight } = startHandshake(socket);
+
+  const error = nextEvent(server, 'error');
+  const connect = jest.fn();
+  server.on('connect', connect);
+
+  socket.sent = [];
+  client.finish(flight, { finished: Buffer.alloc(12) });
+
+  expect((await error).message).toMatch('Invalid finished');
+  expect(getAlerts(socket.sent)).toEqual([ALERT_DECRYPT_ERROR]);
+  expect(connect).not.toHaveBeenCalled();
+});
+
+test('should reject certificate verify by another key', async () => {
+  const { server, socket } = createServer();
+  const { client, flight } = startHandshake(socket);
+  const { privateKey } = await generateCertificate();
+
+  const error = nextEvent(server, 'error');
+  socket.sent = [];
+  client.finish(flight, { privateKey });
+
+  expect((await error).message).toMatch('Invalid certificate verify');
+  expect(getAlerts(socket.sent)).toEqual([ALERT_DECRYPT_ERROR]);
+});
+
+test('should reassemble fragments of client hello', () => {
+  const { socket } = createServer();
+  const client = new Client(socket);
+
+  const message = client.createClientHello();
+  const body = message.slice(12);
+  const half = Math.floor(body.length / 2);
+
+  const first = handshake(
+    HANDSHAKE_CLIENT_HELLO,
+    0,
+    body.slice(0, half),
+    0,
+    body.length
+  );
+  const second = handshake(
+    HANDSHAKE_CLIENT_HELLO,
+    0,
+    body.slice(half),
+    half,
+    body.length
+  );
+
+  // Fragments are delivered out of order.
+  client.sendRecord(CONTENT_HANDSHAKE, 0, second);
+  expect(socket.sent).toEqual([]);
+
+  client.sendRecord(CONTENT_HANDSHAKE, 0, first);
+  expect(client.receive(socket.sent).has(HANDSHAKE_SERVER_HELLO_DONE)).toBe(
+    true
+  );
+});
+
+test('should reject client hello with SHA-1 signatures only', async () => {
+  const { server, socket } = createServer();
+  const client = new Client(socket);
+
+  const error = nextEvent(server, 'error');
+  client.sendRecord(
+    CONTENT_HANDSHAKE,
+    0,
+    client.createClientHello(createExtensions([0x0203]))
+  );
+
+  expect((await error).message).toMatch('No shared parameters');
+  expect(getAlerts(socket.sent)).toEqual([ALERT_HANDSHAKE_FAILURE]);
+});
+
+test('should sign with SHA-256 without signature algorithms', async () => {
+  const { server, socket } = createServer();
+  const client = new Client(socket);
+
+  client.sendRecord(
+    CONTENT_HANDSHAKE,
+    0,
+    client.createClientHello(createExtensions([]))
+  );
+
+  const flight = client.receive(socket.sent);
+  const params = flight.get(HANDSHAKE_SERVER_KEY_EXCHANGE);
+  const scheme = params.readUInt16BE(4 + params.readUInt8(3));
+
+  expect(scheme).toBe(ECDSA_SHA256);
+
+  const connected = nextEvent(server, 'connect');
+  client.finish(flight);
+  await connected;
+});
+
+test('should reject RSA client hello without signature algorithms', async () => {
+  const keys = await generateCertificate({ algorithm: 'RSA' });
+  const { server, socket } = createServer({
+    certificate: keys.certificate,
+    certificatePrivateKey: keys.privateKey,
+  });
+  const client = new Client(socket);
+
+  const error = nextEvent(server, 'error');
+  client.sendRecord(
+    CONTENT_HANDSHAKE,
+    0,
+    client.createClientHello(createExtensions([]), ECDHE_RSA_AES_128_GCM)
+  );
+
+  expect((await error).message).toMatch('No shared parameters');
+  expect(getAlerts(socket.sent)).toEqual([ALERT_HANDSHAKE_FAILURE]);
+});
+
+test('should not request SHA-1 signatures', () => {
+  const { socket } = createServer();
+  const { flight } = startHandshake(socket);
+
+  const request = flight.get(HANDSHAKE_CERTIFICATE_REQUEST);
+  const types = request.readUInt8(0);
+  const length = request.readUInt16BE(1 + types);
+  const schemes = [];
+
+  for (let i = 0; i < length; i += 2) {
+    schemes.push(request.readUInt16BE(3 + types + i));
+  }
+
+  expect(schemes).toContain(ECDSA_SHA256);
+  expect(schemes).not.toContain(0x0201);
+  expect(schemes).not.toContain(0x0203);
+});
+
+test('should retransmit the flight until timeout', () => {
+  jest.useFakeTimers();
+
+  const { server, socket } = createServer();
+  const client = new Client(socket);
+  const error = jest.fn();
+
+  server.on('error', error);
+  client.sendClientHello();
+
+  const flight = socket.sent.length;
+  expect(flight).toBeGreaterThan(0);
+
+  // Exponential back off from 1 second.
+  jest.advanceTimersByTime(999);
+  expect(socket.sent.length).toBe(flight);
+
+  jest.advanceTimersByTime(1);
+  expect(socket.sent.length).toBe(2 * flight);
+
+  jest.advanceTimersByTime(2000);
+  expect(socket.sent.length).toBe(3 * flight);
+
+  jest.advanceTimersByTime(4000 + 8000 + 16000 + 32000);
+  expect(socket.sent.length).toBe(7 * flight);
+  expect(error).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(64000);
+  expect(socket.sent.length).toBe(7 * flight);
+  expect(error).toHaveBeenCalledWith(new Error('DTLS handshake timeout'));
+});
+
+test('should retransmit the flight on retransmitted client hello', () => {
+  const { socket } = createServer();
+  const client = new Client(socket);
+
+  const clientHello = client.createClientHello();
+  client.sendRecord(CONTENT_HANDSHAKE, 0, clientHello);
+
+  const flight = socket.sent.length;
+  client.sendRecord(CONTENT_HANDSHAKE, 0, clientHello);
+
+  expect(socket.sent.length).toBe(2 * flight);
+});
+
+test('should not keep the process alive by retransmission', () => {
+  const spy = jest.spyOn(global, 'setTimeout');
+  const { socket } = createServer();
+
+  new Client(socket).sendClientHello();
+
+  const timer = spy.mock.results[spy.mock.results.length - 1].value;
+  spy.mockRestore();
+
+  expect(timer.hasRef()).toBe(false);
+});
+
+test('should drop replayed and forged records', async () => {
+  const { server, socket } = createServer();
+  const { client, flight } = startHandshake(socket);
+
+  const connected = nextEvent(server, 'connect');
+  client.finish(flight);
+  await connected;
+
+  const data = [];
+  server.on('data', chunk => data.push(chunk.toString()));
+
+  const datagram = client.sendRecord(
+    CONTENT_APPLICATION_DATA,
+    1,
+    Buffer.from('ping')
+  );
+
+  // Replay of the record.
+  client.send(datagram);
+
+  // The sequence number is authenticated.
+  const forged = Buffer.from(
+    client.sendRecord(CONTENT_APPLICATION_DATA, 1, Buffer.from('pong'))
+  );
+  forged.writeUIntBE(100, 5, 6);
+  client.send(forged);
+
+  await new Promise(resolve => setImmediate(resolve));
+
+  expect(data).toEqual(['ping', 'pong']);
+});
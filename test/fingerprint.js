@@ -0,0 +1,75 @@
+'use strict';
+
+const { createHash, randomBytes } = require('crypto');
+const fingerprint = require('../lib/fingerprint');
+
+// Fingerprints hash DER bytes as is, any content will do.
+const certificate = randomBytes(512);
+
+/**
+ * Fingerprint in the form of RFC 8122, section 5.
+ * @param {string} algorithm node name of the hash function
+ * @returns {string}
+ */
+function createHashString(algorithm) {
+  const hash = createHash(algorithm)
+    .update(certificate)
+    .digest('hex')
+    .toUpperCase();
+
+  return hash.match(/.{2}/g).join(':');
+}
+
+test.each([
+  ['sha-1', 'sha1'],
+  ['sha-224', 'sha224'],
+  ['sha-256', 'sha256'],
+  ['sha-384', 'sha384'],
+  ['sha-512', 'sha512'],
+])('should create %s fingerprint', (type, algorithm) => {
+  const hash = createHashString(algorithm);
+
+  expect(fingerprint(certificate, type)).toBe(hash);
+  expect(fingerprint(certificate, algorithm)).toBe(hash);
+  expect(fingerprint.verify(certificate, [{ type, hash }])).toBe(true);
+});
+
+test('should match any of the fingerprints', () => {
+  const fingerprints = [
+    { type: 'sha-256', hash: createHashString('sha256').replace(/^../, '00') },
+    { type: 'sha-384', hash: createHashString('sha384') },
+    { type: 'sha-512', hash: createHashString('sha512') },
+  ];
+
+  expect(fingerprint.verify(certificate, fingerprints)).toBe(true);
+  expect(fingerprint.verify(certificate, fingerprints.slice(0, 1))).toBe(false);
+  expect(fingerprint.verify(certificate, [])).toBe(false);
+});
+
+test('should match fingerprints case-insensitively', () => {
+  const hash = createHashString('sha512');
+
+  expect(
+    fingerprint.verify(certificate, [
+      { type: 'SHA-512', hash: hash.toLowerCase() },
+    ])
+  ).toBe(true);
+  expect(fingerprint.isSupported('SHA-384')).toBe(true);
+});
+
+test('should ignore unknown hash functions', () => {
+  const fingerprints = [
+    { type: 'md5', hash: createHashString('md5') },
+    { type: 'sha-3-256', hash: createHashString('sha3-256') },
+    { type: 'foo', hash: 'AB:CD' },
+  ];
+
+  expect(fingerprints.some(({ type }) => fingerprint.isSupported(type))).toBe(
+    false
+  );
+  expect(() => fingerprint.verify(certificate, fingerprints)).not.toThrow();
+  expect(fingerprint.verify(certificate, fingerprints)).toBe(false);
+
+  fingerprints.push({ type: 'sha-256', hash: createHashString('sha256') });
+  expect(fingerprint.verify(certificate, fingerprints)).toBe(true);
+});
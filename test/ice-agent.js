@@ -0,0 +1,576 @@
+'use strict';
+
+const Emitter = require('events');
+const stun = require('stun');
+const IceAgent = require('../lib/ice-agent');
+const { createUsername, createPassword } = require('../lib/ice-util');
+const { getErrorCode, validateErrorIntegrity } = require('../lib/stun-util');
+const { codes: errorCodes } = require('../lib/errors');
+
+const {
+  STUN_BINDING_REQUEST,
+  STUN_BINDING_RESPONSE,
+  STUN_ATTR_USERNAME,
+  STUN_ATTR_XOR_MAPPED_ADDRESS,
+  STUN_ATTR_ICE_CONTROLLING,
+  STUN_ATTR_ICE_CONTROLLED,
+  STUN_ATTR_PRIORITY,
+  STUN_CODE_BAD_REQUEST,
+  STUN_CODE_UNAUTHORIZED,
+  STUN_CODE_ROLE_CONFLICT,
+  STUN_EVENT_BINDING_REQUEST,
+  STUN_EVENT_BINDING_RESPONSE,
+  STUN_EVENT_BINDING_ERROR_RESPONSE,
+} = stun.constants;
+
+jest.setTimeout(20e3);
+
+/**
+ * UDP network in memory. Datagrams are delivered by timers,
+ * so fake timers control the agents completely.
+ */
+class Network {
+  constructor() {
+    this.sockets = new Map();
+    this.nextPort = 10000;
+
+    // Drop datagrams for which it returns true.
+    this.drop = () => false;
+  }
+
+  /**
+   * @param {string} [address]
+   * @returns {Emitter} socket like `dgram.Socket`
+   */
+  createSocket(address = '127.0.0.1') {
+    const socket = new Emitter();
+    const port = this.nextPort;
+    const key = `${address}:${port}`;
+
+    this.nextPort += 1;
+    this.sockets.set(key, socket);
+
+    socket.sent = 0;
+    socket.address = () => ({ address, port, family: 'IPv4' });
+
+    socket.send = (data, remotePort, remoteAddress) => {
+      const target = this.sockets.get(`${remoteAddress}:${remotePort}`);
+      const rinfo = { address, port, family: 'IPv4', size: data.length };
+
+      socket.sent += 1;
+
+      if (target !== undefined && !this.drop(rinfo)) {
+        setTimeout(() => target.emit('message', data, rinfo), 1);
+      }
+    };
+
+    return socket;
+  }
+}
+
+let agents = [];
+let network = null;
+
+beforeEach(() => {
+  network = new Network();
+});
+
+afterEach(() => {
+  agents.forEach(agent => agent.stop());
+  agents = [];
+
+  jest.useRealTimers();
+});
+
+/**
+ * Create the agent with a host candidate.
+ * @param {object} [options]
+ * @returns {object}
+ */
+function createAgent(options = {}) {
+  const username = createUsername();
+  const password = createPassword();
+  const agent = new IceAgent(Object.assign({ username, password }, options));
+  const socket = network.createSocket();
+
+  const local = {
+    type: 'host',
+    ip: '127.0.0.1',
+    port: socket.address().port,
+    priority: 2130706431,
+    foundation: '1',
+    component: 1,
+    transport: 'udp',
+  };
+
+  agent.addSocket(socket, local);
+  agent.addLocalCandidate(local);
+  agents.push(agent);
+
+  return { agent, username, password, local, socket };
+}
+
+/**
+ * Exchange credentials and candidates of the agents and start checks.
+ * @param {object} first
+ * @param {object} second
+ */
+function startChecks(first, second) {
+  first.agent.setRemoteCredentials(second.username, second.password);
+  second.agent.setRemoteCredentials(first.username, first.password);
+
+  first.agent.addRemoteCandidate(second.local);
+  second.agent.addRemoteCandidate(first.local);
+
+  first.agent.start();
+  second.agent.start();
+}
+
+function nextEvent(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+/**
+ * Handle checks of the agent with credentials of the peer,
+ * as the peer does on its new address.
+ * @param {dgram.Socket} socket
+ * @param {object} peer the agent the socket belongs to
+ * @returns {stun.StunServer}
+ */
+function answerChecks(socket, peer) {
+  const server = stun.createServer(socket);
+
+  server.on(STUN_EVENT_BINDING_REQUEST, (req, rinfo) => {
+    const response = stun.createMessage(
+      STUN_BINDING_RESPONSE,
+      req.transactionId
+    );
+
+    response.addAttribute(
+      STUN_ATTR_XOR_MAPPED_ADDRESS,
+      rinfo.address,
+      rinfo.port
+    );
+    response.addMessageIntegrity(peer.password);
+    response.addFingerprint();
+
+    server.send(response, rinfo.port, rinfo.address);
+  });
+
+  return server;
+}
+
+/**
+ * Create connectivity check of the peer to the agent.
+ * @param {object} agent
+ * @param {object} peer
+ * @param {object} [options]
+ * @param {string} [options.password] MESSAGE-INTEGRITY key
+ * @param {string|null} [options.username] USERNAME, omitted if `null`
+ * @param {boolean} [options.controlling] role of the peer
+ * @param {Buffer} [options.tieBreaker] tie-breaker of the peer
+ * @returns {stun.StunMessage}
+ */
+function createCheck(agent, peer, options = {}) {
+  const {
+    password = agent.password,
+    username = `${agent.username}:${peer.username}`,
+    controlling = true,
+    tieBreaker = peer.agent.tieBreaker,
+  } = options;
+  const request = stun.createMessage(STUN_BINDING_REQUEST);
+
+  if (username !== null) {
+    request.addAttribute(STUN_ATTR_USERNAME, username);
+  }
+
+  request.addAttribute(
+    controlling ? STUN_ATTR_ICE_CONTROLLING : STUN_ATTR_ICE_CONTROLLED,
+    tieBreaker
+  );
+  request.addAttribute(STUN_ATTR_PRIORITY, 1853824767);
+  request.addMessageIntegrity(password);
+  request.addFingerprint();
+
+  return request;
+}
+
+/**
+ * Send connectivity check from the peer to the agent.
+ * @param {stun.StunServer} server
+ * @param {object} agent
+ * @param {object} peer
+ * @param {object} [options] options of `createCheck()`
+ * @returns {Promise<stun.StunMessage>} response of the agent
+ */
+function sendCheck(server, agent, peer, options = {}) {
+  const request = createCheck(agent, peer, options);
+
+  server.send(request, agent.local.port, agent.local.ip);
+
+  return new Promise(resolve => {
+    server.once(STUN_EVENT_BINDING_RESPONSE, resolve);
+    server.once(STUN_EVENT_BINDING_ERROR_RESPONSE, resolve);
+  });
+}
+
+/**
+ * Deliver the datagram to the agent synchronously,
+ * invalid checks must not throw.
+ * @param {object} agent
+ * @param {Buffer} data
+ * @param {Emitter} socket the datagram comes from
+ */
+function receive(agent, data, socket) {
+  const { address, port } = socket.address();
+  const rinfo = { address, port, family: 'IPv4', size: data.length };
+
+  expect(() => agent.socket.emit('message', data, rinfo)).not.toThrow();
+}
+
+/**
+ * Collect `requesterror` events of the agent.
+ * @param {IceAgent} agent
+ * @returns {Error[]}
+ */
+function captureErrors(agent) {
+  const errors = [];
+
+  agent.on('requesterror', err => errors.push(err));
+  return errors;
+}
+
+/**
+ * Connect the agents in the same role and check that
+ * the one with the larger tie-breaker controls, RFC 8445, section 7.3.1.1.
+ * @param {boolean} controlling initial role of both agents
+ */
+async function resolveRoleConflict(controlling) {
+  const first = createAgent({ controlling });
+  const second = createAgent({ controlling });
+
+  const [winner, loser] =
+    Buffer.compare(first.agent.tieBreaker, second.agent.tieBreaker) > 0
+      ? [first, second]
+      : [second, first];
+
+  const selected = Promise.all([
+    nextEvent(first.agent, 'selectedpair'),
+    nextEvent(second.agent, 'selectedpair'),
+  ]);
+
+  startChecks(first, second);
+
+  const [firstPair, secondPair] = await selected;
+
+  expect(winner.agent.controlling).toBe(true);
+  expect(loser.agent.controlling).toBe(false);
+
+  expect(firstPair.remote.port).toBe(second.local.port);
+  expect(secondPair.remote.port).toBe(first.local.port);
+}
+
+test('should follow the peer to a new address', async () => {
+  const controlling = createAgent();
+  const controlled = createAgent({ controlling: false });
+
+  const selected = nextEvent(controlled.agent, 'selectedpair');
+  startChecks(controlling, controlled);
+  expect((await selected).remote.ip).toBe('127.0.0.1');
+
+  // The peer has moved to another address.
+  const socket = network.createSocket('127.0.0.2');
+  const server = answerChecks(socket, controlling);
+
+  const moved = nextEvent(controlled.agent, 'selectedpair');
+  const response = await sendCheck(server, controlled, controlling);
+  const pair = await moved;
+
+  expect(response.type).toBe(STUN_BINDING_RESPONSE);
+  expect(pair.remote).toMatchObject({
+    ip: '127.0.0.2',
+    port: socket.address().port,
+    type: 'prflx',
+  });
+  expect(controlled.agent.selectedPair).toBe(pair);
+});
+
+test('should not follow unauthenticated checks', async () => {
+  const controlling = createAgent();
+  const controlled = createAgent({ controlling: false });
+
+  const selected = nextEvent(controlled.agent, 'selectedpair');
+  startChecks(controlling, controlled);
+  const pair = await selected;
+
+  // New port of the same address.
+  const socket = network.createSocket();
+  const server = answerChecks(socket, controlling);
+
+  const response = await sendCheck(server, controlled, controlling, {
+    password: createPassword(),
+  });
+
+  expect(response.type).not.toBe(STUN_BINDING_RESPONSE);
+
+  await new Promise(resolve => setTimeout(resolve, 200));
+  expect(controlled.agent.selectedPair).toBe(pair);
+});
+
+test('should expire consent when the peer stops responding', () => {
+  jest.useFakeTimers();
+
+  const controlling = createAgent();
+  const controlled = createAgent({ controlling: false });
+
+  startChecks(controlling, controlled);
+  jest.advanceTimersByTime(1000);
+
+  expect(controlling.agent.selectedPair).not.toBe(null);
+
+  const events = [];
+  const { agent, socket } = controlling;
+
+  agent.on('disconnected', () => events.push('disconnected'));
+  agent.on('consentexpired', () => events.push('consentexpired'));
+
+  // Responses of the peer are lost.
+  network.drop = rinfo => rinfo.port === controlled.local.port;
+
+  jest.advanceTimersByTime(10e3);
+  expect(events).toEqual(['disconnected']);
+
+  jest.advanceTimersByTime(20e3);
+  expect(events).toEqual(['disconnected', 'consentexpired']);
+
+  // No more checks after the consent is expired.
+  const { sent } = socket;
+  jest.advanceTimersByTime(60e3);
+
+  expect(socket.sent).toBe(sent);
+});
+
+test('should reject the check of controlling peer with smaller tie-breaker', async () => {
+  const agent = createAgent();
+  const peer = createAgent();
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const roles = [];
+  agent.agent.on('rolechange', role => roles.push(role));
+
+  const server = answerChecks(network.createSocket(), peer);
+  const response = await sendCheck(server, agent, peer, {
+    tieBreaker: Buffer.alloc(8, 0),
+  });
+
+  expect(getErrorCode(response)).toBe(STUN_CODE_ROLE_CONFLICT);
+  expect(validateErrorIntegrity(response, agent.password)).toBe(true);
+  expect(agent.agent.controlling).toBe(true);
+  expect(roles).toEqual([]);
+});
+
+test('should yield to controlling peer with larger tie-breaker', async () => {
+  const agent = createAgent();
+  const peer = createAgent();
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const roles = [];
+  agent.agent.on('rolechange', role => roles.push(role));
+
+  const server = answerChecks(network.createSocket(), peer);
+  const response = await sendCheck(server, agent, peer, {
+    tieBreaker: Buffer.alloc(8, 0xff),
+  });
+
+  expect(response.type).toBe(STUN_BINDING_RESPONSE);
+  expect(agent.agent.controlling).toBe(false);
+  expect(roles).toEqual(['controlled']);
+});
+
+test('should take control from controlled peer with smaller tie-breaker', async () => {
+  const agent = createAgent({ controlling: false });
+  const peer = createAgent({ controlling: false });
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const server = answerChecks(network.createSocket(), peer);
+  const response = await sendCheck(server, agent, peer, {
+    controlling: false,
+    tieBreaker: Buffer.alloc(8, 0),
+  });
+
+  expect(response.type).toBe(STUN_BINDING_RESPONSE);
+  expect(agent.agent.controlling).toBe(true);
+});
+
+test('should reject the check of controlled peer with larger tie-breaker', async () => {
+  const agent = createAgent({ controlling: false });
+  const peer = createAgent({ controlling: false });
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const server = answerChecks(network.createSocket(), peer);
+  const response = await sendCheck(server, agent, peer, {
+    controlling: false,
+    tieBreaker: Buffer.alloc(8, 0xff),
+  });
+
+  expect(getErrorCode(response)).toBe(STUN_CODE_ROLE_CONFLICT);
+  expect(validateErrorIntegrity(response, agent.password)).toBe(true);
+  expect(agent.agent.controlling).toBe(false);
+});
+
+test('should resolve role conflict of controlling agents', () =>
+  resolveRoleConflict(true));
+
+test('should resolve role conflict of controlled agents', () =>
+  resolveRoleConflict(false));
+
+test('should reject check without USERNAME', async () => {
+  const agent = createAgent();
+  const peer = createAgent();
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const errors = captureErrors(agent.agent);
+  const socket = network.createSocket();
+  const server = answerChecks(socket, peer);
+  const response = nextEvent(server, STUN_EVENT_BINDING_ERROR_RESPONSE);
+
+  const request = createCheck(agent, peer, { username: null });
+  receive(agent, request.toBuffer(), socket);
+
+  expect(getErrorCode(await response)).toBe(STUN_CODE_BAD_REQUEST);
+  expect(errors).toHaveLength(1);
+  expect(errors[0].code).toBe(errorCodes.ERR_STUN);
+  expect(errors[0].message).toMatch('Missing USERNAME');
+});
+
+test('should reject check with invalid MESSAGE-INTEGRITY', async () => {
+  const agent = createAgent();
+  const peer = createAgent();
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const errors = captureErrors(agent.agent);
+  const socket = network.createSocket();
+  const server = answerChecks(socket, peer);
+  const response = nextEvent(server, STUN_EVENT_BINDING_ERROR_RESPONSE);
+
+  const request = createCheck(agent, peer, { password: createPassword() });
+  receive(agent, request.toBuffer(), socket);
+
+  expect(getErrorCode(await response)).toBe(STUN_CODE_UNAUTHORIZED);
+  expect(errors).toHaveLength(1);
+  expect(errors[0].code).toBe(errorCodes.ERR_STUN);
+  expect(errors[0].message).toMatch('MESSAGE-INTEGRITY');
+  expect(agent.agent.selectedPair).toBe(null);
+});
+
+test('should reject check of unknown peer', async () => {
+  const agent = createAgent();
+  const peer = createAgent();
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const errors = captureErrors(agent.agent);
+  const socket = network.createSocket();
+  const server = answerChecks(socket, peer);
+  const response = nextEvent(server, STUN_EVENT_BINDING_ERROR_RESPONSE);
+
+  // Only the local part of USERNAME is right.
+  const request = createCheck(agent, peer, {
+    username: `${agent.username}:${createUsername()}`,
+  });
+  receive(agent, request.toBuffer(), socket);
+
+  expect(getErrorCode(await response)).toBe(STUN_CODE_UNAUTHORIZED);
+  expect(errors.map(({ code }) => code)).toEqual([errorCodes.ERR_STUN]);
+});
+
+test('should drop check with invalid FINGERPRINT', async () => {
+  const agent = createAgent();
+  const peer = createAgent();
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  const errors = captureErrors(agent.agent);
+  const socket = network.createSocket();
+  answerChecks(socket, peer);
+
+  const data = createCheck(agent, peer).toBuffer();
+  data.fill(0, data.length - 4);
+  receive(agent, data, socket);
+
+  expect(errors).toHaveLength(1);
+  expect(errors[0].code).toBe(errorCodes.ERR_STUN);
+  expect(errors[0].message).toMatch('Invalid FINGERPRINT');
+
+  await new Promise(resolve => setTimeout(resolve, 100));
+  expect(agent.socket.sent).toBe(0);
+});
+
+test('should defer triggered checks before the remote description', async () => {
+  const agent = createAgent();
+  const peer = createAgent();
+  const impostor = createAgent();
+
+  const socket = network.createSocket();
+  const server = answerChecks(socket, peer);
+  const response = nextEvent(server, STUN_EVENT_BINDING_RESPONSE);
+
+  // The peers are controlled to avoid role conflicts.
+  const options = { controlling: false };
+
+  receive(agent, createCheck(agent, peer, options).toBuffer(), socket);
+  receive(agent, createCheck(agent, impostor, options).toBuffer(), socket);
+
+  expect((await response).type).toBe(STUN_BINDING_RESPONSE);
+  expect(agent.agent.checklist.length).toBe(0);
+
+  agent.agent.setRemoteCredentials(peer.username, peer.password);
+
+  // Only the check with USERNAME of the peer is triggered.
+  expect(agent.agent.checklist.pairs).toHaveLength(1);
+  expect(agent.agent.checklist.pairs[0].remote).toMatchObject({
+    ip: '127.0.0.1',
+    port: socket.address().port,
+    type: 'prflx',
+  });
+});
+
+test.each([
+  ['without remote ufrag', ufrag => `${ufrag}:`],
+  ['with extra parts', ufrag => `${ufrag}:abcd:efgh`],
+  ['with invalid remote ufrag', ufrag => `${ufrag}:ab`],
+  ['with longer local ufrag', ufrag => `${ufrag}x:abcd`],
+])(
+  'should reject check before the remote description %s',
+  async (name, createUsernameAttr) => {
+    const agent = createAgent();
+    const peer = createAgent();
+
+    const errors = captureErrors(agent.agent);
+    const socket = network.createSocket();
+    const server = answerChecks(socket, peer);
+    const response = nextEvent(server, STUN_EVENT_BINDING_ERROR_RESPONSE);
+
+    const request = createCheck(agent, peer, {
+      username: createUsernameAttr(agent.username),
+    });
+    receive(agent, request.toBuffer(), socket);
+
+    expect(getErrorCode(await response)).toBe(STUN_CODE_UNAUTHORIZED);
+    expect(errors.map(({ code }) => code)).toEqual([errorCodes.ERR_STUN]);
+  }
+);
+
+test('should ignore malformed datagrams', () => {
+  const agent = createAgent();
+  const errors = captureErrors(agent.agent);
+
+  receive(agent, Buffer.from('not a stun message'), network.createSocket());
+  expect(errors).toEqual([]);
+});
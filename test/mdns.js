@@ -0,0 +1,156 @@
+'use strict';
+
+const Emitter = require('events');
+const Mdns = require('../lib/mdns');
+
+const NAME = '1f0e5c3a-0f8b-4c1e-9a57-2c4b1d6e8f90.local';
+
+let sockets = [];
+
+afterEach(() => {
+  sockets = [];
+  jest.useRealTimers();
+});
+
+/**
+ * `multicast-dns` stand-in, queries are recorded.
+ * @returns {Emitter}
+ */
+function createSocket() {
+  const socket = new Emitter();
+
+  socket.queries = [];
+  socket.destroyed = false;
+
+  socket.query = questions => socket.queries.push(questions);
+  socket.respond = response => socket.emit('responded', response);
+  socket.destroy = () => {
+    socket.destroyed = true;
+  };
+
+  sockets.push(socket);
+  return socket;
+}
+
+function answer(socket, name, data, ttl = 120) {
+  socket.emit('response', {
+    answers: [{ name, type: 'A', ttl, data }],
+  });
+}
+
+test('should resolve the name and cache the address', async () => {
+  const mdns = new Mdns({ createSocket });
+  const resolved = mdns.resolve(NAME);
+
+  const [socket] = sockets;
+
+  expect(socket.queries).toEqual([
+    [{ name: NAME, type: 'A' }, { name: NAME, type: 'AAAA' }],
+  ]);
+
+  answer(socket, NAME.toUpperCase(), '192.168.1.10');
+
+  await expect(resolved).resolves.toBe('192.168.1.10');
+  await expect(mdns.resolve(NAME)).resolves.toBe('192.168.1.10');
+
+  expect(socket.queries).toHaveLength(1);
+  mdns.close();
+});
+
+test('should share the query of the same name', async () => {
+  const mdns = new Mdns({ createSocket });
+  const first = mdns.resolve(NAME);
+  const second = mdns.resolve(NAME);
+
+  const [socket] = sockets;
+  answer(socket, NAME, '192.168.1.10');
+
+  await expect(Promise.all([first, second])).resolves.toEqual([
+    '192.168.1.10',
+    '192.168.1.10',
+  ]);
+  expect(socket.queries).toHaveLength(1);
+
+  mdns.close();
+});
+
+test('should repeat the query and fail after the timeout', async () => {
+  jest.useFakeTimers();
+
+  const mdns = new Mdns({ createSocket, timeout: 2500 });
+  const resolved = mdns.resolve(NAME);
+
+  jest.advanceTimersByTime(2500);
+
+  await expect(resolved).rejects.toThrow(`Unable to resolve ${NAME}`);
+  expect(sockets[0].queries).toHaveLength(3);
+
+  // Nothing is sent after the failure.
+  jest.advanceTimersByTime(5e3);
+  expect(sockets[0].queries).toHaveLength(3);
+
+  mdns.close();
+});
+
+test('should not cache expired addresses', async () => {
+  const mdns = new Mdns({ createSocket });
+  const resolved = mdns.resolve(NAME);
+
+  answer(sockets[0], NAME, '192.168.1.10', 0);
+  await resolved;
+
+  const again = mdns.resolve(NAME);
+  answer(sockets[0], NAME, '192.168.1.11');
+
+  await expect(again).resolves.toBe('192.168.1.11');
+  expect(sockets[0].queries).toHaveLength(2);
+
+  mdns.close();
+});
+
+test('should fail pending queries on socket error', async () => {
+  const mdns = new Mdns({ createSocket });
+  const resolved = mdns.resolve(NAME);
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sockets[0].emit('error', new Error('EADDRINUSE'));
+
+  await expect(resolved).rejects.toThrow('mDNS is closed');
+  expect(sockets[0].destroyed).toBe(true);
+
+  // The next query opens a new socket.
+  mdns.resolve(NAME).catch(() => {});
+  expect(sockets).toHaveLength(2);
+
+  mdns.close();
+  console.log.mockRestore();
+});
+
+test('should answer queries of the published name', () => {
+  const mdns = new Mdns({ createSocket });
+  const name = mdns.publish('192.168.1.20');
+
+  const [socket] = sockets;
+  const responses = [];
+
+  socket.on('responded', response => responses.push(response));
+  socket.emit('query', { questions: [{ name, type: 'A' }] });
+  socket.emit('query', { questions: [{ name, type: 'AAAA' }] });
+
+  expect(name).toMatch(
+    /^[\da-f]{8}-[\da-f]{4}-4[\da-f]{3}-[89ab][\da-f]{3}-[\da-f]{12}\.local$/
+  );
+  expect(responses).toEqual([
+    {
+      answers: [
+        { name, type: 'A', ttl: 120, flush: true, data: '192.168.1.20' },
+      ],
+    },
+  ]);
+
+  mdns.unpublish(name);
+  socket.emit('query', { questions: [{ name, type: 'A' }] });
+
+  expect(responses).toHaveLength(1);
+  mdns.close();
+});
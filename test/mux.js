@@ -0,0 +1,181 @@
+'use strict';
+
+const dgram = require('dgram');
+const stun = require('stun');
+const nodertc = require('..');
+const UdpMux = require('../lib/udp-mux');
+
+const { STUN_BINDING_REQUEST, STUN_ATTR_USERNAME } = stun.constants;
+
+jest.setTimeout(20e3);
+
+let instances = [];
+let mux = null;
+let client = null;
+
+afterEach(() => {
+  instances.forEach(webrtc => webrtc.close());
+  instances = [];
+
+  if (mux !== null) {
+    mux.close();
+    mux = null;
+  }
+
+  if (client !== null) {
+    client.close();
+    client = null;
+  }
+});
+
+async function start(options = {}) {
+  const webrtc = nodertc(
+    Object.assign(
+      {
+        interfaces: { include: [/^lo/] },
+        addresses: { include: ['127.0.0.0/8'] },
+      },
+      options
+    )
+  );
+
+  await webrtc.start();
+  instances.push(webrtc);
+
+  return webrtc;
+}
+
+function nextEvent(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+async function createMux() {
+  mux = new UdpMux({
+    port: await getFreePort(),
+    addresses: [{ address: '127.0.0.1', family: 'IPv4' }],
+  });
+  await mux.listen();
+
+  client = dgram.createSocket('udp4');
+  await new Promise(resolve => client.bind(0, '127.0.0.1', resolve));
+
+  return mux;
+}
+
+// Unauthenticated binding request with the given USERNAME.
+function sendRequest(username) {
+  const request = stun.createMessage(STUN_BINDING_REQUEST);
+
+  request.addAttribute(STUN_ATTR_USERNAME, username);
+  client.send(request.toBuffer(), mux.port, '127.0.0.1');
+}
+
+function collect(socket) {
+  const messages = [];
+
+  socket.on('message', data => messages.push(data));
+  return messages;
+}
+
+function getFreePort() {
+  const socket = dgram.createSocket('udp4');
+
+  return new Promise(resolve => {
+    socket.bind(0, '127.0.0.1', () => {
+      const { port } = socket.address();
+      socket.close(() => resolve(port));
+    });
+  });
+}
+
+test('should release shared port on close', async () => {
+  const port = await getFreePort();
+
+  const webrtc = await start({ port });
+
+  const session = webrtc.createSession();
+  await session.createOffer();
+
+  webrtc.close();
+
+  expect(session.connectionState).toBe('closed');
+  expect(webrtc.size).toBe(0);
+
+  // The port is free once the sockets are closed.
+  await new Promise(resolve => setImmediate(resolve));
+  const restarted = await start({ port });
+
+  expect(restarted.createSession()).toBeDefined();
+});
+
+test('should open channel with session of the shared port', async () => {
+  const webrtc = await start({ port: await getFreePort() });
+  const peer = await start();
+
+  const offerer = peer.createSession();
+  const answerer = webrtc.createSession();
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+
+  const incoming = nextEvent(answerer, 'channel');
+  const channel = await offerer.createDataChannel('chat');
+  const peerChannel = await incoming;
+
+  const request = nextEvent(peerChannel, 'message');
+  channel.send('ping');
+  expect((await request).toString()).toBe('ping');
+});
+
+test('should reject used ICE username fragment', async () => {
+  await createMux();
+
+  const first = mux.createSocket('127.0.0.1', 'abcd');
+  const second = mux.createSocket('127.0.0.1', 'efgh');
+
+  expect(() => mux.createSocket('127.0.0.1', 'abcd')).toThrow(
+    'ICE username fragment abcd is in use'
+  );
+  expect(() => second.setUsername('abcd')).toThrow(
+    'ICE username fragment abcd is in use'
+  );
+  expect(mux.hasUsername('abcd')).toBe(true);
+  expect(mux.createUsername()).not.toMatch(/^(abcd|efgh)$/);
+
+  first.close();
+  expect(mux.hasUsername('abcd')).toBe(false);
+});
+
+test('should not route by unauthenticated requests', async () => {
+  await createMux();
+
+  const session = mux.createSocket('127.0.0.1', 'abcd');
+  const other = mux.createSocket('127.0.0.1', 'efgh');
+  const messages = collect(session);
+  const otherMessages = collect(other);
+
+  sendRequest('efgh:peer');
+  await nextEvent(other, 'message');
+
+  // DTLS record of the peer isn't routed by the request.
+  client.send(Buffer.from([22, 254, 253]), mux.port, '127.0.0.1');
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  expect(otherMessages).toHaveLength(1);
+  expect(messages).toHaveLength(0);
+
+  // The session has validated the peer, e.g. selected the pair.
+  session.addRoute('127.0.0.1', client.address().port);
+  client.send(Buffer.from([22, 254, 253]), mux.port, '127.0.0.1');
+  await nextEvent(session, 'message');
+
+  sendRequest('efgh:peer');
+  await nextEvent(other, 'message');
+
+  client.send(Buffer.from([22, 254, 253]), mux.port, '127.0.0.1');
+  await nextEvent(session, 'message');
+
+  expect(messages).toHaveLength(2);
+  expect(otherMessages).toHaveLength(2);
+});
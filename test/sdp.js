@@ -0,0 +1,311 @@
+'use strict';
+
+const sdp = require('../lib/sdp');
+const { candidatePriority, candidateFoundation } = require('../lib/ice-util');
+
+const fingerprints = [
+  {
+    type: 'sha-256',
+    hash:
+      '6B:8B:F0:65:5F:78:E2:51:3B:AC:6F:F3:3F:46:1B:35:DC:B8:5F:64:1A:24:C2:43:F0:A1:58:D0:A1:2C:19:08',
+  },
+];
+
+// Offer of a browser with audio and video besides the data channel.
+const browserOffer = [
+  'v=0',
+  'o=- 4611731400430051336 2 IN IP4 127.0.0.1',
+  's=-',
+  't=0 0',
+  'a=group:BUNDLE 0 1 2',
+  'a=msid-semantic: WMS',
+  'm=audio 9 UDP/TLS/RTP/SAVPF 111 0',
+  'c=IN IP4 0.0.0.0',
+  'a=mid:0',
+  'a=sendrecv',
+  'a=rtpmap:111 opus/48000/2',
+  'a=rtpmap:0 PCMU/8000',
+  'm=video 9 UDP/TLS/RTP/SAVPF 96',
+  'c=IN IP4 0.0.0.0',
+  'a=mid:1',
+  'a=sendrecv',
+  'a=rtpmap:96 VP8/90000',
+  'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+  'c=IN IP4 0.0.0.0',
+  'a=ice-ufrag:EsAw',
+  'a=ice-pwd:P2uYro0UCOQ4zxjKXaWCBui1',
+  `a=fingerprint:sha-256 ${fingerprints[0].hash}`,
+  'a=setup:actpass',
+  'a=mid:2',
+  'a=sctp-port:5000',
+  '',
+].join('\r\n');
+
+/**
+ * Options of `sdp.create()` with the host candidates of the addresses.
+ * @param {string[]} addresses
+ * @returns {object}
+ */
+function createOptions(addresses) {
+  return {
+    sessionId: '1234567890',
+    sessionVersion: 1,
+    username: 'abcd',
+    password: 'abcdefghijklmnopqrstuv',
+    fingerprints,
+    mid: '0',
+    candidates: addresses.map((ip, i) => ({
+      ip,
+      port: 50000 + i,
+      type: 'host',
+      priority: 2130706431 - i,
+      foundation: `${i + 1}`,
+    })),
+  };
+}
+
+test('should use IPv6 connection address for IPv6 candidates', () => {
+  const description = sdp.create(createOptions(['::1', '2001:db8::1']));
+
+  expect(description).toMatch('o=- 1234567890 1 IN IP6 ::1\r\n');
+  expect(description).toMatch('c=IN IP6 ::\r\n');
+  expect(description).toMatch(
+    'a=candidate:1 1 udp 2130706431 ::1 50000 typ host\r\n'
+  );
+  expect(description).toMatch(
+    'a=candidate:2 1 udp 2130706430 2001:db8::1 50001 typ host\r\n'
+  );
+});
+
+test('should use IPv4 connection address for mixed candidates', () => {
+  const description = sdp.create(createOptions(['::1', '127.0.0.1']));
+
+  expect(description).toMatch('o=- 1234567890 1 IN IP4 127.0.0.1\r\n');
+  expect(description).toMatch('c=IN IP4 0.0.0.0\r\n');
+  expect(description).toMatch(' ::1 50000 typ host\r\n');
+  expect(description).toMatch(' 127.0.0.1 50001 typ host\r\n');
+});
+
+test('should parse IPv6 offer', () => {
+  const description = sdp.parse(
+    sdp.create(createOptions(['::1', '2001:db8::1']))
+  );
+  const [media] = description.media;
+
+  expect(media.connection).toEqual({ version: 6, ip: '::' });
+  expect(media.candidates.map(({ ip }) => ip)).toEqual(['::1', '2001:db8::1']);
+});
+
+test('should parse IPv6 candidate', () => {
+  const candidate = sdp.parseCandidate(
+    'a=candidate:1 1 udp 2130706431 2001:db8::1 50000 typ host'
+  );
+
+  expect(candidate).toMatchObject({ ip: '2001:db8::1', port: 50000 });
+});
+
+test('should answer each media section of the offer', () => {
+  const { media } = sdp.parse(browserOffer);
+  const mediadata = media.find(item => item.type === 'application');
+
+  const description = sdp.create(
+    Object.assign(createOptions(['127.0.0.1']), {
+      mid: mediadata.mid,
+      rejected: media.filter(item => item !== mediadata),
+      index: media.indexOf(mediadata),
+    })
+  );
+  const answer = sdp.parse(description);
+
+  expect(
+    description.split('\r\n').filter(line => line.startsWith('m='))
+  ).toEqual([
+    'm=audio 0 UDP/TLS/RTP/SAVPF 111 0',
+    'm=video 0 UDP/TLS/RTP/SAVPF 96',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+  ]);
+  expect(answer.media.map(({ mid }) => mid)).toEqual([0, 1, 2]);
+  expect(description).toMatch('a=group:BUNDLE 2\r\n');
+
+  // Only the data channel is negotiated.
+  expect(answer.media[0].iceUfrag).toBeUndefined();
+  expect(answer.media[0].candidates).toBeUndefined();
+  expect(answer.media[2].iceUfrag).toBe('abcd');
+  expect(answer.media[2].candidates).toHaveLength(1);
+});
+
+test('should keep position of the data channel media section', () => {
+  const description = sdp.create(
+    Object.assign(createOptions(['127.0.0.1']), {
+      mid: 'data',
+      rejected: [
+        {
+          type: 'audio',
+          protocol: 'UDP/TLS/RTP/SAVPF',
+          payloads: '111',
+          mid: 'audio',
+        },
+      ],
+      index: 1,
+    })
+  );
+
+  const lines = description.split('\r\n');
+  const sections = lines.filter(line => line.startsWith('m='));
+
+  expect(sections).toEqual([
+    'm=audio 0 UDP/TLS/RTP/SAVPF 111',
+    'm=application 9 UDP/DTLS/SCTP webrtc-datachannel',
+  ]);
+  expect(lines).toContain('a=group:BUNDLE data');
+  expect(lines.indexOf('a=mid:audio')).toBeLessThan(
+    lines.indexOf('m=application 9 UDP/DTLS/SCTP webrtc-datachannel')
+  );
+});
+
+test('should not bundle the data channel of unbundled offer', () => {
+  const description = sdp.create(
+    Object.assign(createOptions(['127.0.0.1']), { bundle: false })
+  );
+
+  expect(description).not.toMatch('a=group:BUNDLE');
+  expect(description).toMatch('a=mid:0\r\n');
+});
+
+test('should write priority and foundation of candidates', () => {
+  const candidates = ['127.0.0.1', '127.0.0.2'].map((ip, i) => ({
+    ip,
+    port: 50000 + i,
+    type: 'host',
+    priority: candidatePriority('host', 65535 - i),
+    foundation: candidateFoundation('host', ip),
+  }));
+
+  const description = sdp.create(
+    Object.assign(createOptions([]), { candidates })
+  );
+  const [first, second] = sdp.parse(description).media[0].candidates;
+
+  // Type preference 126, local preference 65535 and component 1.
+  expect(first).toMatchObject({ priority: 2130706431, component: 1 });
+  expect(second).toMatchObject({ priority: 2130706175, component: 1 });
+
+  expect(String(first.foundation)).toBe(candidates[0].foundation);
+  expect(String(second.foundation)).toBe(candidates[1].foundation);
+  expect(first.foundation).not.toBe(second.foundation);
+});
+
+test('should write related address of reflexive and relayed candidates', () => {
+  const server = '198.51.100.1:3478';
+  const candidates = [
+    {
+      ip: '203.0.113.9',
+      port: 40000,
+      type: 'srflx',
+      priority: candidatePriority('srflx'),
+      foundation: candidateFoundation('srflx', '127.0.0.1', 'udp', server),
+      raddr: '127.0.0.1',
+      rport: 50000,
+    },
+    {
+      ip: '198.51.100.1',
+      port: 60000,
+      type: 'relay',
+      priority: candidatePriority('relay'),
+      foundation: candidateFoundation('relay', '198.51.100.1', 'udp', server),
+      raddr: '203.0.113.9',
+      rport: 40000,
+    },
+  ];
+
+  const description = sdp.create(
+    Object.assign(createOptions([]), { candidates })
+  );
+
+  expect(description).toMatch(
+    ' 1 udp 1694498815 203.0.113.9 40000 typ srflx raddr 127.0.0.1 rport 50000\r\n'
+  );
+  expect(description).toMatch(
+    ' 1 udp 16777215 198.51.100.1 60000 typ relay raddr 203.0.113.9 rport 40000\r\n'
+  );
+
+  const [srflx, relay] = sdp.parse(description).media[0].candidates;
+
+  expect(srflx).toMatchObject({ raddr: '127.0.0.1', rport: 50000 });
+  expect(relay).toMatchObject({ raddr: '203.0.113.9', rport: 40000 });
+});
+
+test('should write trickled candidate with related address', () => {
+  const [candidate] = sdp.formatCandidates([
+    {
+      ip: '203.0.113.9',
+      port: 40000,
+      type: 'srflx',
+      priority: 1694498815,
+      foundation: '42',
+      raddr: '127.0.0.1',
+      rport: 50000,
+    },
+  ]);
+  const line = sdp.writeCandidate(candidate);
+
+  expect(line).toBe(
+    'candidate:42 1 udp 1694498815 203.0.113.9 40000 typ srflx raddr 127.0.0.1 rport 50000'
+  );
+  expect(sdp.parseCandidate(line)).toMatchObject({
+    type: 'srflx',
+    raddr: '127.0.0.1',
+    rport: 50000,
+  });
+});
+
+test('should share foundation of candidates with the same base and server', () => {
+  const server = '198.51.100.1:3478';
+
+  expect(candidateFoundation('srflx', '127.0.0.1', 'udp', server)).toBe(
+    candidateFoundation('srflx', '127.0.0.1', 'udp', server)
+  );
+  expect(candidateFoundation('srflx', '127.0.0.1', 'udp', server)).not.toBe(
+    candidateFoundation('srflx', '127.0.0.2', 'udp', server)
+  );
+  expect(candidateFoundation('srflx', '127.0.0.1', 'udp', server)).not.toBe(
+    candidateFoundation('host', '127.0.0.1')
+  );
+});
+
+test('should parse all fingerprints of the session and media sections', () => {
+  const session = [
+    'a=fingerprint:sha-384 AA:BB:CC',
+    'a=fingerprint:SHA-512 dd:ee:ff',
+  ];
+  const offer = browserOffer
+    .replace(
+      'a=msid-semantic: WMS',
+      [...session, 'a=msid-semantic: WMS'].join('\r\n')
+    )
+    .replace('a=setup:actpass', 'a=fingerprint:sha-1 01:02\r\na=setup:actpass');
+  const { fingerprints: sessionFingerprints, media } = sdp.parse(offer);
+
+  expect(sessionFingerprints).toEqual([
+    { type: 'sha-384', hash: 'AA:BB:CC' },
+    { type: 'SHA-512', hash: 'dd:ee:ff' },
+  ]);
+  expect(media.map(item => item.fingerprints)).toEqual([
+    [],
+    [],
+    [fingerprints[0], { type: 'sha-1', hash: '01:02' }],
+  ]);
+});
+
+test('should write every local fingerprint', () => {
+  const local = [
+    fingerprints[0],
+    { type: 'sha-384', hash: 'AA:BB:CC' },
+    { type: 'sha-512', hash: 'DD:EE:FF' },
+  ];
+  const description = sdp.create(
+    Object.assign(createOptions(['127.0.0.1']), { fingerprints: local })
+  );
+
+  expect(sdp.parse(description).media[0].fingerprints).toEqual(local);
+});
@@ -0,0 +1,513 @@
+'use strict';
+
+const os = require('os');
+const dgram = require('dgram');
+const nodertc = require('..');
+const Mdns = require('../lib/mdns');
+
+jest.setTimeout(20e3);
+
+let webrtc = null;
+let sessions = [];
+let instances = [];
+
+beforeAll(async () => {
+  // Both peers are on the loopback interface.
+  webrtc = nodertc({
+    interfaces: { include: [/^lo/] },
+    addresses: { include: ['127.0.0.0/8'] },
+  });
+
+  await webrtc.start();
+});
+
+afterAll(() => {
+  webrtc.close();
+});
+
+afterEach(() => {
+  sessions.forEach(session => session.close());
+  sessions = [];
+
+  instances.forEach(instance => instance.close());
+  instances = [];
+
+  jest.restoreAllMocks();
+});
+
+function createSessions() {
+  sessions = [webrtc.createSession(), webrtc.createSession()];
+  return sessions;
+}
+
+function nextEvent(emitter, event) {
+  return new Promise(resolve => emitter.once(event, resolve));
+}
+
+function waitFor(condition) {
+  return new Promise(resolve => {
+    const timer = setInterval(() => {
+      if (condition()) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 50);
+  });
+}
+
+test.each([
+  ['actpass', 'server', 'client'],
+  ['active', 'client', 'server'],
+  ['passive', 'server', 'client'],
+])(
+  'should open channel, offer with setup:%s',
+  async (setup, offererRole, answererRole) => {
+    const [offerer, answerer] = createSessions();
+
+    const offer = await offerer.createOffer();
+    const answer = await answerer.createAnswer(
+      offer.replace('a=setup:actpass', `a=setup:${setup}`)
+    );
+
+    await offerer.setRemoteAnswer(answer);
+
+    expect(offerer.dtlsRole).toBe(offererRole);
+    expect(answerer.dtlsRole).toBe(answererRole);
+
+    const incoming = nextEvent(answerer, 'channel');
+    const channel = await offerer.createDataChannel('chat');
+    const peerChannel = await incoming;
+
+    expect(peerChannel.label).toBe('chat');
+
+    const request = nextEvent(peerChannel, 'message');
+    channel.send('ping');
+    expect((await request).toString()).toBe('ping');
+
+    const response = nextEvent(channel, 'message');
+    peerChannel.send('pong');
+    expect((await response).toString()).toBe('pong');
+
+    expect(offerer.connectionState).toBe('connected');
+    expect(answerer.connectionState).toBe('connected');
+  }
+);
+
+test('should send messages of the advertised size', async () => {
+  const [offerer, answerer] = createSessions();
+
+  const offer = await offerer.createOffer();
+  const answer = await answerer.createAnswer(offer);
+  await offerer.setRemoteAnswer(answer);
+
+  const [, maxMessageSize] = answer.match(/a=max-message-size:(\d+)/);
+  expect(offer).toMatch(`a=max-message-size:${maxMessageSize}`);
+
+  const incoming = nextEvent(answerer, 'channel');
+  const channel = await offerer.createDataChannel('chat');
+  const peerChannel = await incoming;
+
+  expect(channel.maxMessageSize).toBe(Number(maxMessageSize));
+
+  const messages = [];
+  const error = jest.fn();
+  channel.on('error', error);
+  peerChannel.on('message', message => messages.push(message));
+
+  for (let i = 0; i < 3; i += 1) {
+    channel.send(Buffer.alloc(channel.maxMessageSize, i));
+  }
+
+  expect(() => channel.send(Buffer.alloc(channel.maxMessageSize + 1))).toThrow(
+    'exceeds the limit'
+  );
+
+  await waitFor(() => messages.length === 3);
+
+  expect(messages.map(message => message.length)).toEqual(
+    new Array(3).fill(channel.maxMessageSize)
+  );
+  expect(error).not.toHaveBeenCalled();
+});
+
+test('should report failed message asynchronously', async () => {
+  const [offerer, answerer] = createSessions();
+
+  // The peer accepts messages of any size.
+  const answer = await answerer.createAnswer(await offerer.createOffer());
+  await offerer.setRemoteAnswer(
+    answer.replace(/a=max-message-size:\d+/, 'a=max-message-size:0')
+  );
+
+  const channel = await offerer.createDataChannel('chat');
+  const error = nextEvent(channel, 'error');
+
+  // `@nodertc/sctp` can't send a message larger than the receive window.
+  expect(() => channel.send(Buffer.alloc(200 * 1024))).not.toThrow();
+  expect(await error).toBeInstanceOf(Error);
+
+  channel.removeAllListeners('error');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  channel.send(Buffer.alloc(200 * 1024));
+  await waitFor(() => console.error.mock.calls.length > 0);
+
+  expect(channel.readyState).toBe('open');
+});
+
+test('should reject answer with invalid setup', async () => {
+  const [offerer, answerer] = createSessions();
+
+  const offer = await offerer.createOffer();
+  const answer = await answerer.createAnswer(offer);
+
+  await expect(
+    offerer.setRemoteAnswer(answer.replace(/a=setup:\w+/, 'a=setup:actpass'))
+  ).rejects.toThrow('Invalid DTLS setup attribute in answer: actpass');
+
+  expect(offerer.connectionState).toBe('closed');
+  expect(offerer.dtlsRole).toBe(null);
+});
+
+test('should reject offer with invalid setup', async () => {
+  const [offerer, answerer] = createSessions();
+
+  const offer = await offerer.createOffer();
+
+  await expect(
+    answerer.createAnswer(offer.replace('a=setup:actpass', 'a=setup:holdconn'))
+  ).rejects.toThrow('Invalid DTLS setup attribute in offer: holdconn');
+
+  expect(answerer.connectionState).toBe('closed');
+});
+
+test('should close session with pending channel', async () => {
+  const [offerer, answerer] = createSessions();
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+  await offerer.waitAssociation();
+
+  const pending = offerer.createDataChannel('chat');
+  await new Promise(resolve => setImmediate(resolve));
+
+  expect(() => offerer.close()).not.toThrow();
+  await expect(pending).rejects.toThrow('Channel is closed');
+});
+
+test('should release resources on close', async () => {
+  // Resources which keep the process running, Node.js 17+.
+  const countResources = () =>
+    process
+      .getActiveResourcesInfo()
+      .filter(type => type === 'UDPWRAP' || type === 'Timeout').length;
+
+  // Short timers, e.g. pending SACK of SCTP or buffered console output,
+  // are let fire before counting.
+  const settle = () => new Promise(resolve => setTimeout(resolve, 200));
+
+  await settle();
+
+  const resources = countResources();
+  const createSocket = jest.spyOn(dgram, 'createSocket');
+
+  const [offerer, answerer] = createSessions();
+  const sockets = createSocket.mock.results.map(({ value }) => value);
+
+  const states = [];
+  offerer.on('connectionstatechange', state => states.push(state));
+
+  expect(offerer.connectionState).toBe('new');
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+
+  const incoming = nextEvent(answerer, 'channel');
+  const channel = await offerer.createDataChannel('chat');
+  const peerChannel = await incoming;
+
+  const request = nextEvent(peerChannel, 'message');
+  channel.send('ping');
+  await request;
+
+  const closed = sockets.map(socket => nextEvent(socket, 'close'));
+
+  offerer.close();
+  answerer.close();
+  await Promise.all(closed);
+
+  // Host socket and the placeholder of DTLS transport of each session.
+  expect(sockets).toHaveLength(4);
+  expect(states).toEqual(['connecting', 'connected', 'closed']);
+  expect(channel.readyState).toBe('closed');
+  expect(offerer.sctp.endpoint.associations).toEqual([]);
+
+  await settle();
+
+  // Timers of previous tests may still expire, only new ones are leaks.
+  expect(countResources()).toBeLessThanOrEqual(resources);
+});
+
+test('should close silently when consent expires', async () => {
+  const [offerer, answerer] = createSessions();
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+  await offerer.waitAssociation();
+
+  const states = [];
+  const errors = [];
+  offerer.on('connectionstatechange', state => states.push(state));
+  offerer.on('error', error => errors.push(error.code));
+
+  // The offerer is DTLS server, close_notify would be sent by it.
+  const send = jest.spyOn(offerer.dtls, 'sendDatagram');
+  const closed = nextEvent(offerer.dtls, 'close');
+
+  offerer.iceAgent.emit('consentexpired');
+  await closed;
+
+  expect(errors).toEqual([nodertc.errorCodes.ERR_ICE_CONSENT_EXPIRED]);
+  expect(states).toEqual(['failed', 'closed']);
+  expect(send).not.toHaveBeenCalled();
+});
+
+test('should put host candidates in the offer only', async () => {
+  const [offerer] = createSessions();
+  const candidates = [];
+
+  offerer.on('icecandidate', candidate => candidates.push(candidate));
+
+  const offer = await offerer.createOffer();
+  await nextEvent(offerer, 'icecandidate');
+
+  expect(offer).toMatch(/a=candidate:.* 127\.0\.0\.1 \d+ typ host/);
+  expect(offer).toMatch('a=end-of-candidates');
+  expect(candidates).toEqual([null]);
+});
+
+test('should reject partially reliable channel', async () => {
+  const [offerer, answerer] = createSessions();
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+
+  await expect(
+    offerer.createDataChannel('chat', { maxRetransmits: 0 })
+  ).rejects.toThrow('Partially reliable channels are not supported');
+});
+
+test('should decline partially reliable channel of the peer', async () => {
+  const [offerer, answerer] = createSessions();
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+  const { association } = await offerer.waitAssociation();
+  await answerer.waitAssociation();
+
+  const channel = jest.fn();
+  const received = jest.fn();
+  answerer.on('channel', channel);
+  association.reassembly.on('data', received);
+  const declined = nextEvent(answerer, 'channeldeclined');
+
+  // DATA_CHANNEL_OPEN of "chat" with 3 retransmissions, RFC 8832, section 5.1.
+  const open = Buffer.from([0x03, 0x01, 0, 0, 0, 0, 0, 3, 0, 4, 0, 0]);
+
+  // `@nodertc/sctp` reads the payload protocol identifier from `streamId`.
+  association.SEND(
+    Buffer.concat([open, Buffer.from('chat')]),
+    { stream_id: 10, streamId: 50 },
+    () => {}
+  );
+
+  const declinedChannel = await declined;
+
+  expect(declinedChannel.label).toBe('chat');
+  expect(declinedChannel.id).toBe(10);
+  expect(declinedChannel.maxRetransmits).toBe(3);
+  expect(declinedChannel.maxPacketLifeTime).toBe(null);
+  expect(declinedChannel.readyState).toBe('closing');
+
+  // The stream is reset instead of DATA_CHANNEL_ACK.
+  await new Promise(resolve => setTimeout(resolve, 200));
+  expect(received).not.toHaveBeenCalled();
+  expect(channel).not.toHaveBeenCalled();
+});
+
+test('should increment version of the session origin', async () => {
+  const [offerer, answerer] = createSessions();
+  const origin = description => {
+    const [, id, version] = description.match(/^o=- (\d+) (\d+) /m);
+    return { id, version: Number(version) };
+  };
+
+  const offer = origin(await offerer.createOffer());
+  const answer = origin(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+  const restart = origin(await offerer.createOffer({ iceRestart: true }));
+
+  expect(offer.id).not.toBe(answer.id);
+  expect(restart.id).toBe(offer.id);
+  expect(restart.version).toBeGreaterThan(offer.version);
+});
+
+test('should answer checks before the remote description', async () => {
+  const [offerer, answerer] = createSessions();
+
+  const answer = await answerer.createAnswer(await offerer.createOffer());
+  const { checklist } = answerer.iceAgent;
+
+  // Checks of the answerer reach the offerer before the answer.
+  await waitFor(() => checklist.valid.length > 0);
+
+  const connected = nextEvent(offerer, 'selectedcandidatepairchange');
+  await offerer.setRemoteAnswer(answer);
+  await connected;
+
+  expect(offerer.iceConnectionState).toBe('connected');
+});
+
+test('should add resolved mDNS candidate', async () => {
+  const [offerer, answerer] = createSessions();
+  const name = '1f0e5c3a-0f8b-4c1e-9a57-2c4b1d6e8f90.local';
+
+  jest.spyOn(Mdns.prototype, 'resolve').mockResolvedValue('127.0.0.1');
+
+  const answer = await answerer.createAnswer(await offerer.createOffer());
+  const add = jest.spyOn(offerer.iceAgent, 'addRemoteCandidate');
+
+  await offerer.setRemoteAnswer(answer.replace(/a=candidate:.*\r\n/g, ''));
+  offerer.addIceCandidate(`candidate:1 1 udp 2122260223 ${name} 9 typ host`);
+
+  await waitFor(() => add.mock.calls.length > 0);
+
+  expect(Mdns.prototype.resolve).toHaveBeenCalledWith(name);
+  expect(add.mock.calls[0][0]).toMatchObject({ ip: '127.0.0.1', port: 9 });
+});
+
+test('should report unresolved mDNS candidate', async () => {
+  const [offerer, answerer] = createSessions();
+  const name = '1f0e5c3a-0f8b-4c1e-9a57-2c4b1d6e8f90.local';
+
+  jest
+    .spyOn(Mdns.prototype, 'resolve')
+    .mockRejectedValue(new Error(`Unable to resolve ${name}`));
+
+  const selected = nextEvent(offerer, 'selectedcandidatepairchange');
+
+  await offerer.setRemoteAnswer(
+    await answerer.createAnswer(await offerer.createOffer())
+  );
+
+  const failure = nextEvent(offerer, 'error');
+  offerer.addIceCandidate(`candidate:1 1 udp 2122260223 ${name} 9 typ host`);
+
+  const error = await failure;
+
+  expect(error.code).toBe(nodertc.errorCodes.ERR_MDNS);
+  expect(error.message).toBe(`Unable to resolve ${name}`);
+
+  // Other candidates still work.
+  await selected;
+  expect(offerer.connectionState).not.toBe('failed');
+});
+
+test('should ignore TCP candidates', async () => {
+  const [offerer, answerer] = createSessions();
+  const tcp = port => `candidate:1 1 tcp 1518280447 127.0.0.1 ${port} typ host`;
+
+  const offer = await offerer.createOffer();
+  await answerer.createAnswer(
+    offer.replace('a=end-of-candidates', `a=${tcp(9)} tcptype passive`)
+  );
+  answerer.addIceCandidate(`${tcp(10)} tcptype active`);
+
+  const ports = answerer.iceAgent.checklist.pairs.map(pair => pair.remote.port);
+
+  expect(ports).not.toContain(9);
+  expect(ports).not.toContain(10);
+  expect(ports).toHaveLength(1);
+});
+
+test('should gather host candidate of each address', async () => {
+  // The whole 127.0.0.0/8 is routed to the loopback interface.
+  const lo = ['127.0.0.1', '127.0.0.2'].map(address => ({
+    address,
+    netmask: '255.0.0.0',
+    family: 'IPv4',
+    internal: true,
+  }));
+
+  jest.spyOn(os, 'networkInterfaces').mockReturnValue({ lo });
+
+  const multihomed = nodertc({ interfaces: { include: ['lo'] } });
+  instances.push(multihomed);
+
+  await multihomed.start();
+
+  const offerer = multihomed.createSession();
+  const answerer = webrtc.createSession();
+  sessions = [offerer, answerer];
+
+  const offer = await offerer.createOffer();
+  const hosts = offer.match(/ 127\.0\.0\.\d \d+ typ host/g);
+
+  expect(hosts).toHaveLength(2);
+  expect(hosts[0]).toMatch(' 127.0.0.1 ');
+  expect(hosts[1]).toMatch(' 127.0.0.2 ');
+
+  await offerer.setRemoteAnswer(await answerer.createAnswer(offer));
+  await nextEvent(offerer, 'selectedcandidatepairchange');
+
+  // Responses come from the address the check was sent to.
+  const { checklist } = answerer.iceAgent;
+  const pair = checklist.pairs.find(item => item.remote.ip === '127.0.0.2');
+
+  answerer.iceAgent.check(pair);
+  await waitFor(() => pair.state === 'succeeded');
+
+  expect(pair.valid).toBe(true);
+});
+
+// Loopback may have no IPv6 address, e.g. in containers.
+const hasIPv6 = Object.values(os.networkInterfaces()).some(list =>
+  list.some(info => info.address === '::1')
+);
+
+(hasIPv6 ? test : test.skip)('should open channel over IPv6', async () => {
+  const ipv6 = nodertc({
+    interfaces: { include: [/^lo/] },
+    addresses: { include: ['::1/128'] },
+  });
+  instances.push(ipv6);
+
+  await ipv6.start();
+
+  const offerer = ipv6.createSession();
+  const answerer = ipv6.createSession();
+  sessions = [offerer, answerer];
+
+  const offer = await offerer.createOffer();
+
+  expect(offer).toMatch('c=IN IP6 ::\r\n');
+  expect(offer).toMatch(/ ::1 \d+ typ host/);
+
+  await offerer.setRemoteAnswer(await answerer.createAnswer(offer));
+
+  const incoming = nextEvent(answerer, 'channel');
+  const channel = await offerer.createDataChannel('chat');
+  const peerChannel = await incoming;
+
+  const request = nextEvent(peerChannel, 'message');
+  channel.send('ping');
+
+  expect((await request).toString()).toBe('ping');
+  expect(offerer.iceAgent.selectedPair.remote.ip).toBe('::1');
+});
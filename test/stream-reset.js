@@ -0,0 +1,39 @@
+'use strict';
+
+const Emitter = require('events');
+const { StreamReset } = require('../lib/stream-reset');
+
+function createAssociation() {
+  const association = new Emitter();
+
+  association.my_tag = 1;
+  association.my_next_tsn = { number: 1 };
+  association.reassembly = { initial_tsn: 1 };
+  association.ssn = { 1: 5 };
+  association.RTO = 1;
+  association.requests = 0;
+  association._sendPacket = () => {
+    association.requests += 1;
+  };
+
+  return association;
+}
+
+test('should give up when the peer does not answer', async () => {
+  const association = createAssociation();
+  const streamReset = new StreamReset(association);
+
+  const result = new Promise(resolve => {
+    streamReset.once('outgoing', (streams, success) =>
+      resolve({ streams, success })
+    );
+  });
+
+  streamReset.reset(1);
+
+  expect(await result).toEqual({ streams: [1], success: false });
+  expect(association.requests).toBe(10);
+  expect(association.ssn[1]).toBe(5);
+
+  streamReset.close();
+});
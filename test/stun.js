@@ -0,0 +1,122 @@
+'use strict';
+
+const dgram = require('dgram');
+const stun = require('stun');
+const nodertc = require('..');
+
+const {
+  STUN_BINDING_RESPONSE,
+  STUN_BINDING_ERROR_RESPONSE,
+  STUN_ATTR_XOR_MAPPED_ADDRESS,
+  STUN_ATTR_ERROR_CODE,
+  STUN_CODE_BAD_REQUEST,
+  STUN_REASON_BAD_REQUEST,
+  STUN_EVENT_BINDING_REQUEST,
+} = stun.constants;
+
+jest.setTimeout(20e3);
+
+let socket = null;
+let webrtc = null;
+
+afterEach(() => {
+  webrtc.close();
+  socket.close();
+});
+
+// Local STUN server, `respond(req, rinfo)` returns the response.
+async function createStunServer(respond) {
+  socket = dgram.createSocket('udp4');
+
+  const server = stun.createServer(socket);
+
+  server.on(STUN_EVENT_BINDING_REQUEST, (req, rinfo) => {
+    server.send(respond(req, rinfo), rinfo.port, rinfo.address);
+  });
+
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  return `stun:127.0.0.1:${socket.address().port}`;
+}
+
+function createMappedResponse(req, address, port) {
+  const response = stun.createMessage(STUN_BINDING_RESPONSE, req.transactionId);
+
+  response.addAttribute(STUN_ATTR_XOR_MAPPED_ADDRESS, address, port);
+  return response;
+}
+
+// Creates an offer and collects trickled candidates.
+async function gather(url) {
+  webrtc = nodertc({
+    interfaces: { include: [/^lo/] },
+    addresses: { include: ['127.0.0.0/8'] },
+    iceServers: [{ urls: url }],
+  });
+
+  await webrtc.start();
+
+  const session = webrtc.createSession();
+
+  const candidates = [];
+  const complete = new Promise(resolve => {
+    session.on('icecandidate', candidate => {
+      if (candidate === null) {
+        resolve(candidates);
+      } else {
+        candidates.push(candidate);
+      }
+    });
+  });
+
+  const offer = await session.createOffer();
+  const [, port] = offer.match(/ 127\.0\.0\.1 (\d+) typ host/);
+
+  return { offer, port: Number(port), candidates: await complete };
+}
+
+test('should trickle server reflexive candidate', async () => {
+  const url = await createStunServer(req =>
+    createMappedResponse(req, '203.0.113.5', 4444)
+  );
+
+  const { offer, port, candidates } = await gather(url);
+
+  expect(offer).not.toMatch('typ srflx');
+  expect(offer).not.toMatch('a=end-of-candidates');
+  expect(candidates).toHaveLength(1);
+  expect(candidates[0]).toMatch(
+    new RegExp(
+      `^candidate:\\d+ 1 udp \\d+ 203.0.113.5 4444 typ srflx raddr 127.0.0.1 rport ${port}$`
+    )
+  );
+});
+
+test('should skip mapped address of the host candidate', async () => {
+  const url = await createStunServer((req, rinfo) =>
+    createMappedResponse(req, rinfo.address, rinfo.port)
+  );
+
+  const { candidates } = await gather(url);
+
+  expect(candidates).toEqual([]);
+});
+
+test('should complete gathering when STUN server fails', async () => {
+  const url = await createStunServer(req => {
+    const response = stun.createMessage(
+      STUN_BINDING_ERROR_RESPONSE,
+      req.transactionId
+    );
+
+    response.addAttribute(
+      STUN_ATTR_ERROR_CODE,
+      STUN_CODE_BAD_REQUEST,
+      STUN_REASON_BAD_REQUEST
+    );
+    return response;
+  });
+
+  const { candidates } = await gather(url);
+
+  expect(candidates).toEqual([]);
+});
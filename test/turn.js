@@ -0,0 +1,485 @@
+'use strict';
+
+const dgram = require('dgram');
+const crypto = require('crypto');
+const stun = require('stun');
+const nodertc = require('..');
+const TurnClient = require('../lib/turn-client');
+
+const {
+  STUN_ALLOCATE_REQUEST,
+  STUN_ALLOCATE_RESPONSE,
+  STUN_ALLOCATE_ERROR_RESPONSE,
+  STUN_REFRESH_REQUEST,
+  STUN_REFRESH_RESPONSE,
+  STUN_REFRESH_ERROR_RESPONSE,
+  STUN_CREATE_PERMISSION_REQUEST,
+  STUN_CREATE_PERMISSION_RESPONSE,
+  STUN_CREATE_PERMISSION_ERROR_RESPONSE,
+  STUN_CHANNEL_BIND_REQUEST,
+  STUN_CHANNEL_BIND_RESPONSE,
+  STUN_CHANNEL_BIND_ERROR_RESPONSE,
+  STUN_SEND_INDICATION,
+  STUN_DATA_INDICATION,
+  STUN_ATTR_XOR_RELAYED_ADDRESS,
+  STUN_ATTR_XOR_MAPPED_ADDRESS,
+  STUN_ATTR_XOR_PEER_ADDRESS,
+  STUN_ATTR_CHANNEL_NUMBER,
+  STUN_ATTR_LIFETIME,
+  STUN_ATTR_DATA,
+  STUN_ATTR_REALM,
+  STUN_ATTR_NONCE,
+  STUN_ATTR_ERROR_CODE,
+  STUN_ATTR_MESSAGE_INTEGRITY,
+  STUN_CODE_UNAUTHORIZED,
+  STUN_REASON_UNAUTHORIZED,
+  STUN_CODE_ALLOCATION_MISMATCH,
+  STUN_REASON_ALLOCATION_MISMATCH,
+  STUN_CODE_FORBIDDEN,
+  STUN_REASON_FORBIDDEN,
+  STUN_EVENT_BINDING_REQUEST,
+  STUN_EVENT_BINDING_INDICATION,
+} = stun.constants;
+
+const REALM = 'nodertc';
+const NONCE = 'a3f1b2c4';
+
+const MAPPED_ADDRESS = '203.0.113.9';
+
+// Permissions are installed for IP addresses, so relayed addresses differ
+// from host ones to keep the direct path closed.
+const RELAYED_ADDRESS = '127.0.0.2';
+
+jest.setTimeout(20e3);
+
+let turn = null;
+let instances = [];
+
+afterEach(() => {
+  instances.forEach(webrtc => webrtc.close());
+  instances = [];
+
+  turn.close();
+});
+
+/**
+ * TURN server stand-in, RFC 8656. Allocations relay from `RELAYED_ADDRESS`.
+ * @param {object} [options]
+ * @param {number} [options.lifetime] allocation lifetime in seconds
+ * @param {boolean} [options.failRefresh] reject Refresh requests
+ * @param {boolean} [options.forbidPeers] reject permissions and channels
+ * @returns {Promise<object>}
+ */
+async function createTurnServer(options = {}) {
+  const { lifetime = 600, failRefresh = false, forbidPeers = false } = options;
+
+  const socket = dgram.createSocket('udp4');
+  const server = stun.createServer(socket);
+  const key = crypto
+    .createHash('md5')
+    .update(`user:${REALM}:pass`)
+    .digest();
+
+  const allocations = new Map();
+  const stats = {
+    allocations: 0,
+    refreshes: 0,
+    permissions: 0,
+    channels: 0,
+    channelData: 0,
+  };
+
+  const respond = (type, req, rinfo, attributes = []) => {
+    const response = stun.createMessage(type, req.transactionId);
+
+    attributes.forEach(([attribute, ...values]) => {
+      response.addAttribute(attribute, ...values);
+    });
+
+    server.send(response, rinfo.port, rinfo.address);
+  };
+
+  const forbid = (type, req, rinfo) =>
+    respond(type, req, rinfo, [
+      [STUN_ATTR_ERROR_CODE, STUN_CODE_FORBIDDEN, STUN_REASON_FORBIDDEN],
+    ]);
+
+  const respondAuthenticated = (type, req, rinfo, attributes = []) => {
+    const response = stun.createMessage(type, req.transactionId);
+
+    attributes.forEach(([attribute, ...values]) => {
+      response.addAttribute(attribute, ...values);
+    });
+
+    response.addMessageIntegrity(key);
+    server.send(response, rinfo.port, rinfo.address);
+  };
+
+  const allocate = (req, rinfo) => {
+    const relay = dgram.createSocket('udp4');
+    const allocation = { relay, permissions: new Set(), channels: new Map() };
+
+    allocations.set(`${rinfo.address}:${rinfo.port}`, allocation);
+    stats.allocations += 1;
+
+    relay.on('message', (data, peer) => {
+      if (!allocation.permissions.has(peer.address)) {
+        return;
+      }
+
+      for (const [number, channel] of allocation.channels) {
+        if (channel.address === peer.address && channel.port === peer.port) {
+          const header = Buffer.alloc(4);
+
+          header.writeUInt16BE(number, 0);
+          header.writeUInt16BE(data.length, 2);
+          socket.send(Buffer.concat([header, data]), rinfo.port, rinfo.address);
+          return;
+        }
+      }
+
+      const indication = stun.createMessage(STUN_DATA_INDICATION);
+
+      indication.addAttribute(
+        STUN_ATTR_XOR_PEER_ADDRESS,
+        peer.address,
+        peer.port
+      );
+      indication.addAttribute(STUN_ATTR_DATA, data);
+      server.send(indication, rinfo.port, rinfo.address);
+    });
+
+    relay.bind(0, RELAYED_ADDRESS, () => {
+      respondAuthenticated(STUN_ALLOCATE_RESPONSE, req, rinfo, [
+        [STUN_ATTR_XOR_RELAYED_ADDRESS, RELAYED_ADDRESS, relay.address().port],
+        [STUN_ATTR_XOR_MAPPED_ADDRESS, MAPPED_ADDRESS, rinfo.port],
+        [STUN_ATTR_LIFETIME, lifetime],
+      ]);
+    });
+  };
+
+  server.on('error', () => {});
+
+  server.on(STUN_EVENT_BINDING_REQUEST, (req, rinfo) => {
+    const hasIntegrity =
+      req.getAttribute(STUN_ATTR_MESSAGE_INTEGRITY) !== undefined;
+
+    // Long-term credentials, RFC 8489, section 9.2.
+    if (!hasIntegrity || !stun.validateMessageIntegrity(req, key)) {
+      // eslint-disable-next-line no-bitwise
+      respond(req.type | 0x110, req, rinfo, [
+        [
+          STUN_ATTR_ERROR_CODE,
+          STUN_CODE_UNAUTHORIZED,
+          STUN_REASON_UNAUTHORIZED,
+        ],
+        [STUN_ATTR_REALM, REALM],
+        [STUN_ATTR_NONCE, NONCE],
+      ]);
+      return;
+    }
+
+    const allocation = allocations.get(`${rinfo.address}:${rinfo.port}`);
+
+    switch (req.type) {
+      case STUN_ALLOCATE_REQUEST:
+        allocate(req, rinfo);
+        break;
+      case STUN_REFRESH_REQUEST:
+        stats.refreshes += 1;
+
+        if (failRefresh) {
+          respond(STUN_REFRESH_ERROR_RESPONSE, req, rinfo, [
+            [
+              STUN_ATTR_ERROR_CODE,
+              STUN_CODE_ALLOCATION_MISMATCH,
+              STUN_REASON_ALLOCATION_MISMATCH,
+            ],
+          ]);
+        } else {
+          respondAuthenticated(STUN_REFRESH_RESPONSE, req, rinfo, [
+            [STUN_ATTR_LIFETIME, lifetime],
+          ]);
+        }
+        break;
+      case STUN_CREATE_PERMISSION_REQUEST: {
+        const peer = req.getAttribute(STUN_ATTR_XOR_PEER_ADDRESS).value;
+
+        stats.permissions += 1;
+
+        if (forbidPeers) {
+          forbid(STUN_CREATE_PERMISSION_ERROR_RESPONSE, req, rinfo);
+          break;
+        }
+
+        allocation.permissions.add(peer.address);
+        respondAuthenticated(STUN_CREATE_PERMISSION_RESPONSE, req, rinfo);
+        break;
+      }
+      case STUN_CHANNEL_BIND_REQUEST: {
+        const peer = req.getAttribute(STUN_ATTR_XOR_PEER_ADDRESS).value;
+        const { value } = req.getAttribute(STUN_ATTR_CHANNEL_NUMBER);
+        const number = value >>> 16; // eslint-disable-line no-bitwise
+
+        stats.channels += 1;
+
+        if (forbidPeers) {
+          forbid(STUN_CHANNEL_BIND_ERROR_RESPONSE, req, rinfo);
+          break;
+        }
+
+        allocation.permissions.add(peer.address);
+        allocation.channels.set(number, peer);
+        respondAuthenticated(STUN_CHANNEL_BIND_RESPONSE, req, rinfo);
+        break;
+      }
+      default:
+        respond(STUN_ALLOCATE_ERROR_RESPONSE, req, rinfo);
+        break;
+    }
+  });
+
+  server.on(STUN_EVENT_BINDING_INDICATION, (msg, rinfo) => {
+    const allocation = allocations.get(`${rinfo.address}:${rinfo.port}`);
+
+    if (msg.type !== STUN_SEND_INDICATION || allocation === undefined) {
+      return;
+    }
+
+    const peer = msg.getAttribute(STUN_ATTR_XOR_PEER_ADDRESS).value;
+
+    if (allocation.permissions.has(peer.address)) {
+      const data = msg.getAttribute(STUN_ATTR_DATA).value;
+      allocation.relay.send(data, peer.port, peer.address);
+    }
+  });
+
+  // ChannelData messages, RFC 8656, section 12.4.
+  socket.on('message', (data, rinfo) => {
+    const allocation = allocations.get(`${rinfo.address}:${rinfo.port}`);
+
+    if (data[0] < 0x40 || data[0] > 0x4f || allocation === undefined) {
+      return;
+    }
+
+    const peer = allocation.channels.get(data.readUInt16BE(0));
+
+    if (peer !== undefined) {
+      stats.channelData += 1;
+      allocation.relay.send(
+        data.slice(4, 4 + data.readUInt16BE(2)),
+        peer.port,
+        peer.address
+      );
+    }
+  });
+
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+  return {
+    url: `turn:127.0.0.1:${socket.address().port}`,
+    port: socket.address().port,
+    stats,
+    close() {
+      allocations.forEach(({ relay }) => relay.close());
+      socket.close();
+    },
+  };
+}
+
+async function createSession(iceServers = []) {
+  const webrtc = nodertc({
+    interfaces: { include: [/^lo/] },
+    addresses: { include: ['127.0.0.0/8'] },
+    iceServers,
+  });
+
+  await webrtc.start();
+  instances.push(webrtc);
+
+  return webrtc.createSession();
+}
+
+function collectCandidates(session) {
+  const candidates = [];
+
+  return new Promise(resolve => {
+    session.on('icecandidate', candidate => {
+      if (candidate === null) {
+        resolve(candidates);
+      } else {
+        candidates.push(candidate);
+      }
+    });
+  });
+}
+
+function waitFor(condition) {
+  return new Promise(resolve => {
+    const timer = setInterval(() => {
+      if (condition()) {
+        clearInterval(timer);
+        resolve();
+      }
+    }, 50);
+  });
+}
+
+test('should trickle relayed candidate', async () => {
+  turn = await createTurnServer();
+
+  const session = await createSession([
+    { urls: turn.url, username: 'user', credential: 'pass' },
+  ]);
+  const gathering = collectCandidates(session);
+
+  await session.createOffer();
+
+  const candidates = await gathering;
+  const relay = candidates.find(candidate => / typ relay /.test(candidate));
+  const srflx = candidates.find(candidate => / typ srflx /.test(candidate));
+
+  expect(turn.stats.allocations).toBe(1);
+  expect(relay).toMatch(/ 127\.0\.0\.2 \d+ typ relay raddr 203\.0\.113\.9 /);
+  expect(srflx).toMatch(/ 203\.0\.113\.9 \d+ typ srflx raddr 127\.0\.0\.1 /);
+});
+
+test('should open channel through the relay', async () => {
+  turn = await createTurnServer();
+
+  const iceServers = [{ urls: turn.url, username: 'user', credential: 'pass' }];
+  const offerer = await createSession(iceServers);
+  const answerer = await createSession(iceServers);
+
+  // Relayed candidates are the only path between the peers.
+  const withoutHosts = description =>
+    description.replace(/a=candidate:.* typ host\r\n/g, '');
+  const relayed = candidates =>
+    candidates.filter(candidate => / typ relay /.test(candidate));
+
+  const offererGathering = collectCandidates(offerer);
+  const answererGathering = collectCandidates(answerer);
+
+  const offer = await offerer.createOffer();
+  const answer = await answerer.createAnswer(withoutHosts(offer));
+  await offerer.setRemoteAnswer(withoutHosts(answer));
+
+  relayed(await offererGathering).forEach(candidate =>
+    answerer.addIceCandidate(candidate)
+  );
+  relayed(await answererGathering).forEach(candidate =>
+    offerer.addIceCandidate(candidate)
+  );
+
+  const incoming = new Promise(resolve => answerer.once('channel', resolve));
+  const channel = await offerer.createDataChannel('chat');
+  const peerChannel = await incoming;
+
+  const request = new Promise(resolve => peerChannel.once('message', resolve));
+  channel.send('ping');
+
+  expect((await request).toString()).toBe('ping');
+  const { local, remote } = offerer.iceAgent.selectedPair;
+
+  expect(local.type).toBe('relay');
+  expect(remote.ip).toBe(RELAYED_ADDRESS);
+  expect(turn.stats.allocations).toBe(2);
+  expect(turn.stats.channels).toBeGreaterThan(0);
+  expect(turn.stats.channelData).toBeGreaterThan(0);
+});
+
+test('should refresh the allocation', async () => {
+  turn = await createTurnServer({ lifetime: 2 });
+
+  const session = await createSession([
+    { urls: turn.url, username: 'user', credential: 'pass' },
+  ]);
+  const gathering = collectCandidates(session);
+
+  await session.createOffer();
+  await gathering;
+  await waitFor(() => turn.stats.refreshes > 0);
+
+  expect(turn.stats.allocations).toBe(1);
+});
+
+test('should report failed refresh', async () => {
+  turn = await createTurnServer({ lifetime: 2, failRefresh: true });
+
+  const session = await createSession([
+    { urls: turn.url, username: 'user', credential: 'pass' },
+  ]);
+  const failure = new Promise(resolve => session.once('error', resolve));
+
+  await session.createOffer();
+
+  const error = await failure;
+
+  expect(error.code).toBe(nodertc.errorCodes.ERR_TURN);
+  expect(error.message).toMatch('Refresh failed');
+});
+
+test('should keep the allocation when the relay refuses the peer', async () => {
+  turn = await createTurnServer({ forbidPeers: true });
+
+  const socket = dgram.createSocket('udp4');
+  const server = stun.createServer(socket);
+
+  server.on('error', () => {});
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+
+  const client = new TurnClient({
+    socket,
+    server,
+    address: '127.0.0.1',
+    port: turn.port,
+    username: 'user',
+    credential: 'pass',
+  });
+
+  await client.allocate();
+
+  // Without `error` listeners failures are logged, not thrown.
+  const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const sent = new Promise(resolve =>
+    client.send(Buffer.from('ping'), 9, '127.0.0.1', resolve)
+  );
+
+  expect(await sent).toBeFalsy();
+  await waitFor(() => log.mock.calls.length === 2);
+
+  const messages = log.mock.calls.map(([, message]) => message);
+  log.mockRestore();
+
+  expect(messages[0]).toMatch('Channel bind failed');
+  expect(messages[1]).toMatch('Create permission failed for 127.0.0.1');
+  expect(turn.stats.permissions).toBe(1);
+
+  // The allocation is still usable for other peers.
+  const errors = [];
+  client.on('error', err => errors.push(err.message));
+  client.send(Buffer.from('ping'), 9, '127.0.0.3');
+
+  await waitFor(() => errors.length === 2);
+
+  expect(errors[0]).toMatch('Channel bind failed');
+  expect(errors[1]).toMatch('Create permission failed for 127.0.0.3');
+  expect(client.relayed).not.toBe(null);
+
+  client.close();
+  setImmediate(() => socket.close());
+});
+
+test('should complete gathering with wrong credentials', async () => {
+  turn = await createTurnServer();
+
+  const session = await createSession([
+    { urls: turn.url, username: 'user', credential: 'wrong' },
+  ]);
+  const gathering = collectCandidates(session);
+
+  await session.createOffer();
+
+  expect(await gathering).toEqual([]);
+  expect(turn.stats.allocations).toBe(0);
+});